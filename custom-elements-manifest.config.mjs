@@ -0,0 +1,44 @@
+/**
+ * Configuration for `npm run manifest`, which writes custom-elements.json from the elements' JSDoc.
+ */
+
+// Attributes whose property isn't the camelCased attribute name
+const PROPERTY_NAMES = { for: 'htmlFor' };
+
+const camelCase = name => PROPERTY_NAMES[name] ?? name.replace(/-([a-z])/g, (_, char) => char.toUpperCase());
+
+/**
+ * Tidies what the analyzer finds: drops `#private` members and the events it picks up from
+ * `new CustomEvent(type)` calls (the real ones are documented with `@fires`), and describes each
+ * observed attribute with the JSDoc of the property that reflects it.
+ */
+function documentAttributes() {
+  return {
+    name: 'a-color-document-attributes',
+    packageLinkPhase({ customElementsManifest }) {
+      for (const mod of customElementsManifest.modules) {
+        for (const declaration of mod.declarations ?? []) {
+          if (!declaration.customElement) continue;
+
+          declaration.members = declaration.members?.filter(member => member.privacy !== 'private');
+          declaration.events = declaration.events?.filter(event => event.description);
+
+          for (const attribute of declaration.attributes ?? []) {
+            const field = declaration.members?.find(member => member.kind === 'field' && member.name === camelCase(attribute.name));
+            if (!field) continue;
+            attribute.fieldName = field.name;
+            attribute.type ??= field.type;
+            attribute.description ??= field.description;
+            field.attribute = attribute.name;
+          }
+        }
+      }
+    }
+  };
+}
+
+export default {
+  globs: ['src/a-color.js', 'src/a-color-palette.js'],
+  outdir: '.',
+  plugins: [documentAttributes()]
+};
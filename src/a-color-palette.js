@@ -0,0 +1,351 @@
+/**
+ * @file A companion element that shows a palette generated from an <a-color> picker.
+ * @module AColorPalette
+ * @author Holmes Bryant <https://github.com/HolmesBryant>
+ * @license GPL-3.0
+ * @version 1.0.0
+ */
+
+import { harmony, scale, shades, tints } from './color-palette.js';
+
+/**
+ * The element's base class; a stand-in where there is no DOM, so importing doesn't throw.
+ * @type {typeof HTMLElement}
+ */
+const BaseElement = globalThis.HTMLElement ?? class {};
+
+/**
+ * Renders swatches generated from the value of a linked `<a-color>`.
+ * Clicking a swatch writes its color back to the picker.
+ *
+ * Features:
+ * - Tint/shade ramps in OKLCH lightness ('scale', 'tints', 'shades').
+ * - Harmony schemes ('complementary', 'analogous', 'triadic', 'tetradic', 'split-complementary').
+ * - Swatches are written in the picker's active colorspace.
+ *
+ * @tagname a-color-palette
+ * @extends HTMLElement
+ */
+export class AColorPalette extends BaseElement {
+  // --- Attributes ---
+
+  /**
+   * The palette to generate.
+   * @private
+   * @type {string}
+   */
+  #scheme = 'scale';
+
+  /**
+   * How many tints and shades the ramps have.
+   * @private
+   * @type {number}
+   */
+  #steps = 5;
+
+  // -- Private Properties ---
+
+  /**
+   * Controller for managing event listeners and cleanup.
+   * @private
+   * @type {AbortController|null}
+   */
+  #abortController;
+
+  /**
+   * The colors currently shown, in the picker's format.
+   * @private
+   * @type {string[]}
+   */
+  #colors = [];
+
+  /**
+   * Watches the linked picker's value and colorspace.
+   * @private
+   * @type {MutationObserver|null}
+   */
+  #observer = null;
+
+  /**
+   * The linked picker.
+   * @private
+   * @type {HTMLElement|null}
+   */
+  #picker = null;
+
+  /**
+   * Watches the palette's document or shadow root for the 'for' target being added, removed or renamed.
+   * @private
+   * @type {MutationObserver|null}
+   */
+  #rootObserver = null;
+
+  /**
+   * Reference to the shadow DOM swatch container.
+   * @private
+   * @type {HTMLElement}
+   */
+  #swatches;
+
+  // --- Static Public Properties ---
+
+  /**
+   * Attributes to observe for the lifecycle callback.
+   * @readonly
+   * @type {string[]}
+   */
+  static observedAttributes = ['for', 'scheme', 'steps'];
+
+  /**
+   * The HTML template for the shadow DOM. Null outside a browser.
+   * @type {HTMLTemplateElement|null}
+   */
+  static template = globalThis.document?.createElement('template') ?? null;
+
+  /**
+   * Static initialization block to populate the template.
+   */
+  static {
+    const html = `
+      <style>
+        :host { display: block; }
+        [part~="swatches"] { display: flex; flex-wrap: wrap; gap: 0.25em; }
+        [part~="swatch"] {
+          width: 2em;
+          height: 2em;
+          padding: 0;
+          border: 1px solid rgb(0 0 0 / 0.2);
+          border-radius: 0.25em;
+          cursor: pointer;
+        }
+        [part~="base"] { outline: 2px solid currentColor; outline-offset: 1px; }
+      </style>
+      <div part="swatches" role="group" aria-label="Palette"></div>
+    `;
+    if (this.template) this.template.innerHTML = html;
+  }
+
+  /**
+   * Initializes the element and attaches the shadow DOM.
+   */
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+  }
+
+  // --- Lifecycle ---
+
+  /**
+   * Called when one of the observed attributes changes.
+   *
+   * @param {string} attr - The name of the attribute that changed.
+   * @param {string|null} oldval - The previous value of the attribute.
+   * @param {string|null} newval - The new value of the attribute.
+   */
+  attributeChangedCallback(attr, oldval, newval) {
+    if (oldval === newval) return;
+
+    if (attr === 'for') {
+      this.#link();
+    } else if (attr === 'scheme') {
+      this.#scheme = newval || 'scale';
+      this.#render();
+    } else if (attr === 'steps') {
+      const steps = parseInt(newval, 10);
+      this.#steps = steps > 0 ? steps : 5;
+      this.#render();
+    }
+  }
+
+  /**
+   * Called when the element is inserted into the DOM.
+   * Links the picker named by 'for' and renders the swatches.
+   */
+  connectedCallback() {
+    if (this.#abortController) this.#abortController.abort();
+    this.#abortController = new AbortController();
+    const { signal } = this.#abortController;
+
+    if (!this.shadowRoot.hasChildNodes()) {
+      this.shadowRoot.append(AColorPalette.template.content.cloneNode(true));
+    }
+    this.#swatches = this.shadowRoot.querySelector('[part="swatches"]');
+    this.#swatches.addEventListener('click', this.#handleClick.bind(this), { signal });
+
+    // Until <a-color> is defined, the target has none of its properties
+    if (!customElements.get('a-color')) {
+      customElements.whenDefined('a-color').then(() => {
+        if (!signal.aborted) this.#link();
+      });
+    }
+    this.#link();
+  }
+
+  /**
+   * Called when the element is removed from the DOM.
+   * Stops watching the picker and removes event listeners.
+   */
+  disconnectedCallback() {
+    if (this.#abortController) {
+      this.#abortController.abort();
+      this.#abortController = null;
+    }
+    this.#observer?.disconnect();
+    this.#observer = null;
+    this.#rootObserver?.disconnect();
+    this.#rootObserver = null;
+    this.#picker = null;
+  }
+
+  // --- Private Methods ---
+
+  /**
+   * Finds the `<a-color>` named by 'for'.
+   *
+   * @private
+   * @returns {HTMLElement|null} The picker, or null if there is none or it hasn't been upgraded yet.
+   */
+  #findPicker() {
+    const id = this.getAttribute('for');
+    const AColor = customElements.get('a-color');
+    if (!id || !AColor || !this.isConnected) return null;
+    const target = this.getRootNode().getElementById?.(id);
+    return target instanceof AColor ? target : null;
+  }
+
+  /**
+   * Generates the palette's colors from a value.
+   *
+   * @private
+   * @param {string} value - The picker's value.
+   * @returns {{colors: string[], base: number}} The colors and the index of the picker's own color (-1 if absent).
+   */
+  #generate(value) {
+    const options = {
+      steps: this.#steps,
+      format: this.#picker.activeColorspace,
+      gamutMapping: this.#picker.gamutMapping
+    };
+
+    switch (this.#scheme) {
+      case 'tints': return { colors: tints(value, options), base: -1 };
+      case 'shades': return { colors: shades(value, options), base: -1 };
+      case 'scale': return { colors: scale(value, options), base: this.#steps };
+      default: return { colors: harmony(value, this.#scheme, options), base: 0 };
+    }
+  }
+
+  /**
+   * Writes the clicked swatch's color to the picker, as if the user had picked it there.
+   *
+   * @private
+   * @param {MouseEvent} event - The click event.
+   */
+  #handleClick(event) {
+    const swatch = event.target.closest('[part~="swatch"]');
+    if (!swatch || !this.#picker) return;
+
+    this.#picker.pickColor(swatch.dataset.value, 'swatch');
+  }
+
+  /**
+   * Finds the picker named by 'for' and re-renders whenever its color or colorspace changes.
+   * Links again when a different element takes the id, e.g. a picker inserted later.
+   *
+   * @private
+   */
+  #link() {
+    this.#observer?.disconnect();
+    this.#rootObserver?.disconnect();
+    this.#picker = this.#findPicker();
+
+    if (this.#picker) {
+      this.#observer ??= new MutationObserver(() => this.#render());
+      this.#observer.observe(this.#picker, {
+        attributes: true,
+        attributeFilter: ['value', 'colorspace', 'gamut-mapping']
+      });
+    }
+    if (this.getAttribute('for') && this.isConnected) {
+      this.#rootObserver ??= new MutationObserver(() => {
+        if (this.#findPicker() !== this.#picker) this.#link();
+      });
+      this.#rootObserver.observe(this.getRootNode(), {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: ['id']
+      });
+    }
+    this.#render();
+  }
+
+  /**
+   * Draws one swatch per generated color.
+   *
+   * @private
+   */
+  #render() {
+    if (!this.#swatches) return;
+    // References such as var(--brand) can only be resolved by the picker
+    const value = this.#picker?.resolvedValue;
+    let colors = [], base = -1;
+
+    if (value) {
+      try {
+        ({ colors, base } = this.#generate(value));
+      } catch (error) {
+        console.warn(`a-color-palette: cannot build "${this.#scheme}"`, error);
+      }
+    }
+
+    this.#colors = colors;
+    this.#swatches.replaceChildren(...colors.map((color, i) => {
+      const swatch = document.createElement('button');
+      swatch.type = 'button';
+      swatch.setAttribute('part', i === base ? 'swatch base' : 'swatch');
+      swatch.style.background = color;
+      swatch.title = color;
+      swatch.setAttribute('aria-label', color);
+      swatch.dataset.value = color;
+      return swatch;
+    }));
+  }
+
+  // --- Getters / Setters
+
+  /**
+   * The colors currently shown, in the picker's active colorspace.
+   * @type {string[]}
+   */
+  get colors() { return [...this.#colors]; }
+
+  /**
+   * Gets or sets the id of the linked `<a-color>`.
+   * Reflects to the 'for' attribute.
+   * @type {string}
+   */
+  get htmlFor() { return this.getAttribute('for') ?? ''; }
+  set htmlFor(value) { this.setAttribute('for', value); }
+
+  /**
+   * Gets or sets the palette to generate: 'scale' (default), 'tints', 'shades', or a harmony
+   * scheme ('complementary', 'analogous', 'triadic', 'tetradic', 'split-complementary').
+   * Reflects to the 'scheme' attribute.
+   * @type {string}
+   */
+  get scheme() { return this.#scheme; }
+  set scheme(value) { this.setAttribute('scheme', value); }
+
+  /**
+   * Gets or sets how many tints and shades the ramps have.
+   * Reflects to the 'steps' attribute.
+   * @type {number}
+   */
+  get steps() { return this.#steps; }
+  set steps(value) { this.setAttribute('steps', value); }
+}
+
+if (globalThis.customElements && !customElements.get('a-color-palette')) {
+  customElements.define('a-color-palette', AColorPalette);
+}
@@ -1,301 +1,3004 @@
 /**
- * @file A custom color picker component that extends the native input type="color".
+ * @file A form-associated color picker element that uses the native input type="color"
+ * or its own inline picker, and reads and writes any CSS color format.
  * @module AColor
- * Supports various color spaces (RGB, HSL, OKLCH, etc.) and event throttling.
  * @author Holmes Bryant <https://github.com/HolmesBryant>
  * @license GPL-3.0
  * @version 1.0.0
  */
 
-import { toHex, hexTo } from './color-conversion.js';
+import {
+  ColorParseError, FORMATS, SPACES, contrastRatio, convert, inGamut, parse, parseColor, serialize, toHex
+} from './color-conversion.js';
+import { extractPalette } from './image-palette.js';
 
 /**
- * A custom element that wraps a native `<input type="color">`.
+ * The OKLCH chroma at the right edge of the inline picker's area.
+ * Enough to reach the edge of Display P3 and most of Rec. 2020.
+ * @type {number}
+ */
+const OKLCH_MAX_CHROMA = 0.4;
+
+/**
+ * Keys that move a range input.
+ * @type {Set<string>}
+ */
+const RANGE_KEYS = new Set(['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Home', 'End', 'PageUp', 'PageDown']);
+
+/**
+ * How many colors 'from-image' offers as swatches.
+ * @type {number}
+ */
+const IMAGE_SWATCH_COUNT = 6;
+
+/**
+ * CSS system colors, which only the browser can resolve.
+ * @type {Set<string>}
+ */
+const SYSTEM_COLORS = new Set([
+  'accentcolor', 'accentcolortext', 'activetext', 'buttonborder', 'buttonface', 'buttontext',
+  'canvas', 'canvastext', 'field', 'fieldtext', 'graytext', 'highlight', 'highlighttext',
+  'linktext', 'mark', 'marktext', 'selecteditem', 'selecteditemtext', 'visitedtext'
+]);
+
+/**
+ * Whether a value depends on the page's styles: a `var()`, `currentcolor` or a system color.
+ *
+ * @param {string} text - The value.
+ * @returns {boolean} True if it has to be resolved against computed style.
+ */
+function isCssReference(text) {
+  const value = text.trim().toLowerCase();
+  return value.includes('var(') || value === 'currentcolor' || SYSTEM_COLORS.has(value);
+}
+
+/**
+ * The element's base class. Outside a browser (Node, SSR, workers) there is no HTMLElement,
+ * so a stand-in keeps the module importable; the element is only defined where the DOM exists.
+ * @type {typeof HTMLElement}
+ */
+const BaseElement = globalThis.HTMLElement ?? class {};
+
+/**
+ * Limits a number to the 0-1 range.
+ *
+ * @param {number} value - The number.
+ * @returns {number} The clamped number.
+ */
+function clamp01(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+/**
+ * The size of a canvas or image in its own pixels.
+ *
+ * @param {HTMLCanvasElement|HTMLImageElement} source - The canvas or image.
+ * @returns {number[]} The width and height; zero for an image that hasn't loaded.
+ */
+function intrinsicSize(source) {
+  return source instanceof HTMLImageElement
+    ? [source.naturalWidth, source.naturalHeight]
+    : [source.width, source.height];
+}
+
+/**
+ * Splits a space-separated list of CSS colors, keeping functional notations
+ * such as `rgb(0 0 0 / 0.5)` together.
+ *
+ * @param {string} text - The list.
+ * @returns {string[]} The colors.
+ */
+function splitColors(text) {
+  const colors = [];
+  let depth = 0, current = '';
+  for (const char of text) {
+    if (char === '(') depth++;
+    else if (char === ')') depth = Math.max(0, depth - 1);
+
+    if (/\s/.test(char) && depth === 0) {
+      if (current) colors.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current) colors.push(current);
+  return colors;
+}
+
+/**
+ * The `detail` of the element's input, change and colorspacechange events.
+ *
+ * @typedef {Object} ColorEventDetail
+ * @property {string|null} value - The value, in the active format.
+ * @property {string|null} hex - The value as hex (8 digits when translucent).
+ * @property {string|null} previous - For input, the value before this step; otherwise the value
+ *   at the last change (or the last value set from script).
+ * @property {'drag'|'keyboard'|'typed'|'swatch'|'eyedropper'|'format'|'history'|'programmatic'} source - What changed the value.
+ * @property {number|null} alpha - The opacity, 0-1.
+ * @property {Object<string, number[]>|null} coords - The color's coordinates in each of `SPACES`.
+ */
+
+/**
+ * A form-associated color picker. By default it opens the native `<input type="color">`;
+ * with `mode="inline"` it shows its own area and hue slider instead.
  *
  * Features:
- * - Supports multiple color formats (hex, rgb, hsl, lch, oklch, etc.).
+ * - Supports multiple color formats (hex, rgb, hsl, lab, oklch, color(display-p3 ...), etc.).
  * - Automatically detects input format to maintain consistency.
- * - 'defer' attribute to suppress high-frequency input events during dragging.
- * - Integration with global `window.abind` for state management (optional).
+ * - CSS Color 4 gamut mapping for out-of-gamut colors ('gamut-mapping' attribute).
+ * - Preserves the alpha channel, with an optional opacity slider ('alpha' attribute).
+ * - 'defer' attribute to suppress high-frequency input events during dragging, or 'throttle',
+ *   'debounce' and 'animation-frame' to rate-limit them.
+ * - Events carry the value, hex, previous value, source and coordinates in every space as `detail`.
+ * - Optional built-in picker with a 2D area and hue slider ('mode="inline"').
+ * - Optional text field for typing or pasting any CSS color ('editable' attribute).
+ * - Names the nearest CSS named color within a tolerance ('name-tolerance' attribute).
+ * - Live WCAG contrast against another color, with an optional minimum ('contrast-against', 'min-contrast').
+ * - Optional format switcher that sets 'colorspace' ('show-format' and 'formats' attributes).
+ * - Preset swatches ('swatches' attribute or a child `<datalist>`) and remembered recent colors ('recent').
+ * - Optional eyedropper button, falling back to sampling a page canvas or image ('eyedropper', 'sample-source').
+ * - Suggests the dominant colors of a page image as swatches ('from-image').
+ * - Accepts `var()`, `currentcolor` and system colors, optionally re-resolved on theme changes
+ *   ('watch-vars'), and writes picks to a custom property ('bind-var', 'bind-target').
+ * - Keyboard operable controls with ARIA slider semantics; 'label' / 'aria-label' are forwarded.
+ * - Optional undo/redo history of committed values, with Ctrl/Cmd+Z ('history' attribute).
+ * - Form participation (name, required, disabled, reset and state restore).
+ * - Pluggable bindings for state libraries (`AColor.addBinding()` or the 'a-color:update' event),
+ *   with `window.abind` supported out of the box.
  *
  * @tagname a-color
  * @extends HTMLElement
- * @fires input - Fired when the color is changed (unless deferred).
- * @fires change - Fired when the user commits a color selection.
+ * @fires input - Fired when the color is changed (unless deferred). A CustomEvent; see `ColorEventDetail`.
+ * @fires change - Fired when the user commits a color selection. A CustomEvent; see `ColorEventDetail`.
+ * @fires colorspacechange - Fired when the user picks another format with the format switcher.
+ * @fires historychange - Fired when the undo history changes. `detail` has `canUndo` and `canRedo`.
+ * @fires a-color:update - Fired whenever an observed attribute changes. `detail` has `attribute`, `value`
+ *   and `oldValue`.
  */
-class AColor extends HTMLElement {
+export class AColor extends BaseElement {
   // --- Attributes ---
 
   /**
-   * The target color space for output values.
+   * Whether the opacity slider is shown.
+   * @private
+   * @type {boolean}
+   */
+  #alpha = false;
+
+  /**
+   * Whether input events are coalesced to one per animation frame.
+   * @private
+   * @type {boolean}
+   */
+  #animationFrame = false;
+
+  /**
+   * Selector of the element 'bind-var' is set on.
+   * @private
+   * @type {string|null}
+   */
+  #bindTarget = null;
+
+  /**
+   * The custom property picks are written to.
+   * @private
+   * @type {string|null}
+   */
+  #bindVar = null;
+
+  /**
+   * The target color space for output values.
+   * @private
+   * @type {string|undefined}
+   */
+  #colorspace;
+
+  /**
+   * The color contrast is measured against.
+   * @private
+   * @type {{space: string, coords: number[], alpha: number}|null}
+   */
+  #contrastAgainst = null;
+
+  /**
+   * Milliseconds without input before an input event is fired, or 0 for none.
+   * @private
+   * @type {number}
+   */
+  #debounce = 0;
+
+  /**
+   * Internal state for defer behavior.
+   * @private
+   * @type {boolean}
+   */
+  #defer = false;
+
+  /**
+   * Whether setting the value from script fires input and change events.
+   * @private
+   * @type {boolean}
+   */
+  #emitProgrammatic = false;
+
+  /**
+   * Whether the text field is shown.
+   * @private
+   * @type {boolean}
+   */
+  #editable = false;
+
+  /**
+   * Whether the eyedropper button is shown.
+   * @private
+   * @type {boolean}
+   */
+  #eyedropper = false;
+
+  /**
+   * The formats offered by the format switcher, or null for all of them.
+   * @private
+   * @type {string[]|null}
+   */
+  #formats = null;
+
+  /**
+   * Selector for the `<img>` or `<canvas>` whose dominant colors are offered as swatches.
+   * @private
+   * @type {string|null}
+   */
+  #fromImage = null;
+
+  /**
+   * How colors outside sRGB are brought into gamut for sRGB-only formats and the native input.
+   * @private
+   * @type {'clip'|'css4'}
+   */
+  #gamutMapping = 'clip';
+
+  /**
+   * The most values the undo history keeps, or 0 for no history.
+   * @private
+   * @type {number}
+   */
+  #historyLimit = 0;
+
+  /**
+   * The lowest acceptable contrast ratio against `#contrastAgainst`, or null for none.
+   * @private
+   * @type {number|null}
+   */
+  #minContrast = null;
+
+  /**
+   * Which picker UI is shown: the native input or the built-in inline picker.
+   * @private
+   * @type {'native'|'inline'}
+   */
+  #mode = 'native';
+
+  /**
+   * The largest CIEDE2000 distance at which colorspace 'name' uses the nearest named color.
+   * @private
+   * @type {number}
+   */
+  #nameTolerance = 0;
+
+  /**
+   * The localStorage key recent colors are kept under, or null to not keep them.
+   * @private
+   * @type {string|null}
+   */
+  #recent = null;
+
+  /**
+   * How many recent colors are kept.
+   * @private
+   * @type {number}
+   */
+  #recentLimit = 8;
+
+  /**
+   * Selector for the `<canvas>` or `<img>` sampled where the EyeDropper API is missing.
+   * @private
+   * @type {string|null}
+   */
+  #sampleSource = null;
+
+  /**
+   * Whether the format switcher is shown.
+   * @private
+   * @type {boolean}
+   */
+  #showFormat = false;
+
+  /**
+   * Whether picks below `#minContrast` are moved to the nearest lightness that passes.
+   * @private
+   * @type {boolean}
+   */
+  #snapContrast = false;
+
+  /**
+   * The preset colors from the 'swatches' attribute.
+   * @private
+   * @type {string[]}
+   */
+  #swatches = [];
+
+  /**
+   * The least milliseconds between input events, or 0 for no limit.
+   * @private
+   * @type {number}
+   */
+  #throttle = 0;
+
+  /**
+   * Whether a `var()` or system color value is resolved again when the theme changes.
+   * @private
+   * @type {boolean}
+   */
+  #watchVars = false;
+
+  /**
+   * Whether the color is required for form validation.
+   * @private
+   * @type {boolean}
+   */
+  #required = false;
+
+  /**
+   * The current color value.
+   * @private
+   * @type {string|undefined}
+   */
+  #value;
+
+  // -- Private Properties ---
+
+  /**
+   * Controller for managing event listeners and cleanup.
+   * @private
+   * @type {AbortController|null}
+   */
+  #abortController;
+
+  /**
+   * Reference to the shadow DOM opacity slider.
+   * @private
+   * @type {HTMLInputElement}
+   */
+  #alphaInput;
+
+  /**
+   * Reference to the inline picker's 2D area.
+   * @private
+   * @type {HTMLElement}
+   */
+  #area;
+
+  /**
+   * Canvas that draws the area when it shows OKLCH chroma and lightness.
+   * @private
+   * @type {HTMLCanvasElement}
+   */
+  #areaCanvas;
+
+  /**
+   * The hue the area canvas was last drawn for.
+   * @private
+   * @type {number|null}
+   */
+  #areaCanvasHue = null;
+
+  /**
+   * The pointer currently dragging the area thumb, if any.
+   * @private
+   * @type {number|null}
+   */
+  #areaPointerId = null;
+
+  /**
+   * Reference to the inline picker's area thumb.
+   * @private
+   * @type {HTMLElement}
+   */
+  #areaThumb;
+
+  /**
+   * The control whose keyboard changes are committed when the key is released,
+   * so holding an arrow key fires one change event instead of one per step.
+   * @private
+   * @type {HTMLElement|null}
+   */
+  #keyCommit = null;
+
+  /**
+   * Reference to the shadow DOM contrast readout.
+   * @private
+   * @type {HTMLElement}
+   */
+  #contrastOutput;
+
+  /**
+   * The parsed current color, kept at full precision.
+   * The native input only ever receives a hex approximation of it.
+   * @private
+   * @type {{space: string, coords: number[], alpha: number}|null}
+   */
+  #color = null;
+
+  /**
+   * The value at the last change event, or the last value set from script.
+   * Reported as `previous` by change events.
+   * @private
+   * @type {string|undefined}
+   */
+  #committedValue;
+
+  /**
+   * A color being applied by the component itself.
+   * Lets the 'value' attribute callback keep full precision instead of re-parsing the rounded string.
+   * @private
+   * @type {{space: string, coords: number[], alpha: number}|null}
+   */
+  #pendingColor = null;
+
+  /**
+   * The `value` attribute when the element was first connected, restored by form resets.
+   * Undefined until then, null if there was none.
+   * @private
+   * @type {string|null|undefined}
+   */
+  #defaultValue;
+
+  /**
+   * Whether the element is disabled, either directly or by an ancestor fieldset.
+   * @private
+   * @type {boolean}
+   */
+  #disabled = false;
+
+  /**
+   * Reference to the shadow DOM eyedropper button.
+   * @private
+   * @type {HTMLButtonElement}
+   */
+  #eyedropperButton;
+
+  /**
+   * Reference to the shadow DOM format switcher.
+   * @private
+   * @type {HTMLSelectElement}
+   */
+  #formatSelect;
+
+  /**
+   * Stops following the 'from-image' source.
+   * @private
+   * @type {AbortController|null}
+   */
+  #imageController = null;
+
+  /**
+   * The dominant colors of the 'from-image' source.
+   * @private
+   * @type {string[]}
+   */
+  #imageSwatches = [];
+
+  /**
+   * The committed values in the undo history, oldest first.
+   * @private
+   * @type {string[]}
+   */
+  #historyEntries = [];
+
+  /**
+   * The position of the current value in `#historyEntries`.
+   * @private
+   * @type {number}
+   */
+  #historyIndex = -1;
+
+  /**
+   * Reference to the inline picker's hue slider.
+   * @private
+   * @type {HTMLInputElement}
+   */
+  #hueInput;
+
+  /**
+   * The animation frame that fires the pending input event, if one is requested.
+   * @private
+   * @type {number|null}
+   */
+  #inputFrame = null;
+
+  /**
+   * The timeout that fires the pending input event, if one is set.
+   * @private
+   * @type {number|null}
+   */
+  #inputTimer = null;
+
+  /**
+   * Reference to the shadow DOM input element.
+   * @private
+   * @type {HTMLInputElement}
+   */
+  #input;
+
+  /**
+   * The ElementInternals used for form participation.
+   * @private
+   * @type {ElementInternals}
+   */
+  #internals;
+
+  /**
+   * When the last rate-limited input event was fired (`performance.now()`).
+   * @private
+   * @type {number}
+   */
+  #lastInputTime = -Infinity;
+
+  /**
+   * Watches the light DOM for changes to a `<datalist>` of swatches.
+   * @private
+   * @type {MutationObserver|null}
+   */
+  #lightObserver = null;
+
+  /**
+   * An input event held back by 'throttle', 'debounce' or 'animation-frame'.
+   * `previous` is kept from the first of the steps it stands for.
+   * @private
+   * @type {{origin: string, previous: string|undefined}|null}
+   */
+  #pendingInput = null;
+
+  /**
+   * Why the last color string failed to parse, if it did.
+   * @private
+   * @type {ColorParseError|null}
+   */
+  #parseError = null;
+
+  /**
+   * Reference to the inline picker container.
+   * @private
+   * @type {HTMLElement}
+   */
+  #picker;
+
+  /**
+   * Position of the inline picker's controls. `x` and `y` run 0-1 across the area,
+   * `hue` is in degrees. Kept separately from the color so a deferred drag
+   * can move the thumbs without changing the value.
+   * @private
+   * @type {{x: number, y: number, hue: number}}
+   */
+  #pickerState = { x: 0, y: 1, hue: 0 };
+
+  /**
+   * What last moved the hue or opacity slider, for the events' `source`.
+   * @private
+   * @type {'drag'|'keyboard'}
+   */
+  #rangeOrigin = 'drag';
+
+  /**
+   * Hidden shadow DOM element that CSS references are resolved on.
+   * @private
+   * @type {HTMLElement}
+   */
+  #probe;
+
+  /**
+   * The value when it is a `var()`, `currentcolor` or system color, otherwise null.
+   * @private
+   * @type {string|null}
+   */
+  #reference = null;
+
+  /**
+   * The format the browser resolved the reference to (usually 'rgb').
+   * @private
+   * @type {string}
+   */
+  #referenceFormat = 'hex';
+
+  /**
+   * Reference to the shadow DOM container of recent colors.
+   * @private
+   * @type {HTMLElement}
+   */
+  #recentList;
+
+  /**
+   * Reference to the shadow DOM container of preset swatches.
+   * @private
+   * @type {HTMLElement}
+   */
+  #swatchList;
+
+  /**
+   * Ends the current eyedropper or sampling session, if one is open.
+   * @private
+   * @type {AbortController|null}
+   */
+  #samplingController = null;
+
+  /**
+   * Whether undo or redo is setting the value.
+   * @private
+   * @type {boolean}
+   */
+  #restoring = false;
+
+  /**
+   * Reference to the shadow DOM text field.
+   * @private
+   * @type {HTMLInputElement}
+   */
+  #textInput;
+
+  /**
+   * Stops listening for color scheme changes.
+   * @private
+   * @type {AbortController|null}
+   */
+  #themeController = null;
+
+  /**
+   * Watches the root and body for theme changes ('watch-vars').
+   * @private
+   * @type {MutationObserver|null}
+   */
+  #themeObserver = null;
+
+  // --- Static Private Properties ---
+
+  /**
+   * Callbacks told about every attribute change of every instance (see `addBinding`).
+   * a-bind registers itself as `window.abind`, so it is always included.
+   * @private
+   * @type {Set<Function|{update: Function}>}
+   */
+  static #bindings = new Set([
+    (element, attr, value) => globalThis.abind?.update?.(element, attr, value)
+  ]);
+
+  // --- Static Public Properties ---
+
+  /**
+   * Allows the element to participate in forms.
+   * @readonly
+   * @type {boolean}
+   */
+  static formAssociated = true;
+
+  /**
+   * Attributes to observe for the lifecycle callback.
+   * @readonly
+   * @type {string[]}
+   */
+  static observedAttributes = [
+    'alpha',
+    'animation-frame',
+    'aria-label',
+    'bind-target',
+    'bind-var',
+    'colorspace',
+    'contrast-against',
+    'debounce',
+    'defer',
+    'editable',
+    'emit-programmatic',
+    'eyedropper',
+    'formats',
+    'from-image',
+    'gamut-mapping',
+    'history',
+    'label',
+    'min-contrast',
+    'mode',
+    'name-tolerance',
+    'recent',
+    'recent-limit',
+    'required',
+    'sample-source',
+    'show-format',
+    'snap-contrast',
+    'swatches',
+    'throttle',
+    'value',
+    'watch-vars'
+  ];
+
+  /**
+   * The HTML template for the shadow DOM. Null outside a browser.
+   * @type {HTMLTemplateElement|null}
+   */
+  static template = globalThis.document?.createElement('template') ?? null;
+
+  /**
+   * Static initialization block to populate the template.
+   */
+  static {
+    const oklchHues = Array.from({ length: 13 }, (_, i) => `oklch(0.75 0.15 ${i * 30})`).join(', ');
+
+    const html = `
+      <style>
+        :host { display: inline-flex; align-items: center; gap: 0.25em; }
+        :host([mode="inline"]) { flex-direction: column; align-items: stretch; gap: 0.5em; width: 12em; }
+        [part~="picker"] { display: flex; flex-direction: column; gap: 0.5em; }
+        [part~="area"] {
+          position: relative;
+          aspect-ratio: 1 / 1;
+          border-radius: 0.25em;
+          cursor: crosshair;
+          touch-action: none;
+          background:
+            linear-gradient(to top, #000, transparent),
+            linear-gradient(to right, #fff, hsl(var(--a-color-hue, 0) 100% 50%));
+        }
+        [part~="area"]:focus-visible { outline: 2px solid Highlight; outline-offset: 2px; }
+        [part~="area"] canvas { position: absolute; inset: 0; width: 100%; height: 100%; border-radius: inherit; }
+        [part~="area-thumb"] {
+          position: absolute;
+          width: 0.75em;
+          height: 0.75em;
+          border: 2px solid #fff;
+          border-radius: 50%;
+          box-shadow: 0 0 0 1px rgb(0 0 0 / 0.5);
+          transform: translate(-50%, -50%);
+          pointer-events: none;
+        }
+        :host([mode="inline"]) input[type="range"] {
+          appearance: none;
+          height: 0.75em;
+          margin: 0;
+          border-radius: 0.375em;
+        }
+        :host([mode="inline"]) input[type="range"]::-webkit-slider-thumb {
+          appearance: none;
+          width: 0.75em;
+          height: 0.75em;
+          border: 2px solid #fff;
+          border-radius: 50%;
+          box-shadow: 0 0 0 1px rgb(0 0 0 / 0.5);
+        }
+        :host([mode="inline"]) input[type="range"]::-moz-range-thumb {
+          width: 0.75em;
+          height: 0.75em;
+          border: 2px solid #fff;
+          border-radius: 50%;
+          box-shadow: 0 0 0 1px rgb(0 0 0 / 0.5);
+        }
+        [part~="hue"] { background: linear-gradient(to right, red, yellow, lime, cyan, blue, magenta, red); }
+        [data-model="oklch"] [part~="hue"] { background: linear-gradient(to right, ${oklchHues}); }
+        :host([mode="inline"]) [part~="alpha"] {
+          background:
+            linear-gradient(to right, transparent, var(--a-color-opaque, #000)),
+            repeating-conic-gradient(#ccc 0 25%, #fff 0 50%) 0 0 / 0.5em 0.5em;
+        }
+        [part~="format"] { font: inherit; }
+        [part~="eyedropper"] { display: inline-grid; place-items: center; padding: 0.2em; font: inherit; cursor: pointer; }
+        [part~="eyedropper"][aria-pressed="true"] { outline: 2px solid Highlight; }
+        [part~="contrast"] { display: inline-flex; align-items: center; gap: 0.25em; font-variant-numeric: tabular-nums; }
+        [part~="contrast-badge"] {
+          padding: 0 0.4em;
+          border-radius: 0.25em;
+          font-size: 0.8em;
+          font-weight: bold;
+          color: #fff;
+          background: #17803d;
+        }
+        [part~="contrast-badge"][part~="fail"] { background: #c1121f; }
+        [part~="swatches"], [part~="recent"] { display: flex; flex-wrap: wrap; gap: 0.25em; }
+        [part~="swatch"] {
+          width: 1.25em;
+          height: 1.25em;
+          padding: 0;
+          border: 1px solid rgb(0 0 0 / 0.2);
+          border-radius: 0.25em;
+          cursor: pointer;
+        }
+        [part~="swatch"]:disabled { cursor: default; opacity: 0.5; }
+        [part~="text"] { width: 16ch; min-width: 0; font: inherit; }
+        [part~="invalid"] { outline: 2px solid #d00; outline-offset: -1px; }
+        :host(:disabled) [part~="area"] { cursor: default; opacity: 0.5; }
+        [hidden] { display: none !important; }
+      </style>
+      <input part="input" type="color" />
+      <div part="picker" role="group" hidden>
+        <div part="area" role="slider" tabindex="0" aria-valuemin="0" aria-valuemax="100" aria-valuenow="0">
+          <canvas width="64" height="64" hidden></canvas>
+          <div part="area-thumb"></div>
+        </div>
+        <input part="hue" type="range" min="0" max="360" step="1" value="0" aria-label="Hue" />
+      </div>
+      <input part="alpha" type="range" min="0" max="1" step="0.01" value="1" aria-label="Opacity" hidden />
+      <button part="eyedropper" type="button" aria-label="Pick a color from the screen" title="Pick a color from the screen" hidden>
+        <svg viewBox="0 0 24 24" width="1em" height="1em" aria-hidden="true">
+          <path fill="currentColor" d="M20.71 5.63l-2.34-2.34a1 1 0 0 0-1.41 0l-3.12 3.12-1.93-1.91-1.41 1.41 1.42 1.42L3 16.25V21h4.75l8.92-8.92 1.42 1.42 1.41-1.41-1.92-1.92 3.12-3.12a1 1 0 0 0 .01-1.42zM6.92 19L5 17.08l8.06-8.06 1.92 1.92L6.92 19z"/>
+        </svg>
+      </button>
+      <input part="text" type="text" spellcheck="false" autocomplete="off" aria-label="Color value" hidden />
+      <select part="format" aria-label="Color format" hidden></select>
+      <span part="contrast" hidden>
+        <span part="contrast-ratio"></span>
+        <span part="contrast-badge"></span>
+      </span>
+      <div part="swatches" role="group" aria-label="Swatches" hidden></div>
+      <div part="recent" role="group" aria-label="Recent colors" hidden></div>
+      <span data-probe hidden></span>
+    `;
+    if (this.template) this.template.innerHTML = html;
+  }
+
+  // --- Static Public Methods ---
+
+  /**
+   * Subscribes a state library to every `<a-color>`. The binding is called after each change of an
+   * observed attribute (including 'value' on every pick) with the element, the attribute name and
+   * the new value (null when removed).
+   *
+   * @param {Function|{update: Function}} binding - A function `(element, attr, value)`,
+   *   or an object with an `update` method of that shape (such as a-bind's `window.abind`).
+   * @returns {Function} Removes the binding again.
+   */
+  static addBinding(binding) {
+    AColor.#bindings.add(binding);
+    return () => AColor.#bindings.delete(binding);
+  }
+
+  /**
+   * Initializes the web component and attaches the shadow DOM.
+   */
+  constructor() {
+    super();
+    this.#internals = this.attachInternals();
+    this.attachShadow({ mode: 'open', delegatesFocus: true });
+  }
+
+  // --- Lifecycle ---
+
+  /**
+   * Called when one of the observed attributes changes.
+   * Handles synchronization between attributes, properties, and the internal input.
+   *
+   * @param {string} attr - The name of the attribute that changed.
+   * @param {string|null} oldval - The previous value of the attribute.
+   * @param {string|null} newval - The new value of the attribute.
+   */
+  attributeChangedCallback(attr, oldval, newval) {
+    if (oldval === newval) return;
+
+    if (attr === 'alpha') {
+      this.#alpha = newval !== 'false' && newval !== null;
+      if (this.#alphaInput) this.#alphaInput.hidden = !this.#alpha;
+    } else if (attr === 'animation-frame') {
+      this.#animationFrame = newval !== 'false' && newval !== null;
+      this.#flushInput();
+    } else if (attr === 'bind-target') {
+      this.#bindTarget = newval || null;
+      this.#writeBoundVar();
+    } else if (attr === 'bind-var') {
+      this.#bindVar = newval?.startsWith('--') ? newval : null;
+      this.#writeBoundVar();
+    } else if (attr === 'colorspace') {
+      this.#colorspace = newval;
+
+      // Attempt to convert current value to new colorspace immediatey
+      if (this.#color && newval && !this.#reference) {
+        try {
+          const converted = this.#serialize(this.#color, newval);
+          // Prevent recursion: only update if the string representation actually changes
+          if (converted !== this.#value) {
+            this.#setColor(this.#color, converted);
+          }
+        } catch (error) {
+          console.warn('Conversion failed during colorspace change', error);
+        }
+      }
+      // The area switches between HSV and OKLCH with the output format
+      this.#syncPicker(this.#color);
+      this.#syncFormat();
+    } else if (attr === 'value') {
+      const fromScript = !this.#pendingColor;
+      const reference = fromScript && newval !== null && isCssReference(newval);
+      let color = this.#pendingColor;
+      let error = null;
+      if (reference) {
+        color = this.#resolveReference(newval);
+        if (!color) error = this.#unresolved(newval);
+      } else if (!color && newval !== null) {
+        try {
+          color = parseColor(newval.trim());
+        } catch (parseError) {
+          error = parseError;
+        }
+      }
+      // Before connecting there are no computed styles yet; resolved in connectedCallback
+      const deferred = reference && !color && !this.isConnected;
+
+      if (newval === null) {
+        this.#value = undefined;
+        this.#color = null;
+        this.#reference = null;
+        this.#parseError = null;
+        this.#updateTextValue('');
+        this.#updateContrast();
+      } else if (color || deferred) {
+        this.#value = newval;
+        this.#color = color;
+        this.#reference = reference ? newval : null;
+        this.#parseError = null;
+        this.#updateInputValue(newval, color);
+      } else {
+        this.#parseError = error;
+      }
+      this.#updateFormValue();
+      if (!this.#reference) this.#writeBoundVar();
+
+      // The component's own controls dispatch their events themselves
+      if (fromScript && (color || deferred || newval === null)) {
+        if ((this.#emitProgrammatic || this.#restoring) && this.#input) {
+          const origin = this.#restoring ? 'history' : 'programmatic';
+          this.#dispatch('input', origin, this.#committedValue);
+          this.#dispatch('change', origin);
+        } else {
+          this.#committedValue = this.#value;
+        }
+      }
+    } else if (attr === 'contrast-against') {
+      this.#contrastAgainst = newval ? parse(newval) : null;
+      this.#updateContrast();
+    } else if (attr === 'debounce' || attr === 'throttle') {
+      const ms = parseFloat(newval);
+      if (attr === 'debounce') this.#debounce = ms > 0 ? ms : 0;
+      else this.#throttle = ms > 0 ? ms : 0;
+      this.#flushInput();
+    } else if (attr === 'defer') {
+      this.#defer = newval !== 'false' && newval !== null;
+    } else if (attr === 'emit-programmatic') {
+      this.#emitProgrammatic = newval !== 'false' && newval !== null;
+    } else if (attr === 'editable') {
+      this.#editable = newval !== 'false' && newval !== null;
+      if (this.#textInput) this.#textInput.hidden = !this.#editable;
+      this.#updateFormValue();
+    } else if (attr === 'eyedropper') {
+      this.#eyedropper = newval !== 'false' && newval !== null;
+      this.#updateEyedropper();
+    } else if (attr === 'formats') {
+      const formats = newval?.split(/\s+/).filter(format => FORMATS.includes(format));
+      this.#formats = formats?.length ? formats : null;
+      this.#renderFormats();
+    } else if (attr === 'from-image') {
+      this.#fromImage = newval || null;
+      this.#watchImage();
+    } else if (attr === 'gamut-mapping') {
+      this.#gamutMapping = newval === 'css4' ? 'css4' : 'clip';
+
+      // Only out-of-gamut colors look different under another mapping
+      if (this.#color && !this.#reference && !inGamut(this.#color, 'srgb')) {
+        const format = this.#colorspace || this.#detectFormat(this.#value);
+        const converted = this.#serialize(this.#color, format);
+        if (converted !== this.#value) {
+          this.#setColor(this.#color, converted);
+        } else {
+          this.#updateInputValue(this.#value, this.#color);
+        }
+      }
+    } else if (attr === 'history') {
+      const limit = parseInt(newval, 10);
+      this.#historyLimit = limit > 0 ? limit : 0;
+      this.#setHistory(this.#historyEntries, this.#historyIndex);
+    } else if (attr === 'label' || attr === 'aria-label') {
+      this.#updateLabel();
+    } else if (attr === 'min-contrast') {
+      const ratio = parseFloat(newval);
+      this.#minContrast = ratio >= 1 ? ratio : null;
+      this.#updateContrast();
+    } else if (attr === 'mode') {
+      this.#mode = newval === 'inline' ? 'inline' : 'native';
+      this.#updateMode();
+    } else if (attr === 'name-tolerance') {
+      const tolerance = parseFloat(newval);
+      this.#nameTolerance = tolerance > 0 ? tolerance : 0;
+
+      const format = this.#colorspace || this.#detectFormat(this.#value);
+      if (this.#color && !this.#reference && format === 'name') {
+        const converted = this.#serialize(this.#color, format);
+        if (converted !== this.#value) this.#setColor(this.#color, converted);
+      }
+    } else if (attr === 'recent') {
+      this.#recent = newval || null;
+      this.#renderRecent();
+    } else if (attr === 'recent-limit') {
+      const limit = parseInt(newval, 10);
+      this.#recentLimit = limit > 0 ? limit : 8;
+      this.#renderRecent();
+    } else if (attr === 'required') {
+      this.#required = newval !== null;
+      this.#updateFormValue();
+    } else if (attr === 'sample-source') {
+      this.#sampleSource = newval || null;
+      this.#updateEyedropper();
+    } else if (attr === 'show-format') {
+      this.#showFormat = newval !== 'false' && newval !== null;
+      if (this.#formatSelect) this.#formatSelect.hidden = !this.#showFormat;
+    } else if (attr === 'snap-contrast') {
+      this.#snapContrast = newval !== 'false' && newval !== null;
+    } else if (attr === 'swatches') {
+      this.#swatches = splitColors(newval ?? '');
+      this.#renderSwatches();
+    } else if (attr === 'watch-vars') {
+      this.#watchVars = newval !== 'false' && newval !== null;
+      this.#watchTheme();
+    }
+
+    this.#notifyBindings(attr, oldval, newval);
+  }
+
+  /**
+   * Called when the element is inserted into the DOM.
+   * Sets up the Shadow DOM and attaches event listeners.
+   */
+  connectedCallback() {
+    if (this.#abortController) this.#abortController.abort();
+    this.#abortController = new AbortController();
+    const { signal } = this.#abortController;
+
+    if (!this.shadowRoot.hasChildNodes()) {
+      this.shadowRoot.append(AColor.template.content.cloneNode(true));
+    }
+    if (this.#defaultValue === undefined) this.#defaultValue = this.getAttribute('value');
+
+    this.#input = this.shadowRoot.querySelector('[part="input"]');
+    this.#alphaInput = this.shadowRoot.querySelector('[part="alpha"]');
+    this.#picker = this.shadowRoot.querySelector('[part="picker"]');
+    this.#area = this.shadowRoot.querySelector('[part="area"]');
+    this.#areaCanvas = this.#area.querySelector('canvas');
+    this.#areaThumb = this.shadowRoot.querySelector('[part="area-thumb"]');
+    this.#hueInput = this.shadowRoot.querySelector('[part="hue"]');
+    this.#textInput = this.shadowRoot.querySelector('[part~="text"]');
+    this.#formatSelect = this.shadowRoot.querySelector('[part="format"]');
+    this.#eyedropperButton = this.shadowRoot.querySelector('[part="eyedropper"]');
+    this.#contrastOutput = this.shadowRoot.querySelector('[part~="contrast"]');
+    this.#swatchList = this.shadowRoot.querySelector('[part="swatches"]');
+    this.#recentList = this.shadowRoot.querySelector('[part="recent"]');
+    this.#probe = this.shadowRoot.querySelector('[data-probe]');
+    this.#renderSwatches();
+    this.#renderRecent();
+    this.#updateDisabled();
+    this.#alphaInput.hidden = !this.#alpha;
+    this.#textInput.hidden = !this.#editable;
+    this.#formatSelect.hidden = !this.#showFormat;
+    this.#updateEyedropper();
+    this.#renderFormats();
+    this.#updateContrast();
+    this.#updateMode();
+    this.#updateLabel();
+    if (this.#reference) {
+      this.#refreshReference();
+    } else if (this.#color) {
+      this.#updateInputValue(this.#value, this.#color);
+    }
+    this.#updateFormValue();
+    this.#watchTheme();
+
+    this.#input.addEventListener('input', this.#handleInputInput.bind(this), { signal });
+    this.#input.addEventListener('change', this.#handleInputChange.bind(this), { signal });
+    this.#alphaInput.addEventListener('input', this.#handleInputInput.bind(this), { signal });
+    this.#alphaInput.addEventListener('change', this.#handleInputChange.bind(this), { signal });
+    this.#alphaInput.addEventListener('input', this.#renderPicker.bind(this), { signal });
+    for (const range of [this.#alphaInput, this.#hueInput]) {
+      range.addEventListener('keydown', this.#handleRangeKeyDown.bind(this), { signal });
+      range.addEventListener('pointerdown', () => this.#rangeOrigin = 'drag', { signal });
+    }
+    for (const control of [this.#area, this.#alphaInput, this.#hueInput]) {
+      control.addEventListener('keyup', this.#handleKeyUp.bind(this), { signal });
+      control.addEventListener('blur', this.#handleKeyUp.bind(this), { signal });
+    }
+    this.#hueInput.addEventListener('input', this.#handleHueInput.bind(this), { signal });
+    this.#hueInput.addEventListener('input', this.#handleInputInput.bind(this), { signal });
+    this.#hueInput.addEventListener('change', this.#handleInputChange.bind(this), { signal });
+    this.#area.addEventListener('pointerdown', this.#handleAreaPointerDown.bind(this), { signal });
+    this.#area.addEventListener('pointermove', this.#handleAreaPointerMove.bind(this), { signal });
+    this.#area.addEventListener('pointerup', this.#handleAreaPointerUp.bind(this), { signal });
+    this.#area.addEventListener('pointercancel', this.#handleAreaPointerUp.bind(this), { signal });
+    this.#area.addEventListener('keydown', this.#handleAreaKeyDown.bind(this), { signal });
+    this.#textInput.addEventListener('input', this.#handleTextInput.bind(this), { signal });
+    this.#textInput.addEventListener('keydown', this.#handleTextKeyDown.bind(this), { signal });
+    this.#textInput.addEventListener('blur', this.#commitText.bind(this), { signal });
+    this.#formatSelect.addEventListener('input', event => event.stopPropagation(), { signal });
+    this.#formatSelect.addEventListener('change', this.#handleFormatChange.bind(this), { signal });
+    this.#eyedropperButton.addEventListener('click', this.#handleEyedropperClick.bind(this), { signal });
+    this.#swatchList.addEventListener('click', this.#handleSwatchClick.bind(this), { signal });
+    this.#recentList.addEventListener('click', this.#handleSwatchClick.bind(this), { signal });
+    this.addEventListener('change', this.#rememberRecent.bind(this), { signal });
+    this.addEventListener('change', this.#recordHistory.bind(this), { signal });
+    this.addEventListener('keydown', this.#handleKeyDown.bind(this), { signal });
+    window.addEventListener('storage', this.#handleStorage.bind(this), { signal });
+
+    // An image later in the document doesn't exist yet while the page is parsing
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => this.#watchImage(), { once: true, signal });
+    }
+    this.#watchImage();
+
+    // Swatches can also come from a child <datalist>; the host's own attributes don't affect them
+    this.#lightObserver ??= new MutationObserver(records => {
+      if (records.some(record => record.target !== this)) this.#renderSwatches();
+    });
+    this.#lightObserver.observe(this, {
+      attributes: true,
+      characterData: true,
+      childList: true,
+      subtree: true
+    });
+  }
+
+  /**
+   * Called when the element is removed from the DOM.
+   * Cleans up event listeners via the AbortController.
+   */
+  disconnectedCallback() {
+    if (this.#abortController) {
+      this.#abortController.abort();
+      this.#abortController = null;
+    }
+    this.#lightObserver?.disconnect();
+    this.#samplingController?.abort();
+    this.#imageController?.abort();
+    this.#imageController = null;
+    this.#themeController?.abort();
+    this.#themeController = null;
+    this.#themeObserver?.disconnect();
+    this.#flushInput();
+  }
+
+  // --- Form Callbacks ---
+
+  /**
+   * Called when the disabled state of the element changes, either through its own
+   * `disabled` attribute or through an ancestor `<fieldset>`.
+   *
+   * @param {boolean} disabled - Whether the element is now disabled.
+   */
+  formDisabledCallback(disabled) {
+    this.#disabled = disabled;
+    this.#updateDisabled();
+  }
+
+  /**
+   * Called when the owning form is reset. Restores the initial value.
+   */
+  formResetCallback() {
+    if (this.#defaultValue) {
+      this.value = this.#defaultValue;
+    } else {
+      this.removeAttribute('value');
+      if (this.#input) this.#input.value = '#000000';
+      if (this.#alphaInput) this.#alphaInput.value = '1';
+    }
+  }
+
+  /**
+   * Called when the browser restores the element's state (history navigation or autofill).
+   * A restored page gets its value back quietly; an autofilled value is the user's choice,
+   * so it fires input and change like a pick.
+   *
+   * @param {string|null} state - The state previously passed to `setFormValue`.
+   * @param {string} mode - Either 'restore' or 'autocomplete'.
+   */
+  formStateRestoreCallback(state, mode) {
+    if (!state) return;
+    if (mode === 'autocomplete' && parse(state)) this.pickColor(state);
+    else this.value = state;
+  }
+
+  // --- Public Methods ---
+
+  /**
+   * Checks whether the element satisfies its constraints.
+   * Fires an 'invalid' event on the element if it does not.
+   *
+   * @returns {boolean} True if the element is valid.
+   */
+  checkValidity() {
+    return this.#internals.checkValidity();
+  }
+
+  /**
+   * Empties the undo history.
+   */
+  clearHistory() {
+    this.#setHistory([], -1);
+  }
+
+  /**
+   * Forgets the recent colors kept under the 'recent' key.
+   */
+  clearRecent() {
+    if (!this.#recent) return;
+    try {
+      localStorage.removeItem(this.#recent);
+    } catch (error) {
+      console.warn('Recent colors could not be cleared', error);
+    }
+    this.#renderRecent();
+  }
+
+  /**
+   * Applies a color as if the user had picked it: converts it into the active colorspace,
+   * then fires input (unless deferred) and change events. Nothing fires if the value doesn't change.
+   *
+   * @param {string} value - Any CSS color.
+   * @param {string} [source='programmatic'] - The events' `detail.source`.
+   * @returns {string|undefined} The new value.
+   * @throws {TypeError} If the value is not a color.
+   */
+  pickColor(value, source = 'programmatic') {
+    const color = parse(value);
+    if (!color) throw new TypeError(`Invalid color: ${value}`);
+    this.#commitColor(color, this.defer ? ['change'] : ['input', 'change'], source);
+    return this.#value;
+  }
+
+  /**
+   * Lets the user pick a color from the screen, as the eyedropper button does.
+   * Uses the EyeDropper API where available. Otherwise the next click on the
+   * 'sample-source' element is sampled; Escape cancels.
+   * The picked color is converted into the active colorspace and a change event is fired.
+   *
+   * @returns {Promise<string|null>} The new value, or null if nothing was picked.
+   */
+  async pickFromScreen() {
+    this.#samplingController?.abort();
+    const controller = new AbortController();
+    this.#samplingController = controller;
+    this.#setSampling(true);
+
+    try {
+      if ('EyeDropper' in window) {
+        const { sRGBHex } = await new window.EyeDropper().open({ signal: controller.signal });
+        this.#commitColor(parse(sRGBHex), ['change'], 'eyedropper');
+        return this.#value;
+      }
+      const point = await this.#waitForSampleClick(controller.signal);
+      return point ? this.samplePixel(point.x, point.y) : null;
+    } catch (error) {
+      // The user closed the eyedropper
+      if (error.name === 'AbortError') return null;
+      throw error;
+    } finally {
+      if (this.#samplingController === controller) {
+        this.#samplingController = null;
+        this.#setSampling(false);
+      }
+    }
+  }
+
+  /**
+   * Steps forward to the value that was last undone.
+   * The value goes through the `value` setter, so `colorspace` still applies,
+   * and input and change events fire with `detail.source` 'history'.
+   *
+   * @returns {boolean} True if there was something to redo.
+   */
+  redo() {
+    if (!this.canRedo) return false;
+    this.#restoreHistory(this.#historyIndex + 1);
+    return true;
+  }
+
+  /**
+   * Checks whether the element satisfies its constraints and reports the problem to the user.
+   *
+   * @returns {boolean} True if the element is valid.
+   */
+  reportValidity() {
+    return this.#internals.reportValidity();
+  }
+
+  /**
+   * Picks the color of a pixel of the 'sample-source' `<canvas>` or `<img>`,
+   * converts it into the active colorspace and fires a change event.
+   * Coordinates are in the source's own pixels, not CSS pixels.
+   *
+   * @param {number} x - The column.
+   * @param {number} y - The row.
+   * @returns {string|null} The new value, or null if the source can't be read.
+   */
+  samplePixel(x, y) {
+    const source = this.#findImageSource(this.#sampleSource, 'sample-source');
+    const color = source && this.#readPixel(source, x, y);
+    if (!color) return null;
+    this.#commitColor(color, ['change'], 'eyedropper');
+    return this.#value;
+  }
+
+  /**
+   * Steps back to the previous committed value.
+   * The value goes through the `value` setter, so `colorspace` still applies,
+   * and input and change events fire with `detail.source` 'history'.
+   *
+   * @returns {boolean} True if there was something to undo.
+   */
+  undo() {
+    if (!this.canUndo) return false;
+    this.#restoreHistory(this.#historyIndex - 1);
+    return true;
+  }
+
+  // --- Private Methods ---
+
+  /**
+   * The model the inline picker's area uses for the current output format.
+   * sRGB formats get a saturation/brightness area; perceptual and wide-gamut
+   * formats get an OKLCH chroma/lightness area.
+   *
+   * @private
+   * @returns {'hsv'|'oklch'} The area model.
+   */
+  #areaModel() {
+    const format = this.#colorspace || this.#detectFormat(this.#value);
+    return ['hex', 'name', 'rgb', 'hsl', 'hwb', 'srgb'].includes(format) ? 'hsv' : 'oklch';
+  }
+
+  /**
+   * Builds the color at a point in the inline picker's area.
+   *
+   * @private
+   * @param {number} x - Horizontal position, 0-1.
+   * @param {number} y - Vertical position, 0-1 (top to bottom).
+   * @param {number} hue - The hue in degrees.
+   * @param {'hsv'|'oklch'} model - The area model.
+   * @returns {{space: string, coords: number[], alpha: number}} The opaque color.
+   */
+  #areaToColor(x, y, hue, model) {
+    if (model === 'oklch') {
+      return { space: 'oklch', coords: [1 - y, x * OKLCH_MAX_CHROMA, hue], alpha: 1 };
+    }
+
+    // Saturation/brightness, expressed as HWB
+    const brightness = 1 - y;
+    return { space: 'hwb', coords: [hue, (1 - x) * brightness * 100, y * 100], alpha: 1 };
+  }
+
+  /**
+   * Applies the color typed into the text field and dispatches a change event.
+   * The value is written in `colorspace` if one is set, otherwise in the typed format.
+   * Invalid or unchanged text is left alone.
+   *
+   * @private
+   */
+  #commitText() {
+    const text = this.#textInput.value.trim();
+    if (text === this.#value || !this.#validateText()) return;
+
+    const color = this.#meetMinContrast(parse(text));
+    const format = this.#colorspace || this.#detectFormat(text);
+    const value = this.#serialize(color, format);
+
+    // Only the spelling changed (e.g. "#FF0000"), so just tidy the field
+    if (value === this.#value) {
+      this.#updateTextValue(value);
+      return;
+    }
+
+    this.#setColor(color, value);
+    this.#dispatch('change', 'typed');
+  }
+
+  /**
+   * Applies a color the user picked outside the main controls, then dispatches events.
+   * The value is written in `colorspace` if one is set, otherwise in the current value's format.
+   * Nothing is dispatched if the value doesn't change.
+   *
+   * @private
+   * @param {{space: string, coords: number[], alpha: number}} color - The picked color.
+   * @param {string[]} types - The events to dispatch, in order.
+   * @param {string} origin - The events' `source`.
+   */
+  #commitColor(color, types, origin) {
+    color = this.#meetMinContrast(color);
+    const format = this.#colorspace || this.#detectFormat(this.#value);
+    const value = this.#serialize(color, format);
+    if (value === this.#value) return;
+
+    const previous = this.#value;
+    this.#setColor(color, value);
+    for (const type of types) {
+      this.#dispatch(type, origin, type === 'change' ? undefined : previous);
+    }
+  }
+
+  /**
+   * Builds a swatch button for the preset or recent colors.
+   *
+   * @private
+   * @param {string} value - The CSS color.
+   * @param {string} label - The accessible name and tooltip.
+   * @returns {HTMLButtonElement} The swatch.
+   */
+  #createSwatch(value, label) {
+    const swatch = document.createElement('button');
+    swatch.type = 'button';
+    swatch.setAttribute('part', 'swatch');
+    swatch.style.background = value;
+    swatch.title = label;
+    swatch.setAttribute('aria-label', label);
+    swatch.dataset.value = value;
+    swatch.disabled = this.#disabled;
+    return swatch;
+  }
+
+  /**
+   * Detects the CSS color format of a given string.
+   *
+   * @private
+   * @param {string} value - The color string to analyze.
+   * @returns {string} The format name (e.g., 'hex', 'rgb', 'oklch').
+   *   For `color()` values, the predefined space (e.g., 'display-p3');
+   *   for `color-mix()`, the interpolation space; for a CSS reference, the format it resolved to.
+   */
+  #detectFormat(value) {
+    if (!value) return 'hex';
+    if (value === this.#reference) return this.#referenceFormat;
+    value = value.toLowerCase().trim();
+    if (value.startsWith('#')) return 'hex';
+    if (value.startsWith('rgb')) return 'rgb';
+    if (value.startsWith('hsl')) return 'hsl';
+    if (value.startsWith('hwb')) return 'hwb';
+    if (value.startsWith('lab')) return 'lab';
+    if (value.startsWith('lch')) return 'lch';
+    if (value.startsWith('oklab')) return 'oklab';
+    if (value.startsWith('oklch')) return 'oklch';
+    if (value.startsWith('color(')) return value.slice(6).trim().split(/[\s)]/)[0];
+    if (value.startsWith('color-mix(')) return value.match(/^color-mix\(\s*in\s+([a-z0-9-]+)/)?.[1] ?? 'hex';
+    return 'name';
+  }
+
+  /**
+   * Dispatches one of the element's events, or queues an input event when input is rate-limited.
+   * Any queued input event is fired before a change event, so listeners always get the final value first.
+   *
+   * @private
+   * @param {'input'|'change'|'colorspacechange'} type - The event.
+   * @param {string} origin - The detail's `source`.
+   * @param {string} [previous] - The detail's `previous`. Defaults to the value at the last change.
+   */
+  #dispatch(type, origin, previous = this.#committedValue) {
+    if (type === 'input' && (this.#debounce || this.#throttle || this.#animationFrame)) {
+      this.#queueInput(origin, previous);
+      return;
+    }
+    if (type === 'change') this.#flushInput();
+    this.#emit(type, origin, previous);
+  }
+
+  /**
+   * Fires one of the element's events with a `ColorEventDetail` of the current value.
+   * A change event also becomes the new `previous` for the next one.
+   *
+   * @private
+   * @param {'input'|'change'|'colorspacechange'} type - The event.
+   * @param {string} origin - The detail's `source`.
+   * @param {string|undefined} previous - The detail's `previous`.
+   */
+  #emit(type, origin, previous) {
+    const color = this.#color;
+    let coords;
+    const detail = {
+      value: this.#value ?? null,
+      hex: color ? this.#serialize(color, 'hex') : null,
+      previous: previous ?? null,
+      source: origin,
+      alpha: color ? color.alpha : null,
+      // Converting into every space on each drag step adds up, so it waits until someone reads it
+      get coords() {
+        if (coords === undefined) {
+          coords = color ? Object.fromEntries(SPACES.map(space => [space, convert(color, space).coords])) : null;
+        }
+        return coords;
+      }
+    };
+    if (type === 'change') this.#committedValue = this.#value;
+    this.dispatchEvent(new CustomEvent(type, { bubbles: true, composed: true, detail }));
+  }
+
+  /**
+   * Paints the OKLCH chroma/lightness plane for a hue.
+   * Colors outside sRGB are clipped, so the gamut edge shows as a flat band.
+   *
+   * @private
+   * @param {number} hue - The hue in degrees.
+   */
+  #drawOklchArea(hue) {
+    const context = this.#areaCanvas.getContext?.('2d');
+    if (!context) return;
+
+    const { width, height } = this.#areaCanvas;
+    const image = context.createImageData(width, height);
+    for (let row = 0; row < height; row++) {
+      for (let column = 0; column < width; column++) {
+        const color = this.#areaToColor(column / (width - 1), row / (height - 1), hue, 'oklch');
+        const [r, g, b] = convert(color, 'srgb').coords;
+        const i = (row * width + column) * 4;
+        image.data[i] = r * 255;
+        image.data[i + 1] = g * 255;
+        image.data[i + 2] = b * 255;
+        image.data[i + 3] = 255;
+      }
+    }
+    context.putImageData(image, 0, 0);
+    this.#areaCanvasHue = hue;
+  }
+
+  /**
+   * Builds the color the user picked with one of the internal controls.
+   * The opacity slider only changes alpha, so the current color keeps its precision.
+   *
+   * @private
+   * @param {HTMLInputElement} source - The control that changed.
+   * @returns {{space: string, coords: number[], alpha: number}} The picked color.
+   */
+  #getPickerColor(source) {
+    if (source === this.#alphaInput) {
+      const fallback = this.#mode === 'inline' ? this.#area : this.#input;
+      const base = this.#color ?? this.#getPickerColor(fallback);
+      return { ...base, alpha: Number(this.#alphaInput.value) };
+    }
+
+    if (source === this.#area || source === this.#hueInput) {
+      const { x, y, hue } = this.#pickerState;
+      const picked = this.#areaToColor(x, y, hue, this.#areaModel());
+      return { ...picked, alpha: this.#color?.alpha ?? 1 };
+    }
+
+    // An untouched native input reads as black.
+    const picked = parse(this.#input.value) ?? { space: 'srgb', coords: [0, 0, 0] };
+    return { ...picked, alpha: this.#color?.alpha ?? 1 };
+  }
+
+  /**
+   * Moves the area thumb with the keyboard.
+   * Arrows nudge by 1% (10% with Shift), Home/End jump to the left/right edges
+   * and PageUp/PageDown to the top/bottom edges. The change is committed on key release.
+   *
+   * @private
+   * @param {KeyboardEvent} event - The keydown event.
+   */
+  #handleAreaKeyDown(event) {
+    if (this.#disabled) return;
+    const step = event.shiftKey ? 0.1 : 0.01;
+    let { x, y } = this.#pickerState;
+
+    switch (event.key) {
+      case 'ArrowLeft': x -= step; break;
+      case 'ArrowRight': x += step; break;
+      case 'ArrowUp': y -= step; break;
+      case 'ArrowDown': y += step; break;
+      case 'Home': x = 0; break;
+      case 'End': x = 1; break;
+      case 'PageUp': y = 0; break;
+      case 'PageDown': y = 1; break;
+      default: return;
+    }
+
+    event.preventDefault();
+    this.#pickerState.x = clamp01(x);
+    this.#pickerState.y = clamp01(y);
+    this.#renderPicker();
+    if (!this.defer) this.#pick(this.#area, 'input', 'keyboard');
+    this.#keyCommit = this.#area;
+  }
+
+  /**
+   * Starts dragging the area thumb.
+   *
+   * @private
+   * @param {PointerEvent} event - The pointerdown event.
+   */
+  #handleAreaPointerDown(event) {
+    if (this.#disabled || event.button !== 0) return;
+    this.#areaPointerId = event.pointerId;
+    this.#area.setPointerCapture?.(event.pointerId);
+    this.#handleAreaPointerMove(event);
+  }
+
+  /**
+   * Moves the area thumb while dragging.
+   * Respects the 'defer' property: the thumb moves, but the value waits for release.
+   *
+   * @private
+   * @param {PointerEvent} event - The pointerdown or pointermove event.
+   */
+  #handleAreaPointerMove(event) {
+    if (event.pointerId !== this.#areaPointerId) return;
+    const rect = this.#area.getBoundingClientRect();
+    this.#pickerState.x = rect.width ? clamp01((event.clientX - rect.left) / rect.width) : 0;
+    this.#pickerState.y = rect.height ? clamp01((event.clientY - rect.top) / rect.height) : 0;
+    this.#renderPicker();
+    if (!this.defer) this.#pick(this.#area, 'input');
+  }
+
+  /**
+   * Commits the area position when the pointer is released.
+   *
+   * @private
+   * @param {PointerEvent} event - The pointerup or pointercancel event.
+   */
+  #handleAreaPointerUp(event) {
+    if (event.pointerId !== this.#areaPointerId) return;
+    this.#areaPointerId = null;
+    this.#pick(this.#area, 'change');
+  }
+
+  /**
+   * Redraws the area for the new hue. Runs before the value updates,
+   * so a deferred drag still shows the hue under the thumb.
+   *
+   * @private
+   */
+  #handleHueInput() {
+    this.#pickerState.hue = Number(this.#hueInput.value);
+    this.#renderPicker();
+  }
+
+  /**
+   * Adds Shift+arrow big steps (10 steps) to the hue and opacity sliders.
+   * Plain arrows, Home and End are handled by the range input itself; their change
+   * is committed on key release.
+   *
+   * @private
+   * @param {KeyboardEvent} event - The keydown event.
+   */
+  #handleRangeKeyDown(event) {
+    const directions = { ArrowRight: 1, ArrowUp: 1, ArrowLeft: -1, ArrowDown: -1 };
+    if (RANGE_KEYS.has(event.key)) {
+      this.#rangeOrigin = 'keyboard';
+      this.#keyCommit = event.target;
+    }
+    if (!event.shiftKey || !(event.key in directions)) return;
+
+    event.preventDefault();
+    const input = event.target;
+    const value = Number(input.value) + directions[event.key] * Number(input.step) * 10;
+    input.value = String(Math.min(Number(input.max), Math.max(Number(input.min), value)));
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  /**
+   * Applies the format picked with the format switcher as the new `colorspace`.
+   *
+   * @private
+   */
+  #handleFormatChange() {
+    const previous = this.#value;
+    this.colorspace = this.#formatSelect.value;
+    this.#dispatch('colorspacechange', 'format', previous);
+  }
+
+  /**
+   * Starts picking from the screen, or cancels a pick that is under way.
+   *
+   * @private
+   */
+  #handleEyedropperClick() {
+    if (this.#samplingController) {
+      this.#samplingController.abort();
+      return;
+    }
+    this.pickFromScreen().catch(error => console.warn('Eyedropper failed', error));
+  }
+
+  /**
+   * Redraws the recent colors when another tab changes them.
+   *
+   * @private
+   * @param {StorageEvent} event - The storage event.
+   */
+  #handleStorage(event) {
+    // A null key means the whole storage was cleared
+    if (this.#recent && (event.key === this.#recent || event.key === null)) {
+      this.#renderRecent();
+    }
+  }
+
+  /**
+   * Applies the clicked preset or recent color, then dispatches input and change events.
+   *
+   * @private
+   * @param {MouseEvent} event - The click event.
+   */
+  #handleSwatchClick(event) {
+    const swatch = event.target.closest('[part~="swatch"]');
+    if (!swatch || this.#disabled) return;
+    this.pickColor(swatch.dataset.value, 'swatch');
+  }
+
+  /**
+   * Validates the text field as the user types.
+   * Typing does not change the value, so the inner event is kept inside the shadow root.
+   *
+   * @private
+   * @param {Event} event - The text field's input event.
+   */
+  #handleTextInput(event) {
+    event.stopPropagation();
+    this.#validateText();
+  }
+
+  /**
+   * Commits the text field on Enter and restores the current value on Escape.
+   *
+   * @private
+   * @param {KeyboardEvent} event - The keydown event.
+   */
+  #handleTextKeyDown(event) {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      this.#commitText();
+    } else if (event.key === 'Escape') {
+      this.#updateTextValue(this.#value ?? '');
+    }
+  }
+
+  /**
+   * Handles the 'input' event from the internal color picker (dragging).
+   * Respects the 'defer' property to potentially suppress events.
+   * The inner event is composed, so it is stopped here; the host only fires its own
+   * (possibly rate-limited) input event.
+   *
+   * @private
+   * @param {Event} event - The DOM input event.
+   */
+  #handleInputInput(event) {
+    event.stopPropagation();
+    if (this.defer) return;
+    this.#pick(event.target, 'input', this.#originOf(event.target));
+  }
+
+  /**
+   * Handles the 'change' event from the internal color picker or opacity slider (commit/release).
+   * Updates the value and dispatches a change event, unless a key is held on the control.
+   *
+   * @private
+   * @param {Event} event - The DOM change event.
+   */
+  #handleInputChange(event) {
+    if (event.target === this.#keyCommit) return;
+    this.#pick(event.target, 'change', this.#originOf(event.target));
+  }
+
+  /**
+   * Undoes on Ctrl/Cmd+Z and redoes on Shift+Ctrl/Cmd+Z while the element has focus.
+   * The text field keeps the browser's own text undo.
+   *
+   * @private
+   * @param {KeyboardEvent} event - The keydown event.
+   */
+  #handleKeyDown(event) {
+    if (!this.#historyLimit || !(event.ctrlKey || event.metaKey) || event.altKey) return;
+    if (event.key.toLowerCase() !== 'z' || event.composedPath()[0] === this.#textInput) return;
+
+    const stepped = event.shiftKey ? this.redo() : this.undo();
+    if (stepped) event.preventDefault();
+  }
+
+  /**
+   * Commits a keyboard change to the area or a slider when the key is released
+   * or the control loses focus.
+   *
+   * @private
+   * @param {KeyboardEvent|FocusEvent} event - The keyup or blur event.
+   */
+  #handleKeyUp(event) {
+    if (event.target !== this.#keyCommit) return;
+    this.#keyCommit = null;
+    this.#pick(event.target, 'change', 'keyboard');
+  }
+
+  /**
+   * Moves a picked color to the nearest OKLCH lightness that meets `min-contrast`,
+   * keeping its chroma and hue. Only applies when 'snap-contrast' is set.
+   * If no lightness passes, the end (black or white side) with more contrast is used.
+   *
+   * @private
+   * @param {{space: string, coords: number[], alpha: number}} color - The picked color.
+   * @returns {{space: string, coords: number[], alpha: number}} The color to apply.
+   */
+  #meetMinContrast(color) {
+    const against = this.#contrastAgainst;
+    const min = this.#minContrast;
+    if (!this.#snapContrast || !against || min === null) return color;
+    if (contrastRatio(color, against) >= min) return color;
+
+    const [lightness, chroma, hue] = convert(color, 'oklch').coords;
+    const at = l => ({ space: 'oklch', coords: [l, chroma, hue], alpha: color.alpha });
+    const passes = l => contrastRatio(at(l), against) >= min;
+
+    // Binary search from the current lightness toward each end that passes
+    const candidates = [0, 1].filter(passes).map(end => {
+      let fail = lightness, pass = end;
+      for (let i = 0; i < 20; i++) {
+        const mid = (fail + pass) / 2;
+        if (passes(mid)) pass = mid;
+        else fail = mid;
+      }
+      return pass;
+    });
+
+    let snapped;
+    if (candidates.length) {
+      snapped = candidates.reduce((a, b) => Math.abs(a - lightness) <= Math.abs(b - lightness) ? a : b);
+    } else {
+      snapped = contrastRatio(at(0), against) >= contrastRatio(at(1), against) ? 0 : 1;
+    }
+    return convert(at(snapped), color.space);
+  }
+
+  /**
+   * Tells every binding and 'a-color:update' listener about an attribute change.
+   * A failing binding is logged and doesn't stop the others.
+   *
+   * @private
+   * @param {string} attr - The attribute.
+   * @param {string|null} oldval - Its previous value.
+   * @param {string|null} newval - Its new value.
+   */
+  #notifyBindings(attr, oldval, newval) {
+    for (const binding of AColor.#bindings) {
+      try {
+        if (typeof binding === 'function') binding(this, attr, newval);
+        else binding.update?.(this, attr, newval);
+      } catch (error) {
+        console.warn('a-color binding failed', error);
+      }
+    }
+    this.dispatchEvent(new CustomEvent('a-color:update', {
+      bubbles: true,
+      composed: true,
+      detail: { attribute: attr, value: newval, oldValue: oldval }
+    }));
+  }
+
+  /**
+   * Tells what moved one of the internal controls.
+   *
+   * @private
+   * @param {HTMLElement} control - The control.
+   * @returns {'drag'|'keyboard'} The events' `source`.
+   */
+  #originOf(control) {
+    return control === this.#input ? 'drag' : this.#rangeOrigin;
+  }
+
+  /**
+   * Applies the color picked with one of the internal controls and dispatches an event.
+   *
+   * @private
+   * @param {HTMLElement} source - The control that changed.
+   * @param {'input'|'change'} type - The event to dispatch.
+   * @param {'drag'|'keyboard'} [origin='drag'] - The event's `source`.
+   */
+  #pick(source, type, origin = 'drag') {
+    const previous = this.#value;
+    const color = this.#meetMinContrast(this.#getPickerColor(source));
+    const targetFormat = this.#colorspace || this.#detectFormat(this.#value) || 'hex';
+    const convertedValue = this.#serialize(color, targetFormat);
+    this.#setColor(color, convertedValue);
+    this.#dispatch(type, origin, type === 'change' ? undefined : previous);
+  }
+
+  /**
+   * Fills the format switcher with the offered formats.
+   *
+   * @private
+   */
+  #renderFormats() {
+    if (!this.#formatSelect) return;
+    const options = (this.#formats ?? FORMATS).map(format => {
+      const option = document.createElement('option');
+      option.value = option.textContent = format;
+      return option;
+    });
+    this.#formatSelect.replaceChildren(...options);
+    this.#syncFormat();
+  }
+
+  /**
+   * Offers the dominant colors of an image as swatches.
+   * Results for a source that has since been replaced are dropped.
+   *
+   * @private
+   * @param {HTMLCanvasElement|HTMLImageElement} source - The image.
+   * @param {AbortSignal} signal - Aborted when the source is replaced.
+   */
+  async #extractImageColors(source, signal) {
+    let colors = [];
+    try {
+      colors = await extractPalette(source, { count: IMAGE_SWATCH_COUNT });
+    } catch (error) {
+      // Images from other origins without CORS taint the canvas
+      if (!signal.aborted) console.warn(`from-image "${this.#fromImage}" could not be read`, error);
+    }
+    if (signal.aborted) return;
+    this.#imageSwatches = colors;
+    this.#renderSwatches();
+  }
+
+  /**
+   * Fires historychange with whether undo and redo are available.
+   *
+   * @private
+   */
+  #emitHistoryChange() {
+    this.dispatchEvent(new CustomEvent('historychange', {
+      bubbles: true,
+      composed: true,
+      detail: { canUndo: this.canUndo, canRedo: this.canRedo }
+    }));
+  }
+
+  /**
+   * Fires the input event held back by rate limiting, if there is one.
+   *
+   * @private
+   */
+  #flushInput() {
+    clearTimeout(this.#inputTimer);
+    if (this.#inputFrame !== null) cancelAnimationFrame(this.#inputFrame);
+    this.#inputTimer = this.#inputFrame = null;
+
+    const pending = this.#pendingInput;
+    if (!pending) return;
+    this.#pendingInput = null;
+    this.#lastInputTime = performance.now();
+    this.#emit('input', pending.origin, pending.previous);
+  }
+
+  /**
+   * Finds the canvas or image named by a selector, in the element's own tree first.
+   *
+   * @private
+   * @param {string|null} selector - The selector.
+   * @param {string} attr - The attribute it came from, for warnings.
+   * @returns {HTMLCanvasElement|HTMLImageElement|null} The source, or null if there is no usable one.
+   */
+  #findImageSource(selector, attr) {
+    if (!selector) return null;
+    let source = null;
+    try {
+      source = this.getRootNode().querySelector?.(selector) ?? document.querySelector(selector);
+    } catch (error) {
+      console.warn(`Invalid ${attr} selector: ${selector}`, error);
+      return null;
+    }
+
+    if (source instanceof HTMLCanvasElement || source instanceof HTMLImageElement) return source;
+    console.warn(`${attr} "${selector}" is not a canvas or image`);
+    return null;
+  }
+
+  /**
+   * Reads one pixel of a canvas or image.
+   *
+   * @private
+   * @param {HTMLCanvasElement|HTMLImageElement} source - The canvas or image.
+   * @param {number} x - The column, in the source's own pixels.
+   * @param {number} y - The row, in the source's own pixels.
+   * @returns {{space: string, coords: number[], alpha: number}|null} The color, or null if it can't be read.
+   */
+  #readPixel(source, x, y) {
+    const [width, height] = intrinsicSize(source);
+    if (!width || !height) {
+      console.warn('sample-source has not loaded');
+      return null;
+    }
+    x = Math.min(width - 1, Math.max(0, Math.floor(x)));
+    y = Math.min(height - 1, Math.max(0, Math.floor(y)));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = 1;
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    try {
+      context.drawImage(source, x, y, 1, 1, 0, 0, 1, 1);
+      const [r, g, b, a] = context.getImageData(0, 0, 1, 1).data;
+      return { space: 'srgb', coords: [r / 255, g / 255, b / 255], alpha: a / 255 };
+    } catch (error) {
+      // Images from other origins without CORS taint the canvas
+      console.warn('sample-source could not be read', error);
+      return null;
+    }
+  }
+
+  /**
+   * Draws the inline picker from `#pickerState`.
+   * An OKLCH area is painted on the canvas; a saturation/brightness area is a CSS gradient.
+   *
+   * @private
+   */
+  #renderPicker() {
+    if (!this.#picker) return;
+    const { x, y, hue } = this.#pickerState;
+    const model = this.#areaModel();
+    const opaque = this.#serialize(this.#areaToColor(x, y, hue, model), 'hex');
+
+    this.#picker.dataset.model = model;
+    this.#area.style.setProperty('--a-color-hue', String(hue));
+    this.#areaThumb.style.left = `${x * 100}%`;
+    this.#areaThumb.style.top = `${y * 100}%`;
+    this.#areaThumb.style.backgroundColor = opaque;
+    this.#alphaInput.style.setProperty('--a-color-opaque', opaque);
+    if (Number(this.#hueInput.value) !== Math.round(hue)) {
+      this.#hueInput.value = String(Math.round(hue));
+    }
+
+    this.#updateAriaValues(model);
+
+    this.#areaCanvas.hidden = model !== 'oklch';
+    if (model === 'oklch' && this.#mode === 'inline' && this.#areaCanvasHue !== hue) {
+      this.#drawOklchArea(hue);
+    }
+  }
+
+  /**
+   * Holds back an input event and schedules it:
+   * 'debounce' waits for a pause, 'throttle' fires at most once per interval
+   * (right away if the last one is old enough), and 'animation-frame' fires on the next frame.
+   *
+   * @private
+   * @param {string} origin - The detail's `source`.
+   * @param {string|undefined} previous - The detail's `previous`.
+   */
+  #queueInput(origin, previous) {
+    if (this.#pendingInput) this.#pendingInput.origin = origin;
+    else this.#pendingInput = { origin, previous };
+
+    if (this.#debounce) {
+      clearTimeout(this.#inputTimer);
+      this.#inputTimer = setTimeout(() => this.#flushInput(), this.#debounce);
+    } else if (this.#throttle) {
+      const wait = this.#lastInputTime + this.#throttle - performance.now();
+      if (wait <= 0) this.#flushInput();
+      else this.#inputTimer ??= setTimeout(() => this.#flushInput(), wait);
+    } else {
+      this.#inputFrame ??= requestAnimationFrame(() => this.#flushInput());
+    }
+  }
+
+  /**
+   * Reads the recent colors kept under the 'recent' key, most recent first, up to 'recent-limit'.
+   * Missing or unreadable storage counts as no colors.
+   *
+   * @private
+   * @returns {string[]} The colors.
+   */
+  #readRecent() {
+    if (!this.#recent) return [];
+    try {
+      const colors = JSON.parse(localStorage.getItem(this.#recent));
+      if (!Array.isArray(colors)) return [];
+      return colors.filter(color => typeof color === 'string').slice(0, this.#recentLimit);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Adds the committed value to the undo history, dropping anything that was undone.
+   * The first entry is the value from before the first change.
+   *
+   * @private
+   * @param {Event} event - The element's change event.
+   */
+  #recordHistory(event) {
+    if (!this.#historyLimit || !this.#value || event.detail?.source === 'history') return;
+
+    const entries = this.#historyEntries.slice(0, this.#historyIndex + 1);
+    const previous = event.detail?.previous;
+    if (!entries.length && previous && previous !== this.#value) entries.push(previous);
+    if (entries.at(-1) !== this.#value) entries.push(this.#value);
+    this.#setHistory(entries, entries.length - 1);
+  }
+
+  /**
+   * Resolves the `var()`, `currentcolor` or system color value again, e.g. after a theme change.
+   * The value itself stays the reference, so no events are fired.
+   *
+   * @private
+   */
+  #refreshReference() {
+    if (!this.#reference) return;
+    const color = this.#resolveReference(this.#reference);
+    this.#parseError = color ? null : this.#unresolved(this.#reference);
+    if (color) {
+      this.#color = color;
+      this.#updateInputValue(this.#value, color);
+    }
+    this.#updateFormValue();
+  }
+
+  /**
+   * Moves the committed value to the front of the recent colors.
+   * Listens for the host's own 'change' event, so every way of committing a color is covered.
+   *
+   * @private
+   */
+  #rememberRecent() {
+    if (!this.#recent || !this.#value) return;
+    const colors = [this.#value, ...this.#readRecent().filter(color => color !== this.#value)];
+    try {
+      localStorage.setItem(this.#recent, JSON.stringify(colors.slice(0, this.#recentLimit)));
+    } catch (error) {
+      console.warn('Recent colors could not be saved', error);
+    }
+    this.#renderRecent();
+  }
+
+  /**
+   * Draws the recent colors. Invalid colors are skipped.
+   * A chip that had focus moved to the front, so focus follows it there.
+   *
+   * @private
+   */
+  #renderRecent() {
+    if (!this.#recentList) return;
+    const hadFocus = this.#recentList.contains(this.shadowRoot.activeElement);
+    const recent = this.#readRecent().filter(value => parse(value));
+
+    this.#recentList.replaceChildren(...recent.map(value => this.#createSwatch(value, value)));
+    this.#recentList.hidden = recent.length === 0;
+    if (hadFocus) this.#recentList.firstElementChild?.focus();
+  }
+
+  /**
+   * Draws the preset swatches, from the 'swatches' attribute followed by the options
+   * of a child `<datalist>` and the colors of 'from-image'. Invalid colors are skipped.
+   *
+   * @private
+   */
+  #renderSwatches() {
+    if (!this.#swatchList) return;
+    const datalist = [...this.children].find(child => child.localName === 'datalist');
+    const options = [...(datalist?.querySelectorAll('option') ?? [])];
+    const presets = [
+      ...this.#swatches.map(value => ({ value, label: value })),
+      ...options.map(option => ({
+        value: option.value,
+        label: option.getAttribute('label') || option.textContent.trim() || option.value
+      })),
+      ...this.#imageSwatches.map(value => ({ value, label: value }))
+    ].filter(({ value }) => {
+      if (parse(value)) return true;
+      console.warn(`Invalid swatch color: ${value}`);
+      return false;
+    });
+
+    this.#swatchList.replaceChildren(...presets.map(({ value, label }) => this.#createSwatch(value, label)));
+    this.#swatchList.hidden = presets.length === 0;
+  }
+
+  /**
+   * Resolves a `var()`, `currentcolor` or system color against the host's computed style.
+   *
+   * @private
+   * @param {string} text - The reference.
+   * @returns {{space: string, coords: number[], alpha: number}|null} The color, or null if it
+   *   doesn't resolve (e.g. an undefined custom property) or the element isn't connected.
+   */
+  #resolveReference(text) {
+    if (!this.#probe || !this.isConnected) return null;
+    this.#probe.style.backgroundColor = text;
+    this.#probe.style.borderTopColor = text;
+    const style = getComputedStyle(this.#probe);
+    const background = style.backgroundColor;
+    const border = style.borderTopColor;
+    this.#probe.removeAttribute('style');
+
+    // An undefined var() falls back to each property's initial value, and those differ:
+    // transparent for background-color, currentcolor for border-color
+    if (!background || background !== border) return null;
+    const color = parse(background);
+    if (color) this.#referenceFormat = this.#detectFormat(background);
+    return color;
+  }
+
+  /**
+   * Applies a value from the undo history through the `value` setter, or fires its events
+   * directly if it already is the value.
+   *
+   * @private
+   * @param {number} index - The entry to apply.
+   */
+  #restoreHistory(index) {
+    const value = this.#historyEntries[index];
+    this.#historyIndex = index;
+    if (value === this.#value) {
+      // The attribute doesn't change, so the setter fires nothing; the step still counts as one
+      this.#dispatch('input', 'history', this.#committedValue);
+      this.#dispatch('change', 'history');
+    } else {
+      this.#restoring = true;
+      try {
+        this.value = value;
+      } finally {
+        this.#restoring = false;
+      }
+    }
+    this.#emitHistoryChange();
+  }
+
+  /**
+   * Serializes a color using the element's gamut mapping and name tolerance.
+   *
+   * @private
+   * @param {{space: string, coords: number[], alpha: number}} color - The color.
+   * @param {string} format - The output format.
+   * @returns {string} The CSS color string.
+   */
+  #serialize(color, format) {
+    return serialize(color, format, {
+      gamutMapping: this.#gamutMapping,
+      nameTolerance: this.#nameTolerance
+    });
+  }
+
+  /**
+   * Sets the value from a color the component already holds at full precision.
+   *
+   * @private
+   * @param {{space: string, coords: number[], alpha: number}} color - The color.
+   * @param {string} value - The color serialized in the output format.
+   */
+  #setColor(color, value) {
+    this.#pendingColor = color;
+    this.value = value;
+    this.#pendingColor = null;
+  }
+
+  /**
+   * Replaces the undo history, keeping at most 'history' entries (the newest),
+   * and fires historychange if undo or redo availability or the entries changed.
+   *
+   * @private
+   * @param {string[]} entries - The entries, oldest first.
+   * @param {number} index - The position of the current value.
+   */
+  #setHistory(entries, index) {
+    const dropped = Math.max(0, entries.length - this.#historyLimit);
+    const next = entries.slice(dropped);
+    const nextIndex = next.length ? Math.max(0, index - dropped) : -1;
+    const changed = nextIndex !== this.#historyIndex || next.length !== this.#historyEntries.length ||
+      next.some((entry, i) => entry !== this.#historyEntries[i]);
+
+    this.#historyEntries = next;
+    this.#historyIndex = nextIndex;
+    if (changed) this.#emitHistoryChange();
+  }
+
+  /**
+   * Shows whether a pick from the screen is under way, through the button's
+   * pressed state and the `sampling` custom state.
+   *
+   * @private
+   * @param {boolean} sampling - Whether a pick is under way.
+   */
+  #setSampling(sampling) {
+    this.#eyedropperButton?.setAttribute('aria-pressed', String(sampling));
+    if (sampling) this.#internals.states?.add('sampling');
+    else this.#internals.states?.delete('sampling');
+  }
+
+  /**
+   * Marks the text field invalid through the `invalid` custom state and part.
+   *
+   * @private
+   * @param {boolean} invalid - Whether the text is invalid.
+   */
+  #setTextInvalid(invalid) {
+    this.#textInput.setAttribute('part', invalid ? 'text invalid' : 'text');
+    this.#textInput.setAttribute('aria-invalid', String(invalid));
+    if (invalid) this.#internals.states?.add('invalid');
+    else this.#internals.states?.delete('invalid');
+  }
+
+  /**
+   * Selects the current output format in the format switcher.
+   * Without a `colorspace`, that is the format of the value.
+   *
+   * @private
+   */
+  #syncFormat() {
+    if (!this.#formatSelect) return;
+    const format = this.#colorspace || (this.#value ? this.#detectFormat(this.#value) : '');
+    this.#formatSelect.value = format;
+  }
+
+  /**
+   * Moves the inline picker's controls to a color.
+   * The hue is kept for achromatic colors, so dragging into gray and back doesn't reset it.
+   *
+   * @private
+   * @param {{space: string, coords: number[], alpha: number}|null} color - The color.
+   */
+  #syncPicker(color) {
+    if (!this.#picker || !color) return;
+    const state = this.#pickerState;
+
+    if (this.#areaModel() === 'oklch') {
+      const [lightness, chroma, hue] = convert(color, 'oklch').coords;
+      state.x = clamp01(chroma / OKLCH_MAX_CHROMA);
+      state.y = clamp01(1 - lightness);
+      if (chroma > 0.0001 && !Number.isNaN(hue)) state.hue = hue;
+    } else {
+      const [hue, whiteness, blackness] = convert(color, 'hwb').coords;
+      const brightness = 1 - blackness / 100;
+      const saturation = brightness > 0 ? 1 - whiteness / 100 / brightness : state.x;
+      state.x = clamp01(saturation);
+      state.y = clamp01(1 - brightness);
+      if (state.x > 0 && !Number.isNaN(hue)) state.hue = hue;
+    }
+
+    this.#renderPicker();
+  }
+
+  /**
+   * Describes the inline picker's sliders to assistive technology.
+   * The area's text ends with the picked color in the output format.
+   *
+   * @private
+   * @param {'hsv'|'oklch'} model - The area model.
+   */
+  #updateAriaValues(model) {
+    const { x, y, hue } = this.#pickerState;
+    const format = this.#colorspace || this.#detectFormat(this.#value);
+    const colorText = this.#serialize(this.#areaToColor(x, y, hue, model), format);
+    const percent = n => Math.round(n * 100);
+
+    let areaText;
+    if (model === 'oklch') {
+      this.#area.setAttribute('aria-label', 'Chroma and lightness');
+      areaText = `chroma ${+(x * OKLCH_MAX_CHROMA).toFixed(3)}, lightness ${percent(1 - y)}%`;
+    } else {
+      this.#area.setAttribute('aria-label', 'Saturation and brightness');
+      areaText = `saturation ${percent(x)}%, brightness ${percent(1 - y)}%`;
+    }
+    this.#area.setAttribute('aria-valuenow', String(percent(x)));
+    this.#area.setAttribute('aria-valuetext', `${areaText}, ${colorText}`);
+    this.#hueInput.setAttribute('aria-valuetext', `hue ${Math.round(hue)} degrees`);
+    this.#alphaInput.setAttribute('aria-valuetext', `opacity ${percent(Number(this.#alphaInput.value))}%`);
+  }
+
+  /**
+   * Shows the contrast ratio against 'contrast-against' with an AA/AAA badge,
+   * and sets the `low-contrast` state when the ratio is below 'min-contrast'.
+   *
+   * @private
+   */
+  #updateContrast() {
+    const ratio = this.contrast;
+    const low = ratio !== null && this.#minContrast !== null && ratio < this.#minContrast;
+    if (low) this.#internals.states?.add('low-contrast');
+    else this.#internals.states?.delete('low-contrast');
+
+    if (!this.#contrastOutput) return;
+    this.#contrastOutput.hidden = ratio === null;
+    this.#contrastOutput.setAttribute('part', low ? 'contrast low' : 'contrast');
+    if (ratio === null) return;
+
+    const level = ratio >= 7 ? 'AAA' : ratio >= 4.5 ? 'AA' : 'Fail';
+    const badge = this.#contrastOutput.querySelector('[part~="contrast-badge"]');
+    this.#contrastOutput.querySelector('[part="contrast-ratio"]').textContent = `${ratio.toFixed(2)}:1`;
+    badge.textContent = level;
+    badge.setAttribute('part', `contrast-badge ${level.toLowerCase()}`);
+  }
+
+  /**
+   * Disables or enables the internal controls to match the element.
+   * The area is not a form control, so it leaves the tab order instead.
+   *
+   * @private
+   */
+  #updateDisabled() {
+    if (!this.#picker) return;
+    const disabled = this.#disabled;
+    this.#input.disabled = disabled;
+    this.#alphaInput.disabled = disabled;
+    this.#hueInput.disabled = disabled;
+    this.#textInput.disabled = disabled;
+    this.#formatSelect.disabled = disabled;
+    this.#eyedropperButton.disabled = disabled;
+    for (const swatch of this.shadowRoot.querySelectorAll('[part~="swatch"]')) {
+      swatch.disabled = disabled;
+    }
+    this.#area.tabIndex = disabled ? -1 : 0;
+    this.#area.setAttribute('aria-disabled', String(disabled));
+  }
+
+  /**
+   * Shows the eyedropper button when it is asked for and something can be sampled:
+   * the EyeDropper API, or a 'sample-source' to fall back to.
+   *
+   * @private
+   */
+  #updateEyedropper() {
+    if (!this.#eyedropperButton) return;
+    const available = 'EyeDropper' in window || this.#sampleSource !== null;
+    this.#eyedropperButton.hidden = !this.#eyedropper || !available;
+  }
+
+  /**
+   * Submits the current value to the owning form and updates its validity.
+   *
+   * @private
+   */
+  #updateFormValue() {
+    const value = this.#value ?? null;
+    // A CSS reference means nothing outside the page, so the resolved color is submitted
+    const submitted = this.#reference && this.#color
+      ? this.#serialize(this.#color, this.#referenceFormat)
+      : value;
+    this.#internals.setFormValue(submitted, value);
+
+    if (this.#parseError) {
+      this.#internals.setValidity(
+        { badInput: true },
+        this.#parseError.message,
+        this.#validationAnchor()
+      );
+    } else if (this.#required && !value) {
+      this.#internals.setValidity(
+        { valueMissing: true },
+        'Please select a color.',
+        this.#validationAnchor()
+      );
+    } else {
+      this.#internals.setValidity({});
+    }
+  }
+
+  /**
+   * Forwards the host's 'label' (or 'aria-label') to the native input and the inline picker.
+   *
+   * @private
+   */
+  #updateLabel() {
+    if (!this.#picker) return;
+    const label = this.getAttribute('label') ?? this.getAttribute('aria-label');
+    for (const element of [this.#input, this.#picker]) {
+      if (label) element.setAttribute('aria-label', label);
+      else element.removeAttribute('aria-label');
+    }
+  }
+
+  /**
+   * Shows the native input or the inline picker, depending on `mode`.
+   *
+   * @private
+   */
+  #updateMode() {
+    if (!this.#picker) return;
+    const inline = this.#mode === 'inline';
+    this.#input.hidden = inline;
+    this.#picker.hidden = !inline;
+    this.#renderPicker();
+    this.#updateFormValue();
+  }
+
+  /**
+   * Writes a value into the text field and clears its invalid state.
+   *
+   * @private
+   * @param {string} text - The text to show.
+   */
+  #updateTextValue(text) {
+    if (!this.#textInput) return;
+    this.#textInput.value = text;
+    this.#setTextInvalid(false);
+  }
+
+  /**
+   * Updates the internal input element's value.
+   * Enforces the `colorspace` if one is set; otherwise adapts to the incoming format.
+   *
+   * @private
+   * @param {string} cssColor - The color string to set.
+   * @param {{space: string, coords: number[], alpha: number}} color - The parsed color.
+   */
+  #updateInputValue(cssColor, color) {
+    if (!cssColor || !color) return;
+    try {
+      // Enforce specific colorspace if set; a CSS reference is kept as written
+      if (this.colorspace && cssColor !== this.#reference) {
+        const detected = this.#detectFormat(cssColor);
+        if (detected !== this.colorspace) {
+          const converted = this.#serialize(color, this.colorspace);
+          // Strict check to prevent infinite recursion loop
+          if (converted !== cssColor) {
+            this.#setColor(color, converted);
+            return;
+          }
+        }
+      }
+
+      // Normal processing (Update Internal Input)
+      // The native input only holds #rrggbb, so opacity goes to the slider.
+      const hex = this.#serialize({ ...color, alpha: 1 }, 'hex');
+      if (this.#input && this.#input.value !== hex) {
+        this.#input.value = hex;
+      }
+      if (this.#alphaInput) {
+        this.#alphaInput.value = String(Number.isNaN(color.alpha) ? 0 : color.alpha);
+      }
+      this.#syncPicker(color);
+      this.#updateTextValue(cssColor);
+      this.#syncFormat();
+      this.#updateContrast();
+    } catch (error) {
+      console.warn('Invalid color value. Keeping old value', error);
+    }
+  }
+
+  /**
+   * Waits for a click on the 'sample-source' element, showing a crosshair over it meanwhile.
+   * The click doesn't reach the page. Escape or the signal cancels.
+   *
+   * @private
+   * @param {AbortSignal} signal - Cancels the wait.
+   * @returns {Promise<{x: number, y: number}|null>} The clicked point in the source's own pixels, or null.
+   */
+  #waitForSampleClick(signal) {
+    const source = this.#findImageSource(this.#sampleSource, 'sample-source');
+    if (!source) return Promise.resolve(null);
+
+    return new Promise(resolve => {
+      const listeners = new AbortController();
+      const cursor = source.style.cursor;
+      const done = point => {
+        listeners.abort();
+        source.style.cursor = cursor;
+        resolve(point);
+      };
+
+      source.style.cursor = 'crosshair';
+      signal.addEventListener('abort', () => done(null), { signal: listeners.signal });
+      document.addEventListener('keydown', event => {
+        if (event.key === 'Escape') done(null);
+      }, { signal: listeners.signal });
+      source.addEventListener('click', event => {
+        event.preventDefault();
+        event.stopPropagation();
+        const rect = source.getBoundingClientRect();
+        const [width, height] = intrinsicSize(source);
+        if (!rect.width || !rect.height) return done(null);
+        done({
+          x: (event.clientX - rect.left) * width / rect.width,
+          y: (event.clientY - rect.top) * height / rect.height
+        });
+      }, { capture: true, signal: listeners.signal });
+    });
+  }
+
+  /**
+   * Follows the 'from-image' source: extracts its colors now if it is ready,
+   * and again whenever an image (re)loads.
+   *
+   * @private
+   */
+  #watchImage() {
+    this.#imageController?.abort();
+    this.#imageController = null;
+    this.#imageSwatches = [];
+
+    const source = this.isConnected ? this.#findImageSource(this.#fromImage, 'from-image') : null;
+    if (source) {
+      this.#imageController = new AbortController();
+      const { signal } = this.#imageController;
+      const extract = () => this.#extractImageColors(source, signal);
+
+      if (source instanceof HTMLImageElement) {
+        source.addEventListener('load', extract, { signal });
+        if (source.complete && source.naturalWidth) extract();
+      } else {
+        extract();
+      }
+    }
+    this.#renderSwatches();
+  }
+
+  /**
+   * Builds the error for a CSS reference that doesn't resolve to a color.
+   *
+   * @private
+   * @param {string} text - The reference.
+   * @returns {ColorParseError} The error.
+   */
+  #unresolved(text) {
+    return new ColorParseError('Cannot resolve to a color', text, 0);
+  }
+
+  /**
+   * Checks whether the text field holds a color `toHex` can read, and marks it accordingly.
+   *
+   * @private
+   * @returns {boolean} True if the text is a valid color.
+   */
+  #validateText() {
+    const text = this.#textInput.value.trim();
+    const valid = text !== '' && toHex(text) !== null;
+    this.#setTextInvalid(!valid);
+    return valid;
+  }
+
+  /**
+   * The visible control validation messages point at: the text field when editable,
+   * the area in inline mode, otherwise the native input.
+   *
+   * @private
+   * @returns {HTMLElement|undefined} The control, or undefined before the first connection.
+   */
+  #validationAnchor() {
+    if (this.#editable && this.#textInput) return this.#textInput;
+    return this.#mode === 'inline' ? this.#area : this.#input;
+  }
+
+  /**
+   * Re-resolves a CSS reference value when the root or body attributes (class, data-theme, style...)
+   * or the preferred color scheme change. Only active with 'watch-vars' while connected.
+   *
    * @private
-   * @type {string|undefined}
    */
-  #colorspace;
+  #watchTheme() {
+    this.#themeController?.abort();
+    this.#themeController = null;
+    this.#themeObserver?.disconnect();
+    if (!this.#watchVars || !this.isConnected) return;
+
+    this.#themeController = new AbortController();
+    this.#themeObserver ??= new MutationObserver(() => this.#refreshReference());
+    for (const element of [document.documentElement, document.body]) {
+      if (element) this.#themeObserver.observe(element, { attributes: true });
+    }
+    window.matchMedia?.('(prefers-color-scheme: dark)')
+      .addEventListener?.('change', () => this.#refreshReference(), { signal: this.#themeController.signal });
+  }
 
   /**
-   * Internal state for defer behavior.
+   * Writes the value to the 'bind-var' custom property on the 'bind-target' element
+   * (the root element by default), or removes it when there is no value.
+   * CSS reference values aren't written, so `value="var(--brand)"` can't feed itself.
+   *
    * @private
+   */
+  #writeBoundVar() {
+    if (!this.#bindVar || this.#reference) return;
+    let target = document.documentElement;
+    if (this.#bindTarget) {
+      try {
+        target = this.getRootNode().querySelector?.(this.#bindTarget) ?? document.querySelector(this.#bindTarget);
+      } catch (error) {
+        console.warn(`Invalid bind-target selector: ${this.#bindTarget}`, error);
+        return;
+      }
+    }
+    if (!target) return;
+
+    if (this.#value) {
+      target.style.setProperty(this.#bindVar, this.#value);
+    } else {
+      target.style.removeProperty(this.#bindVar);
+    }
+  }
+
+  // --- Getters / Setters
+
+  /**
+   * Gets or sets whether the opacity slider is shown.
+   * The alpha channel of the value is preserved either way.
    * @type {boolean}
    */
-  #defer = false;
+  get alpha() { return this.#alpha; }
+  set alpha(value) {
+    value = value !== 'false' && value !== false;
+    this.toggleAttribute('alpha', value);
+  }
 
   /**
-   * The current color value.
-   * @private
-   * @type {string|undefined}
+   * Gets or sets the specific output color space (e.g., 'rgb', 'hsl').
+   * If not set, the component attempts to preserve the format of the input value.
+   * @type {string}
    */
-  #value;
+  get colorspace() { return this.#colorspace; }
+  set colorspace(value) { this.setAttribute('colorspace', value); }
 
-  // -- Private Properties ---
+  /**
+   * The format values are written in: 'colorspace' if set, otherwise the format of the value.
+   * @type {string}
+   */
+  get activeColorspace() { return this.#colorspace || this.#detectFormat(this.#value); }
 
   /**
-   * Controller for managing event listeners and cleanup.
-   * @private
-   * @type {AbortController|null}
+   * Gets or sets whether the element is disabled.
+   * Reflects to the 'disabled' attribute.
+   * @type {boolean}
    */
-  #abortController;
+  get disabled() { return this.hasAttribute('disabled'); }
+  set disabled(value) { this.toggleAttribute('disabled', !!value); }
 
   /**
-   * Reference to the shadow DOM input element.
-   * @private
-   * @type {HTMLInputElement}
+   * The form the element is associated with, if any.
+   * Set the 'form' attribute to associate the element with a form by id.
+   * @type {HTMLFormElement|null}
    */
-  #input;
+  get form() { return this.#internals.form; }
 
-  // --- Static Public Properties ---
+  /**
+   * Gets or sets the name used when submitting the element's form.
+   * Reflects to the 'name' attribute.
+   * @type {string}
+   */
+  get name() { return this.getAttribute('name') ?? ''; }
+  set name(value) { this.setAttribute('name', value); }
 
-  static formAssociated = true;
+  /**
+   * Gets or sets whether a color is required for the form to be valid.
+   * Reflects to the 'required' attribute.
+   * @type {boolean}
+   */
+  get required() { return this.#required; }
+  set required(value) { this.toggleAttribute('required', !!value); }
 
   /**
-   * Attributes to observe for the lifecycle callback.
-   * @readonly
-   * @type {string[]}
+   * The validity state of the element.
+   * @type {ValidityState}
    */
-  static observedAttributes = [
-    'colorspace',
-    'defer',
-    'value'
-  ];
+  get validity() { return this.#internals.validity; }
 
   /**
-   * The HTML template for the shadow DOM.
-   * @type {HTMLTemplateElement}
+   * The message describing why the element is invalid, or an empty string.
+   * @type {string}
    */
-  static template = document.createElement('template');
+  get validationMessage() { return this.#internals.validationMessage; }
 
   /**
-   * Static initialization block to populate the template.
+   * Whether the element is a candidate for constraint validation.
+   * @type {boolean}
    */
-  static {
-    this.template.innerHTML = `
-      <input part="input" type="color" />
-    `;
+  get willValidate() { return this.#internals.willValidate; }
+
+  /**
+   * Gets or sets whether the text field is shown.
+   * Reflects to the 'editable' attribute.
+   * @type {boolean}
+   */
+  get editable() { return this.#editable; }
+  set editable(value) {
+    value = value !== 'false' && value !== false;
+    this.toggleAttribute('editable', value);
   }
 
   /**
-   * Initializes the web component and attaches the shadow DOM.
+   * Gets or sets whether setting the value from script fires input and change events
+   * (with `detail.source` 'programmatic').
+   * Reflects to the 'emit-programmatic' attribute.
+   * @type {boolean}
    */
-  constructor() {
-    super();
-    this.attachInternals();
-    this.attachShadow({ mode: 'open', delegatesFocus: true });
+  get emitProgrammatic() { return this.#emitProgrammatic; }
+  set emitProgrammatic(value) {
+    value = value !== 'false' && value !== false;
+    this.toggleAttribute('emit-programmatic', value);
   }
 
-  // --- Lifecycle ---
+  /**
+   * Gets or sets whether the eyedropper button is shown.
+   * The button stays hidden without the EyeDropper API or a 'sample-source'.
+   * Reflects to the 'eyedropper' attribute.
+   * @type {boolean}
+   */
+  get eyedropper() { return this.#eyedropper; }
+  set eyedropper(value) {
+    value = value !== 'false' && value !== false;
+    this.toggleAttribute('eyedropper', value);
+  }
 
   /**
-   * Called when one of the observed attributes changes.
-   * Handles synchronization between attributes, properties, and the internal input.
-   *
-   * @param {string} attr - The name of the attribute that changed.
-   * @param {string|null} oldval - The previous value of the attribute.
-   * @param {string|null} newval - The new value of the attribute.
+   * Gets or sets the formats offered by the format switcher.
+   * Reflects to the 'formats' attribute as a space-separated list; unknown formats are ignored.
+   * @type {string[]}
    */
-  attributeChangedCallback(attr, oldval, newval) {
-    if (oldval === newval) return;
+  get formats() { return [...(this.#formats ?? FORMATS)]; }
+  set formats(value) { this.setAttribute('formats', Array.isArray(value) ? value.join(' ') : value); }
 
-    if (attr === 'colorspace') {
-      this.#colorspace = newval;
+  /**
+   * Gets or sets the selector of the `<img>` or `<canvas>` whose dominant colors are offered as swatches.
+   * Reflects to the 'from-image' attribute.
+   * @type {string}
+   */
+  get fromImage() { return this.#fromImage ?? ''; }
+  set fromImage(value) { this.setAttribute('from-image', value); }
 
-      // Attempt to convert current value to new colorspace immediatey
-      if (this.#value) {
-        try {
-          const currentHex = toHex(this.#value);
-          if (currentHex) {
-            const converted = hexTo(currentHex, newval);
-            // Prevent recursion: only update if the string representation actually changes
-            if (converted !== this.#value) {
-              this.value = converted;
-            }
-          }
-        } catch (error) {
-          console.warn('Conversion failed during colorspace change', error);
-        }
-      }
-    } else if (attr === 'value') {
-      const validHex = toHex(newval);
-      if (validHex) {
-        this.#value = newval;
-        this.#updateInputValue(newval);
-      }
-    } else if (attr === 'defer') {
-      this.#defer = newval !== 'false' && newval !== null;
-    }
+  /**
+   * Gets or sets how colors outside sRGB are mapped into gamut: 'clip' (default) or 'css4'.
+   * Applies to sRGB-only formats (hex, name, rgb, hsl, hwb) and the native input.
+   * Reflects to the 'gamut-mapping' attribute.
+   * @type {'clip'|'css4'}
+   */
+  get gamutMapping() { return this.#gamutMapping; }
+  set gamutMapping(value) { this.setAttribute('gamut-mapping', value); }
 
-    window.abind?.update?.(this, attr, newval);
-  }
+  /**
+   * Gets or sets how many committed values the undo history keeps. 0 (default) keeps none.
+   * Reflects to the 'history' attribute.
+   * @type {number}
+   */
+  get history() { return this.#historyLimit; }
+  set history(value) { this.setAttribute('history', value); }
 
   /**
-   * Called when the element is inserted into the DOM.
-   * Sets up the Shadow DOM and attaches event listeners.
+   * Whether `undo()` has a value to go back to.
+   * @type {boolean}
    */
-  connectedCallback() {
-    if (this.#abortController) this.#abortController.abort();
-    this.#abortController = new AbortController();
-    const { signal } = this.#abortController;
+  get canUndo() { return this.#historyIndex > 0; }
 
-    if (!this.shadowRoot.hasChildNodes()) {
-      this.shadowRoot.append(AColor.template.content.cloneNode(true));
-    }
+  /**
+   * Whether `redo()` has a value to go forward to.
+   * @type {boolean}
+   */
+  get canRedo() { return this.#historyIndex < this.#historyEntries.length - 1; }
 
-    this.#input = this.shadowRoot.querySelector('input');
-    if (this.hasAttribute('value')) {
-      this.#updateInputValue(this.getAttribute('value'));
-    }
+  /**
+   * Gets or sets the accessible name of the inner controls.
+   * Reflects to the 'label' attribute. Falls back to 'aria-label'.
+   * @type {string}
+   */
+  get label() { return this.getAttribute('label') ?? ''; }
+  set label(value) { this.setAttribute('label', value); }
 
-    this.#input.addEventListener('input', this.#handleInputInput.bind(this), { signal });
-    this.#input.addEventListener('change', this.#handleInputChange.bind(this), { signal });
-  }
+  /**
+   * Gets or sets which picker is shown: 'native' (default) or 'inline'.
+   * Reflects to the 'mode' attribute.
+   * @type {'native'|'inline'}
+   */
+  get mode() { return this.#mode; }
+  set mode(value) { this.setAttribute('mode', value); }
 
   /**
-   * Called when the element is removed from the DOM.
-   * Cleans up event listeners via the AbortController.
+   * Whether the current color lies outside the sRGB and Display P3 gamuts.
+   * @type {{srgb: boolean, p3: boolean}}
    */
-  disconnectedCallback() {
-    if (this.#abortController) {
-      this.#abortController.abort();
-      this.#abortController = null;
-    }
+  get outOfGamut() {
+    if (!this.#color) return { srgb: false, p3: false };
+    return {
+      srgb: !inGamut(this.#color, 'srgb'),
+      p3: !inGamut(this.#color, 'display-p3')
+    };
   }
 
-  // --- Private Methods ---
+  /**
+   * Gets or sets how far (CIEDE2000) a color may be from a named color and still
+   * be written as that name when colorspace is 'name'. 0 only names exact matches.
+   * Reflects to the 'name-tolerance' attribute.
+   * @type {number}
+   */
+  get nameTolerance() { return this.#nameTolerance; }
+  set nameTolerance(value) { this.setAttribute('name-tolerance', value); }
 
   /**
-   * Converts a Hex color string to the target format (defined by colorspace or original format).
-   *
-   * @private
-   * @param {string} hexValue - The value from the internal color input (always hex).
-   * @returns {string} The converted color string.
+   * Gets or sets whether the format switcher is shown.
+   * Reflects to the 'show-format' attribute.
+   * @type {boolean}
    */
-  #convertColor(hexValue) {
-    let targetFormat = this.#colorspace;
-    return hexTo(hexValue, targetFormat);
+  get showFormat() { return this.#showFormat; }
+  set showFormat(value) {
+    value = value !== 'false' && value !== false;
+    this.toggleAttribute('show-format', value);
   }
 
   /**
-   * Detects the CSS color format of a given string.
-   *
-   * @private
-   * @param {string} value - The color string to analyze.
-   * @returns {string} The format name (e.g., 'hex', 'rgb', 'oklch').
+   * Gets or sets the current color value.
+   * Reflects to the 'value' attribute.
+   * @type {string}
    */
-  #detectFormat(value) {
-    if (!value) return 'hex';
-    value = value.toLowerCase().trim();
-    if (value.startsWith('#')) return 'hex';
-    if (value.startsWith('rgb')) return 'rgb';
-    if (value.startsWith('hsl')) return 'hsl';
-    if (value.startsWith('hwb')) return 'hwb';
-    if (value.startsWith('lch')) return 'lch';
-    if (value.startsWith('oklch')) return 'oklch';
-    return 'name';
-  }
+  get value() { return this.#value; }
+  set value(value) { this.setAttribute('value', value); }
 
   /**
-   * Handles the 'input' event from the internal color picker (dragging).
-   * Respects the 'defer' property to potentially suppress events.
-   *
-   * @private
-   * @param {Event} event - The DOM input event.
+   * The current color as a plain CSS color. Same as `value`, except that a `var()`,
+   * `currentcolor` or system color is replaced by the color it resolves to.
+   * Null if there is no color.
+   * @type {string|null}
    */
-  #handleInputInput(event) {
-    if (this.defer) return;
-    const newHex = event.target.value;
-    const targetFormat = this.#colorspace || this.#detectFormat(this.#value) || 'hex';
-    const convertedValue = hexTo(newHex, targetFormat);
-    this.value = convertedValue;
-    this.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+  get resolvedValue() {
+    if (!this.#color) return null;
+    return this.#reference ? this.#serialize(this.#color, this.activeColorspace) : this.#value;
   }
 
   /**
-   * Handles the 'change' event from the internal color picker (commit/release).
-   * Always updates the value and dispatches a change event.
-   *
-   * @private
-   * @param {Event} event - The DOM change event.
+   * Gets or sets the color contrast is measured against. Any CSS color.
+   * Reflects to the 'contrast-against' attribute.
+   * @type {string}
    */
-  #handleInputChange(event) {
-    const newHex = event.target.value;
-    const targetFormat = this.#colorspace || this.#detectFormat(this.#value) || 'hex';
-    const convertedValue = hexTo(newHex, targetFormat);
-    this.value = convertedValue;
-    this.dispatchEvent(new Event('change', { bubbles: true, composed: true }));
+  get contrastAgainst() { return this.getAttribute('contrast-against') ?? ''; }
+  set contrastAgainst(value) { this.setAttribute('contrast-against', value); }
+
+  /**
+   * The WCAG contrast ratio between the value and 'contrast-against',
+   * or null if either is missing.
+   * @type {number|null}
+   */
+  get contrast() {
+    if (!this.#color || !this.#contrastAgainst) return null;
+    return contrastRatio(this.#color, this.#contrastAgainst);
   }
 
   /**
-   * Updates the internal input element's value.
-   * Enforces the `colorspace` if one is set; otherwise adapts to the incoming format.
-   *
-   * @private
-   * @param {string} cssColor - The color string to set.
+   * Gets or sets the lowest acceptable contrast ratio (e.g. 4.5), or null for none.
+   * Reflects to the 'min-contrast' attribute.
+   * @type {number|null}
    */
-  #updateInputValue(cssColor) {
-    if (!cssColor) return;
-    try {
-      // Enforce specific colorspace if set
-      if (this.colorspace) {
-        const detected = this.#detectFormat(cssColor);
-        if (detected !== this.colorspace) {
-          const hex = toHex(cssColor);
-          if (hex) {
-            const converted = hexTo(hex, this.colorspace);
-            // Strict check to prevent infinite recursion loop
-            if (converted !== cssColor) {
-              this.value = converted;
-              return;
-            }
-          }
-        }
-      }
+  get minContrast() { return this.#minContrast; }
+  set minContrast(value) { this.setAttribute('min-contrast', value); }
 
-      // Normal processing (Update Internal Input)
-      const hex = toHex(cssColor);
-      if (this.#input && hex && this.#input.value !== hex) {
-        this.#input.value = hex;
-      }
-    } catch (error) {
-      console.warn('Invalid color value. Keeping old value', error);
-    }
+  /**
+   * Gets or sets whether picks below 'min-contrast' snap to the nearest lightness that passes.
+   * Reflects to the 'snap-contrast' attribute.
+   * @type {boolean}
+   */
+  get snapContrast() { return this.#snapContrast; }
+  set snapContrast(value) {
+    value = value !== 'false' && value !== false;
+    this.toggleAttribute('snap-contrast', value);
   }
 
-  // --- Getters / Setters
+  /**
+   * Gets or sets the preset colors shown as swatches.
+   * Reflects to the 'swatches' attribute as a space-separated list.
+   * Colors from a child `<datalist>` are not included.
+   * @type {string[]}
+   */
+  get swatches() { return [...this.#swatches]; }
+  set swatches(value) { this.setAttribute('swatches', Array.isArray(value) ? value.join(' ') : value); }
 
   /**
-   * Gets or sets the specific output color space (e.g., 'rgb', 'hsl').
-   * If not set, the component attempts to preserve the format of the input value.
+   * Gets or sets the localStorage key recent colors are kept under.
+   * Reflects to the 'recent' attribute; without it, recent colors are not kept.
    * @type {string}
    */
-  get colorspace() { return this.#colorspace; }
-  set colorspace(value) { this.setAttribute('colorspace', value); }
+  get recent() { return this.#recent ?? ''; }
+  set recent(value) { this.setAttribute('recent', value); }
 
   /**
-   * Gets or sets the current color value.
-   * Reflects to the 'value' attribute.
+   * The recent colors kept under the 'recent' key, most recent first.
+   * @type {string[]}
+   */
+  get recentColors() { return this.#readRecent(); }
+
+  /**
+   * Gets or sets how many recent colors are kept. Defaults to 8.
+   * Reflects to the 'recent-limit' attribute.
+   * @type {number}
+   */
+  get recentLimit() { return this.#recentLimit; }
+  set recentLimit(value) { this.setAttribute('recent-limit', value); }
+
+  /**
+   * Gets or sets the selector of the `<canvas>` or `<img>` sampled where the EyeDropper API is missing.
+   * Reflects to the 'sample-source' attribute.
    * @type {string}
    */
-  get value() { return this.#value; }
-  set value(value) { this.setAttribute('value', value); }
+  get sampleSource() { return this.#sampleSource ?? ''; }
+  set sampleSource(value) { this.setAttribute('sample-source', value); }
 
   /**
    * Gets or sets the defer mode.
@@ -307,6 +3010,64 @@ class AColor extends HTMLElement {
     value = value !== 'false' && value !== false;
     this.toggleAttribute('defer', value);
   }
+
+  /**
+   * Gets or sets the least milliseconds between input events while dragging.
+   * Steps in between are merged into a trailing event. 0 (default) fires every step.
+   * Reflects to the 'throttle' attribute.
+   * @type {number}
+   */
+  get throttle() { return this.#throttle; }
+  set throttle(value) { this.setAttribute('throttle', value); }
+
+  /**
+   * Gets or sets how many milliseconds the value must rest before an input event fires.
+   * Takes precedence over 'throttle'. 0 (default) fires every step.
+   * Reflects to the 'debounce' attribute.
+   * @type {number}
+   */
+  get debounce() { return this.#debounce; }
+  set debounce(value) { this.setAttribute('debounce', value); }
+
+  /**
+   * Gets or sets whether input events are coalesced to one per animation frame.
+   * Ignored when 'throttle' or 'debounce' is set.
+   * Reflects to the 'animation-frame' attribute.
+   * @type {boolean}
+   */
+  get animationFrame() { return this.#animationFrame; }
+  set animationFrame(value) {
+    value = value !== 'false' && value !== false;
+    this.toggleAttribute('animation-frame', value);
+  }
+
+  /**
+   * Gets or sets whether a `var()`, `currentcolor` or system color value is resolved again
+   * when the theme changes.
+   * Reflects to the 'watch-vars' attribute.
+   * @type {boolean}
+   */
+  get watchVars() { return this.#watchVars; }
+  set watchVars(value) {
+    value = value !== 'false' && value !== false;
+    this.toggleAttribute('watch-vars', value);
+  }
+
+  /**
+   * Gets or sets the custom property (e.g. '--brand') the value is written to.
+   * Reflects to the 'bind-var' attribute.
+   * @type {string}
+   */
+  get bindVar() { return this.#bindVar ?? ''; }
+  set bindVar(value) { this.setAttribute('bind-var', value); }
+
+  /**
+   * Gets or sets the selector of the element 'bind-var' is set on. The root element if empty.
+   * Reflects to the 'bind-target' attribute.
+   * @type {string}
+   */
+  get bindTarget() { return this.#bindTarget ?? ''; }
+  set bindTarget(value) { this.setAttribute('bind-target', value); }
 }
 
-if (!customElements.get('a-color')) customElements.define('a-color', AColor);
+if (globalThis.customElements && !customElements.get('a-color')) customElements.define('a-color', AColor);
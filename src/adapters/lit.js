@@ -0,0 +1,102 @@
+/**
+ * @file lit.js
+ * A Lit reactive controller that keeps a host property in sync with an `<a-color>` in its template.
+ * It only uses Lit's `ReactiveControllerHost` interface, so this package doesn't depend on Lit.
+ * @author Holmes Bryant <https://github.com/HolmesBryant>
+ * @license GPL-3.0
+ */
+
+import '../a-color.js';
+
+/**
+ * Writes the value of `<a-color>` elements in a Lit component's template to one of its properties.
+ * Bind the other direction in the template with `.value=${this.color}`:
+ *
+ *   color = '#3366cc';
+ *   #picker = new AColorController(this, 'color');
+ *   render() { return html`<a-color .value=${this.color}></a-color>`; }
+ */
+export class AColorController {
+  /**
+   * Stops listening when the host disconnects.
+   * @private
+   * @type {AbortController|null}
+   */
+  #abortController = null;
+
+  /**
+   * The events that update the property.
+   * @private
+   * @type {string[]}
+   */
+  #events;
+
+  /**
+   * The component the controller belongs to.
+   * @private
+   * @type {HTMLElement}
+   */
+  #host;
+
+  /**
+   * The host property the value is written to.
+   * @private
+   * @type {string}
+   */
+  #property;
+
+  /**
+   * Which pickers to follow; all of the host's if null.
+   * @private
+   * @type {string|null}
+   */
+  #selector;
+
+  /**
+   * @param {HTMLElement} host - The Lit component (a `ReactiveControllerHost`).
+   * @param {string} property - The host property to write the value to.
+   * @param {Object} [options]
+   * @param {boolean} [options.lazy=false] - Only update on change, not on every input.
+   * @param {string} [options.selector] - Only follow pickers matching this selector.
+   */
+  constructor(host, property, { lazy = false, selector = null } = {}) {
+    this.#host = host;
+    this.#property = property;
+    this.#events = lazy ? ['change'] : ['input', 'change'];
+    this.#selector = selector;
+    host.addController(this);
+  }
+
+  /**
+   * Listens for the pickers' events, which are composed and so reach the host.
+   */
+  hostConnected() {
+    this.#abortController?.abort();
+    this.#abortController = new AbortController();
+    for (const type of this.#events) {
+      this.#host.addEventListener(type, this.#handleEvent.bind(this), { signal: this.#abortController.signal });
+    }
+  }
+
+  /**
+   * Stops listening.
+   */
+  hostDisconnected() {
+    this.#abortController?.abort();
+    this.#abortController = null;
+  }
+
+  /**
+   * Copies the value of the picker that fired the event to the host property.
+   * Events from other elements in the host are ignored.
+   *
+   * @private
+   * @param {Event} event - The event.
+   */
+  #handleEvent(event) {
+    const picker = event.composedPath()[0];
+    if (picker?.localName !== 'a-color') return;
+    if (this.#selector && !picker.matches(this.#selector)) return;
+    this.#host[this.#property] = event.detail.value;
+  }
+}
@@ -0,0 +1,79 @@
+/**
+ * @file react.js
+ * A React wrapper for `<a-color>`. React 18 passes every prop of a custom element as a string
+ * attribute and doesn't listen for its events; the wrapper sets props as properties and
+ * subscribes to the events itself. React is passed in, so this package doesn't depend on it.
+ * @author Holmes Bryant <https://github.com/HolmesBryant>
+ * @license GPL-3.0
+ */
+
+import '../a-color.js';
+
+/**
+ * Event props and the events they listen for.
+ * @type {Object<string, string>}
+ */
+const EVENTS = {
+  onInput: 'input',
+  onChange: 'change',
+  onColorspaceChange: 'colorspacechange',
+  onHistoryChange: 'historychange',
+  onUpdate: 'a-color:update'
+};
+
+/**
+ * Props rendered as they are instead of being set as properties.
+ * @type {Set<string>}
+ */
+const PASSTHROUGH = new Set(['children', 'className', 'id', 'slot', 'style', 'title']);
+
+/**
+ * Builds the `<AColor>` component.
+ *
+ * Props named after an `<a-color>` property (`value`, `colorspace`, `alpha`, `swatches`...) are
+ * set as properties, so arrays and booleans keep their type. `onInput`, `onChange`,
+ * `onColorspaceChange`, `onHistoryChange` and `onUpdate` receive the element's CustomEvents.
+ * `className`, `id`, `style`, `aria-*` and `data-*` props are rendered as attributes.
+ * The ref is the `<a-color>` element.
+ *
+ * @param {Object} React - The React module (`import * as React from 'react'`).
+ * @returns {Function} The component.
+ */
+export function createAColor(React) {
+  const { createElement, forwardRef, useEffect, useImperativeHandle, useLayoutEffect, useRef } = React;
+
+  return forwardRef(function AColor(props, ref) {
+    const element = useRef(null);
+    const handlers = useRef({});
+    const attributes = { ref: element };
+    const properties = {};
+    handlers.current = {};
+
+    for (const [key, value] of Object.entries(props)) {
+      if (key in EVENTS) handlers.current[EVENTS[key]] = value;
+      else if (PASSTHROUGH.has(key) || key.startsWith('aria-') || key.startsWith('data-')) attributes[key] = value;
+      else properties[key] = value;
+    }
+
+    useImperativeHandle(ref, () => element.current, []);
+
+    // Like a controlled <input>: a `value` prop wins over picks the parent didn't store
+    useLayoutEffect(() => {
+      for (const [key, value] of Object.entries(properties)) {
+        if (element.current[key] !== value) element.current[key] = value;
+      }
+    });
+
+    useEffect(() => {
+      const controller = new AbortController();
+      for (const type of Object.values(EVENTS)) {
+        element.current.addEventListener(type, event => handlers.current[type]?.(event), {
+          signal: controller.signal
+        });
+      }
+      return () => controller.abort();
+    }, []);
+
+    return createElement('a-color', attributes);
+  });
+}
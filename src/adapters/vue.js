@@ -0,0 +1,43 @@
+/**
+ * @file vue.js
+ * A Vue 3 wrapper for `<a-color>` that supports `v-model`. Vue is passed in, so this package
+ * doesn't depend on it.
+ * @author Holmes Bryant <https://github.com/HolmesBryant>
+ * @license GPL-3.0
+ */
+
+import '../a-color.js';
+
+/**
+ * Builds the `<AColor>` component.
+ *
+ * `v-model` binds the value: `modelValue` is set as the `value` property, and `update:modelValue`
+ * is emitted with `detail.value` on every input and change event. Other attributes, properties and
+ * listeners (`@change`, `@colorspacechange`...) are passed through to the element, where Vue
+ * sets properties the element has and attributes otherwise.
+ *
+ * @param {Object} Vue - The Vue module (`import * as Vue from 'vue'`); `defineComponent`, `h` and
+ *   `mergeProps` are used.
+ * @returns {Object} The component.
+ */
+export function createAColor({ defineComponent, h, mergeProps }) {
+  return defineComponent({
+    name: 'AColor',
+    inheritAttrs: false,
+    props: {
+      modelValue: { type: String, default: undefined }
+    },
+    emits: ['update:modelValue'],
+    setup(props, { attrs, emit, slots }) {
+      const update = event => {
+        emit('update:modelValue', event.detail.value);
+      };
+
+      return () => {
+        const own = { onInput: update, onChange: update };
+        if (props.modelValue !== undefined) own.value = props.modelValue;
+        return h('a-color', mergeProps(attrs, own), slots.default?.());
+      };
+    }
+  });
+}
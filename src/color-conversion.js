@@ -1,44 +1,17 @@
 /**
  * @file color-conversion.js
- * A set of functions to convert various css color values to hex and back.
+ * A set of functions to parse, convert and serialize css color values.
+ * Colors are held as floating-point objects ({ space, coords, alpha }) and converted
+ * directly between spaces, so values are never rounded to 8 bits unless hex is requested.
  * @author Holmes Bryant <Holmes Bryant <https://github.com/HolmesBryant>
  * @version 2.0.0
  * @license GPL-3.0
  */
 
-const COLOR_NAMES = {
-  aliceblue: "#f0f8ff", antiquewhite: "#faebd7", aqua: "#00ffff", aquamarine: "#7fffd4", azure: "#f0ffff",
-  beige: "#f5f5dc", bisque: "#ffe4c4", black: "#000000", blanchedalmond: "#ffebcd", blue: "#0000ff",
-  blueviolet: "#8a2be2", brown: "#a52a2a", burlywood: "#deb887", cadetblue: "#5f9ea0", chartreuse: "#7fff00",
-  chocolate: "#d2691e", coral: "#ff7f50", cornflowerblue: "#6495ed", cornsilk: "#fff8dc", crimson: "#dc143c",
-  cyan: "#00ffff", darkblue: "#00008b", darkcyan: "#008b8b", darkgoldenrod: "#b8860b", darkgray: "#a9a9a9",
-  darkgreen: "#006400", darkgrey: "#a9a9a9", darkkhaki: "#bdb76b", darkmagenta: "#8b008b", darkolivegreen: "#556b2f",
-  darkorange: "#ff8c00", darkorchid: "#9932cc", darkred: "#8b0000", darksalmon: "#e9967a", darkseagreen: "#8fbc8f",
-  darkslateblue: "#483d8b", darkslategray: "#2f4f4f", darkslategrey: "#2f4f4f", darkturquoise: "#00ced1",
-  darkviolet: "#9400d3", deeppink: "#ff1493", deepskyblue: "#00bfff", dimgray: "#696969", dimgrey: "#696969",
-  dodgerblue: "#1e90ff", firebrick: "#b22222", floralwhite: "#fffaf0", forestgreen: "#228b22", fuchsia: "#ff00ff",
-  gainsboro: "#dcdcdc", ghostwhite: "#f8f8ff", gold: "#ffd700", goldenrod: "#daa520", gray: "#808080",
-  green: "#008000", greenyellow: "#adff2f", grey: "#808080", honeydew: "#f0fff0", hotpink: "#ff69b4",
-  indianred: "#cd5c5c", indigo: "#4b0082", ivory: "#fffff0", khaki: "#f0e68c", lavender: "#e6e6fa",
-  lavenderblush: "#fff0f5", lawngreen: "#7cfc00", lemonchiffon: "#fffacd", lightblue: "#add8e6", lightcoral: "#f08080",
-  lightcyan: "#e0ffff", lightgoldenrodyellow: "#fafad2", lightgray: "#d3d3d3", lightgreen: "#90ee90",
-  lightgrey: "#d3d3d3", lightpink: "#ffb6c1", lightsalmon: "#ffa07a", lightseagreen: "#20b2aa",
-  lightskyblue: "#87cefa", lightslategray: "#778899", lightslategrey: "#778899", lightsteelblue: "#b0c4de",
-  lightyellow: "#ffffe0", lime: "#00ff00", limegreen: "#32cd32", linen: "#faf0e6", magenta: "#ff00ff",
-  maroon: "#800000", mediumaquamarine: "#66cdaa", mediumblue: "#0000cd", mediumorchid: "#ba55d3",
-  mediumpurple: "#9370db", mediumseagreen: "#3cb371", mediumslateblue: "#7b68ee", mediumspringgreen: "#00fa9a",
-  mediumturquoise: "#48d1cc", mediumvioletred: "#c71585", midnightblue: "#191970", mintcream: "#f5fffa",
-  mistyrose: "#ffe4e1", moccasin: "#ffe4b5", navajowhite: "#ffdead", navy: "#000080", oldlace: "#fdf5e6",
-  olive: "#808000", olivedrab: "#6b8e23", orange: "#ffa500", orangered: "#ff4500", orchid: "#da70d6",
-  palegoldenrod: "#eee8aa", palegreen: "#98fb98", paleturquoise: "#afeeee", palevioletred: "#db7093",
-  papayawhip: "#ffefd5", peachpuff: "#ffdab9", peru: "#cd853f", pink: "#ffc0cb", plum: "#dda0dd",
-  powderblue: "#b0e0e6", purple: "#800080", rebeccapurple: "#663399", red: "#ff0000", rosybrown: "#bc8f8f", royalblue: "#4169e1",
-  saddlebrown: "#8b4513", salmon: "#fa8072", sandybrown: "#f4a460", seagreen: "#2e8b57", seashell: "#fff5ee",
-  sienna: "#a0522d", silver: "#c0c0c0", skyblue: "#87ceeb", slateblue: "#6a5acd", slategray: "#708090",
-  slategrey: "#708090", snow: "#fffafa", springgreen: "#00ff7f", steelblue: "#4682b4", tan: "#d2b48c",
-  teal: "#008080", thistle: "#d8bfd8", tomato: "#ff6347", turquoise: "#40e0d0", violet: "#ee82ee",
-  wheat: "#f5deb3", white: "#ffffff", whitesmoke: "#f5f5f5", yellow: "#ffff00", yellowgreen: "#9acd32"
-};
+import { COLOR_NAMES } from './color-names.js';
+import { parseColor, ColorParseError } from './color-parser.js';
+
+export { parseColor, ColorParseError };
 
 // Lazy-load reverse map for named colors
 let HEX_TO_NAMES = null;
@@ -50,281 +23,1007 @@ function getHexToNameMap() {
     // If multiple names point to same hex (gray/grey), the last one overwrites.
     HEX_TO_NAMES[hex] = name;
   }
+  HEX_TO_NAMES['#00000000'] = 'transparent';
   return HEX_TO_NAMES;
 }
 
 const toDoubleHex = (v) => Math.round(v * 255).toString(16).padStart(2, '0');
 const clamp = (v) => Math.min(1, Math.max(0, v));
 
+// Hex suffix for an alpha value. Opaque colors get no suffix.
+const toAlphaHex = (a) => (a < 1) ? toDoubleHex(clamp(a)) : '';
+
+// Fixed-point formatting that never produces "-0.000".
+const toFixed = (v, digits) => (Math.abs(v) < 0.5 * 10 ** -digits ? 0 : v).toFixed(digits);
+
+// Rounds to at most `digits` decimals and drops trailing zeros. Missing (NaN) components become `none`.
+const toNumber = (v, digits) => Number.isNaN(v) ? 'none' : String(+toFixed(v, digits));
+
+// Serializes alpha for the `/ alpha` slot of a CSS color function. Opaque colors get no slot.
+const toAlphaSlot = (a) => (a < 1 || Number.isNaN(a)) ? ` / ${toNumber(a, 3)}` : '';
+
+// Missing (`none`) components count as 0 once a color leaves its own space.
+const fillMissing = (coords) => coords.map(c => Number.isNaN(c) ? 0 : c);
+
 /**
- * Parses a hex string into normalized [0-1] linear RGB components.
- * @returns {Object} {r, g, b} in 0-1 range (sRGB)
+ * Parses a hex string into normalized [0-1] sRGB components.
+ * Accepts #rgb, #rgba, #rrggbb and #rrggbbaa.
+ * @returns {Object} {r, g, b, a} in 0-1 range (sRGB)
  */
 function parseHexToRgb(hex) {
   if (hex.startsWith('#')) hex = hex.slice(1);
-  let r, g, b;
+  if (hex.length === 3 || hex.length === 4) {
+    hex = [...hex].map(c => c + c).join('');
+  }
 
-  if (hex.length === 3) {
-    r = parseInt(hex[0] + hex[0], 16);
-    g = parseInt(hex[1] + hex[1], 16);
-    b = parseInt(hex[2] + hex[2], 16);
-  } else {
-    const val = parseInt(hex, 16);
-    r = (val >> 16) & 255;
-    g = (val >> 8) & 255;
-    b = val & 255;
+  const r = parseInt(hex.slice(0, 2), 16);
+  const g = parseInt(hex.slice(2, 4), 16);
+  const b = parseInt(hex.slice(4, 6), 16);
+  const a = hex.length === 8 ? parseInt(hex.slice(6, 8), 16) : 255;
+  return { r: r / 255, g: g / 255, b: b / 255, a: a / 255 };
+}
+
+// ==========================================
+// Color Space Math
+// Matrices and transfer functions follow the CSS Color 4 sample code.
+// ==========================================
+
+const D50 = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+const D65 = [0.3127 / 0.3290, 1, (1 - 0.3127 - 0.3290) / 0.3290];
+
+// Bradford chromatic adaptation
+const D65_TO_D50 = [
+  [1.0479297925449969, 0.022946870601609652, -0.05019226628920524],
+  [0.02962780877005599, 0.9904344267538799, -0.017073799063418826],
+  [-0.009243040646204504, 0.015055191490298152, 0.7518742814281371]
+];
+const D50_TO_D65 = [
+  [0.955473421488075, -0.02309845494876471, 0.06325924320057072],
+  [-0.0283697093338637, 1.0099953980813041, 0.021041441191917323],
+  [0.012314014864481998, -0.020507649298898964, 1.330365926242124]
+];
+
+const XYZ_TO_LMS = [
+  [0.8190224379967030, 0.3619062600528904, -0.1288737815209879],
+  [0.0329836539323885, 0.9292868615863434, 0.0361446663506424],
+  [0.0481771893596242, 0.2642395317527308, 0.6335478284694309]
+];
+const LMS_TO_XYZ = [
+  [1.2268798758459243, -0.5578149944602171, 0.2813910456659647],
+  [-0.0405757452148008, 1.1122868032803170, -0.0717110580655164],
+  [-0.0763729366746601, -0.4214933324022432, 1.5869240198367816]
+];
+const LMS_TO_OKLAB = [
+  [0.2104542683093140, 0.7936177747023054, -0.0040720430116193],
+  [1.9779985324311684, -2.4285922420485799, 0.4505937096174110],
+  [0.0259040424655478, 0.7827717124575296, -0.8086757549230774]
+];
+const OKLAB_TO_LMS = [
+  [1, 0.3963377773761749, 0.2158037573099136],
+  [1, -0.1055613458156586, -0.0638541728258133],
+  [1, -0.0894841775298119, -1.2914855480194092]
+];
+
+const multiply = (m, [x, y, z]) => m.map(row => row[0] * x + row[1] * y + row[2] * z);
+
+// Sign-preserving power, so extended-range values survive transfer functions.
+const signedPow = (v, p) => Math.sign(v) * Math.pow(Math.abs(v), p);
+
+const srgbDecode = c => (Math.abs(c) <= 0.04045) ? c / 12.92 : Math.sign(c) * Math.pow((Math.abs(c) + 0.055) / 1.055, 2.4);
+const srgbEncode = c => (Math.abs(c) <= 0.0031308) ? 12.92 * c : Math.sign(c) * (1.055 * Math.pow(Math.abs(c), 1 / 2.4) - 0.055);
+
+const REC2020_ALPHA = 1.09929682680944;
+const REC2020_BETA = 0.018053968510807;
+
+/**
+ * RGB spaces usable in the CSS `color()` function, plus the XYZ spaces.
+ * `toXyz`/`fromXyz` convert linear values to/from XYZ relative to `white`.
+ */
+const COLOR_SPACES = {
+  'srgb': {
+    white: D65,
+    decode: srgbDecode,
+    encode: srgbEncode,
+    toXyz: [
+      [506752 / 1228815, 87881 / 245763, 12673 / 70218],
+      [87098 / 409605, 175762 / 245763, 12673 / 175545],
+      [7918 / 409605, 87881 / 737289, 1001167 / 1053270]
+    ],
+    fromXyz: [
+      [12831 / 3959, -329 / 214, -1974 / 3959],
+      [-851781 / 878810, 1648619 / 878810, 36519 / 878810],
+      [705 / 12673, -2585 / 12673, 705 / 667]
+    ]
+  },
+  'display-p3': {
+    white: D65,
+    decode: srgbDecode,
+    encode: srgbEncode,
+    toXyz: [
+      [608311 / 1250200, 189793 / 714400, 198249 / 1000160],
+      [35783 / 156275, 247089 / 357200, 198249 / 2500400],
+      [0, 32229 / 714400, 5220557 / 5000800]
+    ],
+    fromXyz: [
+      [446124 / 178915, -333277 / 357830, -72051 / 178915],
+      [-14852 / 17905, 63121 / 35810, 423 / 17905],
+      [11844 / 330415, -50337 / 660830, 316169 / 330415]
+    ]
+  },
+  'a98-rgb': {
+    white: D65,
+    decode: c => signedPow(c, 563 / 256),
+    encode: c => signedPow(c, 256 / 563),
+    toXyz: [
+      [573536 / 994567, 263643 / 1420810, 187206 / 994567],
+      [591459 / 1989134, 6239551 / 9945670, 374412 / 4972835],
+      [53769 / 1989134, 351524 / 4972835, 4929758 / 4972835]
+    ],
+    fromXyz: [
+      [1829569 / 896150, -506331 / 896150, -308931 / 896150],
+      [-851781 / 878810, 1648619 / 878810, 36519 / 878810],
+      [16779 / 1248040, -147721 / 1248040, 1266979 / 1248040]
+    ]
+  },
+  'prophoto-rgb': {
+    white: D50,
+    decode: c => (Math.abs(c) <= 16 / 512) ? c / 16 : signedPow(c, 1.8),
+    encode: c => (Math.abs(c) >= 1 / 512) ? signedPow(c, 1 / 1.8) : 16 * c,
+    toXyz: [
+      [0.79776664490064230, 0.13518129740053308, 0.03134773412839220],
+      [0.28807482881940130, 0.71183523424187300, 0.00008993693872564],
+      [0, 0, 0.82510460251046020]
+    ],
+    fromXyz: [
+      [1.34578688164715830, -0.25557208737979464, -0.05110186497554526],
+      [-0.54463070512490190, 1.50824774284514680, 0.02052744743642139],
+      [0, 0, 1.21196754563894520]
+    ]
+  },
+  'rec2020': {
+    white: D65,
+    decode: c => (Math.abs(c) < REC2020_BETA * 4.5)
+      ? c / 4.5
+      : Math.sign(c) * Math.pow((Math.abs(c) + REC2020_ALPHA - 1) / REC2020_ALPHA, 1 / 0.45),
+    encode: c => (Math.abs(c) < REC2020_BETA)
+      ? c * 4.5
+      : Math.sign(c) * (REC2020_ALPHA * Math.pow(Math.abs(c), 0.45) - (REC2020_ALPHA - 1)),
+    toXyz: [
+      [63426534 / 99577255, 20160776 / 139408157, 47086771 / 278816314],
+      [26158966 / 99577255, 472592308 / 697040785, 8267143 / 139408157],
+      [0, 19567812 / 697040785, 295819943 / 278816314]
+    ],
+    fromXyz: [
+      [30757411 / 17917100, -6372589 / 17917100, -4539589 / 17917100],
+      [-19765991 / 29648200, 47925759 / 29648200, 467509 / 29648200],
+      [792561 / 44930125, -1921689 / 44930125, 42328811 / 44930125]
+    ]
   }
-  return { r: r / 255, g: g / 255, b: b / 255 };
+};
+
+const identity = c => c;
+const IDENTITY = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+COLOR_SPACES['srgb-linear'] = { ...COLOR_SPACES.srgb, decode: identity, encode: identity };
+COLOR_SPACES['xyz-d65'] = { white: D65, decode: identity, encode: identity, toXyz: IDENTITY, fromXyz: IDENTITY };
+COLOR_SPACES['xyz-d50'] = { white: D50, decode: identity, encode: identity, toXyz: IDENTITY, fromXyz: IDENTITY };
+COLOR_SPACES['xyz'] = COLOR_SPACES['xyz-d65'];
+
+/**
+ * Converts XYZ between white points. Only D50 and D65 are used.
+ */
+function adaptXyz(xyz, from, to) {
+  if (from === to) return xyz;
+  return multiply(from === D65 ? D65_TO_D50 : D50_TO_D65, xyz);
 }
 
 /**
- * Converts sRGB [0-1] to Linear RGB [0-1]
+ * Converts encoded RGB coordinates in a predefined space to XYZ (D65).
  */
-function sRgbToLinear({ r, g, b }) {
-  const linearize = c => (c <= 0.04045) ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
-  return { r: linearize(r), g: linearize(g), b: linearize(b) };
+function spaceToXyz(space, coords) {
+  const { white, decode, toXyz } = COLOR_SPACES[space];
+  return adaptXyz(multiply(toXyz, coords.map(decode)), white, D65);
 }
 
-// ==========================================
-// Main Exported Functions
-// ==========================================
+/**
+ * Converts XYZ (D65) to encoded RGB coordinates in a predefined space.
+ */
+function xyzToSpace(space, xyz) {
+  const { white, encode, fromXyz } = COLOR_SPACES[space];
+  return multiply(fromXyz, adaptXyz(xyz, D65, white)).map(encode);
+}
 
 /**
- * Converts CSS color string to Hex.
+ * Converts XYZ (D65) to CIE Lab (D50). L is 0-100.
  */
-export function toHex(value) {
-  if (!value) return console.error('No color value to convert');
-  value = value.trim();
-  if (value.startsWith('#')) return value;
-  if (value.startsWith('rgb')) return rgbToHex(value);
-  if (value.startsWith('hsl')) return hslToHex(value);
-  if (value.startsWith('hwb')) return hwbToHex(value);
-  if (value.startsWith('lch')) return lchToHex(value);
-  if (value.startsWith('oklch')) return oklchToHex(value);
-  return namedColorToHex(value);
+function xyzToLab(xyz) {
+  const e = 216 / 24389, k = 24389 / 27;
+  const f = t => t > e ? Math.cbrt(t) : (k * t + 16) / 116;
+  const [x, y, z] = adaptXyz(xyz, D65, D50).map((v, i) => f(v / D50[i]));
+  return [116 * y - 16, 500 * (x - y), 200 * (y - z)];
 }
 
 /**
- * Converts Hex string to specific CSS color space.
- * @param {string} hex - The hex color (e.g. #ff0000)
- * @param {string} format - The target format (rgb, hsl, hwb, lch, oklch, name)
+ * Converts CIE Lab (D50) to XYZ (D65).
  */
-export function hexTo(hex, format) {
-  if (!hex || !format) return hex;
-  switch (format.toLowerCase()) {
-    case 'rgb': return hexToRgb(hex);
-    case 'hsl': return hexToHsl(hex);
-    case 'hwb': return hexToHwb(hex);
-    case 'lch': return hexToLch(hex);
-    case 'oklch': return hexToOklch(hex);
-    case 'name': return hexToName(hex);
-    default: return hex;
-  }
+function labToXyz([L, a, b]) {
+  const e = 216 / 24389, k = 24389 / 27;
+  const fy = (L + 16) / 116;
+  const fx = a / 500 + fy;
+  const fz = fy - b / 200;
+  const xyz = [
+    Math.pow(fx, 3) > e ? Math.pow(fx, 3) : (116 * fx - 16) / k,
+    L > k * e ? Math.pow(fy, 3) : L / k,
+    Math.pow(fz, 3) > e ? Math.pow(fz, 3) : (116 * fz - 16) / k
+  ].map((v, i) => v * D50[i]);
+  return adaptXyz(xyz, D50, D65);
+}
+
+/**
+ * Converts XYZ (D65) to OKLab. L is 0-1.
+ */
+function xyzToOklab(xyz) {
+  return multiply(LMS_TO_OKLAB, multiply(XYZ_TO_LMS, xyz).map(Math.cbrt));
+}
+
+/**
+ * Converts OKLab to XYZ (D65).
+ */
+function oklabToXyz(lab) {
+  return multiply(LMS_TO_XYZ, multiply(OKLAB_TO_LMS, lab).map(v => v * v * v));
+}
+
+/**
+ * Converts rectangular a/b coordinates to chroma and hue (degrees).
+ * Grays (chroma within rounding noise of 0) get a hue of 0.
+ */
+function toPolar([L, a, b]) {
+  const C = Math.sqrt(a * a + b * b);
+  if (C < 1e-6) return [L, C, 0];
+  let H = Math.atan2(b, a) * (180 / Math.PI);
+  if (H < 0) H += 360;
+  return [L, C, H];
+}
+
+/**
+ * Converts chroma and hue (degrees) to rectangular a/b coordinates.
+ */
+function fromPolar([L, C, H]) {
+  const rad = H * (Math.PI / 180);
+  return [L, C * Math.cos(rad), C * Math.sin(rad)];
 }
 
 // ==========================================
-// TO HEX Conversions (CSS -> Hex)
+// sRGB Cylindrical Spaces
+// hsl and hwb coordinates use CSS units: hue in degrees, the rest in 0-100.
 // ==========================================
 
-function rgbToHex(value) {
-  const [r, g, b] = value.match(/\d+(\.\d+)?/g).map(Number);
-  return `#${((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1)}`;
+/**
+ * Computes the hue (degrees) of sRGB coordinates, or 0 for grays.
+ */
+function srgbHue([r, g, b]) {
+  const max = Math.max(r, g, b), min = Math.min(r, g, b);
+  const d = max - min;
+  if (d === 0) return 0;
+
+  let h;
+  switch (max) {
+    case r: h = (g - b) / d + (g < b ? 6 : 0); break;
+    case g: h = (b - r) / d + 2; break;
+    default: h = (r - g) / d + 4; break;
+  }
+  return h * 60;
 }
 
-function hslToHex(value) {
-  const [h, s, l] = value.match(/\d+(\.\d+)?/g).map(Number);
+function hslToSrgb([h, s, l]) {
   const sPct = s / 100, lPct = l / 100;
+  h = ((h % 360) + 360) % 360;
 
   const k = n => (n + h / 30) % 12;
   const a = sPct * Math.min(lPct, 1 - lPct);
   const f = n => lPct - a * Math.max(-1, Math.min(k(n) - 3, Math.min(9 - k(n), 1)));
+  return [f(0), f(8), f(4)];
+}
 
-  return `#${toDoubleHex(f(0))}${toDoubleHex(f(8))}${toDoubleHex(f(4))}`;
+function srgbToHsl(rgb) {
+  const max = Math.max(...rgb), min = Math.min(...rgb);
+  const l = (max + min) / 2;
+  const d = max - min;
+  const s = (d === 0 || l === 0 || l === 1) ? 0 : d / (1 - Math.abs(2 * l - 1));
+  return [srgbHue(rgb), s * 100, l * 100];
 }
 
-function hwbToHex(value) {
-  const [h, w, b] = value.match(/\d+(\.\d+)?/g).map(Number);
+function hwbToSrgb([h, w, b]) {
   const wPct = w / 100, bPct = b / 100;
-
   if (wPct + bPct >= 1) {
     const gray = wPct / (wPct + bPct);
-    return `#${toDoubleHex(gray)}${toDoubleHex(gray)}${toDoubleHex(gray)}`;
+    return [gray, gray, gray];
   }
+  return hslToSrgb([h, 100, 50]).map(c => c * (1 - wPct - bPct) + wPct);
+}
+
+function srgbToHwb(rgb) {
+  return [srgbHue(rgb), Math.min(...rgb) * 100, (1 - Math.max(...rgb)) * 100];
+}
 
-  const rgb = hslToHex(`hsl(${h}, 100%, 50%)`); // Get pure hue
-  const rgbVals = parseHexToRgb(rgb); // reuse our helper
+// ==========================================
+// Color Model
+// A color is { space, coords: [c0, c1, c2], alpha }.
+// ==========================================
+
+/**
+ * Spaces that are derived from another space rather than from XYZ.
+ */
+const SPACE_BASES = { hsl: 'srgb', hwb: 'srgb', lch: 'lab', oklch: 'oklab' };
+const TO_BASE = { hsl: hslToSrgb, hwb: hwbToSrgb, lch: fromPolar, oklch: fromPolar };
+const FROM_BASE = { hsl: srgbToHsl, hwb: srgbToHwb, lch: toPolar, oklch: toPolar };
+
+/**
+ * Converts coordinates in a base space (lab, oklab or a predefined RGB/XYZ space) to XYZ (D65).
+ */
+function baseToXyz(space, coords) {
+  if (space === 'lab') return labToXyz(coords);
+  if (space === 'oklab') return oklabToXyz(coords);
+  return spaceToXyz(space, coords);
+}
 
-  const mix = (c) => c * (1 - wPct - bPct) + wPct;
-  return `#${toDoubleHex(mix(rgbVals.r))}${toDoubleHex(mix(rgbVals.g))}${toDoubleHex(mix(rgbVals.b))}`;
+/**
+ * Converts XYZ (D65) to coordinates in a base space.
+ */
+function xyzToBase(space, xyz) {
+  if (space === 'lab') return xyzToLab(xyz);
+  if (space === 'oklab') return xyzToOklab(xyz);
+  return xyzToSpace(space, xyz);
 }
 
-function lchToHex(value) {
-  // Logic preserved from prompt, but cleaned up slightly
-  const [l, c, h] = value.match(/\d+(\.\d+)?/g).map(Number);
-  const rad = h * (Math.PI / 180);
-  const a = c * Math.cos(rad);
-  const b = c * Math.sin(rad);
+/**
+ * Lists every color space understood by `convert`.
+ * @type {string[]}
+ */
+export const SPACES = ['hsl', 'hwb', 'lab', 'lch', 'oklab', 'oklch', ...Object.keys(COLOR_SPACES)];
 
-  let y = (l + 16) / 116;
-  let x = a / 500 + y;
-  let z = y - b / 200;
+/**
+ * Converts a color to another space without rounding.
+ * Spaces sharing a base (e.g. hsl and hwb, or oklab and oklch) convert directly;
+ * everything else passes through XYZ (D65).
+ *
+ * @param {{space: string, coords: number[], alpha: number}} color - The color to convert.
+ * @param {string} space - The target space (see `SPACES`).
+ * @returns {{space: string, coords: number[], alpha: number}} A new color in the target space.
+ */
+export function convert(color, space) {
+  if (!SPACES.includes(space)) throw new TypeError(`Unknown color space: ${space}`);
 
-  const cube = v => (v * v * v > 0.008856) ? v * v * v : (v - 16 / 116) / 7.787;
+  let from = color.space;
+  let coords = from === space ? color.coords : fillMissing(color.coords);
+  const targetBase = SPACE_BASES[space] ?? space;
 
-  x = 95.047 * cube(x);
-  y = 100.000 * cube(y);
-  z = 108.883 * cube(z);
+  if (from !== space) {
+    if (from !== targetBase && SPACE_BASES[from]) {
+      coords = TO_BASE[from](coords);
+      from = SPACE_BASES[from];
+    }
+    if (from !== targetBase) {
+      coords = xyzToBase(targetBase, baseToXyz(from, coords));
+      from = targetBase;
+    }
+    if (from !== space) coords = FROM_BASE[space](coords);
+  }
 
-  // XYZ to RGB
-  let r = x * 0.032406 + y * -0.015372 + z * -0.004986;
-  let g = x * -0.009689 + y * 0.018758 + z * 0.000415;
-  let bl = x * 0.000557 + y * -0.002040 + z * 0.010570;
+  return { space, coords: [...coords], alpha: color.alpha };
+}
 
-  const gamma = v => (v <= 0.0031308) ? 12.92 * v : 1.055 * Math.pow(v, 1/2.4) - 0.055;
-  return `#${toDoubleHex(clamp(gamma(r)))}${toDoubleHex(clamp(gamma(g)))}${toDoubleHex(clamp(gamma(bl)))}`;
+/**
+ * Parses a CSS color string into a color object, keeping its original space and precision.
+ * Hex, rgb() and named colors parse to 'srgb' (0-1 coordinates). `none` components are NaN.
+ * Use `parseColor` instead to find out why a string is invalid.
+ *
+ * @param {string} value - Any supported CSS color string.
+ * @returns {{space: string, coords: number[], alpha: number}|null} The color, or null if it cannot be parsed.
+ */
+export function parse(value) {
+  if (!value) return null;
+  try {
+    return parseColor(value.trim());
+  } catch (error) {
+    if (error instanceof ColorParseError) return null;
+    throw error;
+  }
 }
 
-function oklchToHex(value) {
-  const [l, c, h] = value.match(/\d+(\.\d+)?/g).map(Number);
-  const rad = h * (Math.PI / 180);
-  const a = c * Math.cos(rad);
-  const b = c * Math.sin(rad);
+// ==========================================
+// Gamut Mapping
+// ==========================================
 
-  const l_ = l + 0.3963377774 * a + 0.2158037573 * b;
-  const m_ = l - 0.1055613458 * a - 0.0638541728 * b;
-  const s_ = l - 0.0894841775 * a - 1.2914855480 * b;
+// Tolerance for rounding noise when testing gamut bounds.
+const GAMUT_EPSILON = 0.000075;
 
-  const l3 = l_ * l_ * l_;
-  const m3 = m_ * m_ * m_;
-  const s3 = s_ * s_ * s_;
+// Just-noticeable difference and search precision for CSS Color 4 gamut mapping.
+const GAMUT_JND = 0.02;
+const GAMUT_SEARCH_EPSILON = 0.0001;
 
-  let r = 4.0767416621 * l3 - 3.3077115913 * m3 + 0.2309699292 * s3;
-  let g = -1.2684380046 * l3 + 2.6097574011 * m3 - 0.3413193965 * s3;
-  let bl = -0.0041960863 * l3 - 0.7034186147 * m3 + 1.7076147010 * s3;
+/**
+ * Maps a space to the RGB space whose gamut bounds it, or null if it is unbounded.
+ */
+function gamutSpaceOf(space) {
+  if (space === 'hsl' || space === 'hwb') return 'srgb';
+  if (space in COLOR_SPACES && !space.startsWith('xyz')) return space;
+  return null;
+}
 
-  const gamma = v => (v <= 0.0031308) ? 12.92 * v : 1.055 * Math.pow(v, 1/2.4) - 0.055;
-  return `#${toDoubleHex(clamp(gamma(r)))}${toDoubleHex(clamp(gamma(g)))}${toDoubleHex(clamp(gamma(bl)))}`;
+/**
+ * Converts a color to an RGB space and clamps each channel to 0-1.
+ */
+function clip(color, space) {
+  const clipped = convert(color, space);
+  clipped.coords = clipped.coords.map(clamp);
+  return clipped;
 }
 
-function namedColorToHex(value) {
-  return COLOR_NAMES[value.toLowerCase()] || null;
+/**
+ * Checks whether a color fits inside the gamut of an RGB space.
+ * hsl and hwb use the sRGB gamut; lab, lch, oklab, oklch and xyz are unbounded.
+ *
+ * @param {{space: string, coords: number[], alpha: number}} color - The color to test.
+ * @param {string} [space='srgb'] - The space whose gamut to test against (e.g. 'srgb', 'display-p3').
+ * @returns {boolean} True if the color is in gamut.
+ */
+export function inGamut(color, space = 'srgb') {
+  const gamutSpace = gamutSpaceOf(space);
+  if (!gamutSpace) return true;
+  const { coords } = convert({ ...color, coords: fillMissing(color.coords) }, gamutSpace);
+  return coords.every(c => c >= -GAMUT_EPSILON && c <= 1 + GAMUT_EPSILON);
+}
+
+/**
+ * Brings a color inside the gamut of an RGB space.
+ *
+ * 'clip' clamps each channel, which is fast but can shift hue and lightness.
+ * 'css4' uses the CSS Color 4 algorithm: it keeps OKLCH lightness and hue and reduces chroma
+ * by binary search until clipping the result is no longer noticeable (deltaE OK < 0.02).
+ *
+ * @param {{space: string, coords: number[], alpha: number}} color - The color to map.
+ * @param {string} [space='srgb'] - The destination space (e.g. 'srgb', 'display-p3').
+ * @param {'clip'|'css4'} [method='css4'] - The mapping method.
+ * @returns {{space: string, coords: number[], alpha: number}} The mapped color, in the gamut's RGB space.
+ */
+export function toGamut(color, space = 'srgb', method = 'css4') {
+  const gamutSpace = gamutSpaceOf(space);
+  if (!gamutSpace) return convert(color, space);
+  if (method === 'clip') return clip(color, gamutSpace);
+
+  const origin = convert(color, 'oklch');
+  const [L, C, H] = fillMissing(origin.coords);
+  if (L >= 1) return convert({ space: 'oklab', coords: [1, 0, 0], alpha: color.alpha }, gamutSpace);
+  if (L <= 0) return convert({ space: 'oklab', coords: [0, 0, 0], alpha: color.alpha }, gamutSpace);
+  if (inGamut(color, gamutSpace)) return convert(color, gamutSpace);
+
+  const current = { space: 'oklch', coords: [L, C, H], alpha: color.alpha };
+  let clipped = clip(current, gamutSpace);
+  if (deltaEOK(clipped, current) < GAMUT_JND) return clipped;
+
+  let min = 0;
+  let max = C;
+  let minInGamut = true;
+
+  while (max - min > GAMUT_SEARCH_EPSILON) {
+    const chroma = (min + max) / 2;
+    current.coords = [L, chroma, H];
+
+    if (minInGamut && inGamut(current, gamutSpace)) {
+      min = chroma;
+      continue;
+    }
+
+    clipped = clip(current, gamutSpace);
+    const E = deltaEOK(clipped, current);
+    if (E < GAMUT_JND) {
+      if (GAMUT_JND - E < GAMUT_SEARCH_EPSILON) return clipped;
+      minInGamut = false;
+      min = chroma;
+    } else {
+      max = chroma;
+    }
+  }
+
+  return clipped;
+}
+
+/**
+ * Lists every output format understood by `serialize` and `hexTo`.
+ * `xyz` is left out because it is an alias of `xyz-d65`.
+ * @type {string[]}
+ */
+export const FORMATS = [
+  'hex', 'name', 'rgb', 'hsl', 'hwb', 'lab', 'lch', 'oklab', 'oklch',
+  ...Object.keys(COLOR_SPACES).filter(space => space !== 'xyz')
+];
+
+/**
+ * Serializes a color in the given CSS format, converting it first if needed.
+ * Formats that only describe sRGB (hex, name, rgb, hsl, hwb) bring out-of-gamut colors
+ * into sRGB using `options.gamutMapping` (see `toGamut`).
+ *
+ * @param {{space: string, coords: number[], alpha: number}} color - The color to serialize.
+ * @param {string} [format] - The target format (hex, rgb, hsl, hwb, lab, lch, oklab, oklch, name),
+ *   or a predefined `color()` space. Defaults to the color's own space. Unknown formats give hex.
+ * @param {Object} [options]
+ * @param {'clip'|'css4'} [options.gamutMapping='clip'] - How sRGB-only formats handle out-of-gamut colors.
+ * @param {number} [options.nameTolerance=0] - For the 'name' format, the largest CIEDE2000 distance
+ *   at which an opaque color is given the nearest name. 0 only names exact matches.
+ * @returns {string} The CSS color string.
+ */
+export function serialize(color, format = color.space, { gamutMapping = 'clip', nameTolerance = 0 } = {}) {
+  format = format.toLowerCase();
+  const { alpha } = color;
+  const toSrgb = c => toGamut(c, 'srgb', gamutMapping);
+  // Legacy comma syntax cannot carry `/ alpha` or `none`, so those colors use space syntax.
+  const isLegacy = coords => alpha >= 1 && !coords.some(Number.isNaN);
+
+  if (format in COLOR_SPACES) {
+    const coords = convert(color, format).coords.map(c => toNumber(c, 5));
+    return `color(${format} ${coords.join(' ')}${toAlphaSlot(alpha)})`;
+  }
+
+  switch (format) {
+    case 'rgb': {
+      const { coords } = toSrgb(color);
+      const [R, G, B] = coords.map(c => toNumber(c * 255, 2));
+      if (!isLegacy(coords)) return `rgb(${R} ${G} ${B}${toAlphaSlot(alpha)})`;
+      return `rgb(${R}, ${G}, ${B})`;
+    }
+    case 'hsl': {
+      const source = color.space === 'hsl' ? color : toSrgb(color);
+      const { coords } = convert(source, 'hsl');
+      const [H, S, L] = coords.map(c => toNumber(c, 2));
+      if (!isLegacy(coords)) return `hsl(${H} ${S}% ${L}%${toAlphaSlot(alpha)})`;
+      return `hsl(${H}, ${S}%, ${L}%)`;
+    }
+    case 'hwb': {
+      const source = color.space === 'hwb' ? color : toSrgb(color);
+      const [H, W, B] = convert(source, 'hwb').coords.map(c => toNumber(c, 2));
+      return `hwb(${H} ${W}% ${B}%${toAlphaSlot(alpha)})`;
+    }
+    case 'lab': {
+      const [L, a, b] = convert(color, 'lab').coords.map(c => toNumber(c, 3));
+      return `lab(${L}% ${a} ${b}${toAlphaSlot(alpha)})`;
+    }
+    case 'lch': {
+      const [L, C, H] = convert(color, 'lch').coords.map(c => toNumber(c, 3));
+      return `lch(${L}% ${C} ${H}${toAlphaSlot(alpha)})`;
+    }
+    case 'oklab': {
+      const [L, a, b] = convert(color, 'oklab').coords.map(c => toNumber(c, 4));
+      return `oklab(${L} ${a} ${b}${toAlphaSlot(alpha)})`;
+    }
+    case 'oklch': {
+      const [L, C, H] = convert(color, 'oklch').coords.map(c => toNumber(c, 4));
+      return `oklch(${L} ${C} ${H}${toAlphaSlot(alpha)})`;
+    }
+    case 'name': {
+      const hex = serialize(color, 'hex', { gamutMapping });
+      const exact = getHexToNameMap()[hex];
+      if (exact || nameTolerance <= 0 || alpha < 1) return exact || hex;
+      const nearest = nearestName(toSrgb(color));
+      return nearest.distance <= nameTolerance ? nearest.name : hex;
+    }
+    default: {
+      const [r, g, b] = fillMissing(toSrgb(color).coords);
+      return `#${toDoubleHex(r)}${toDoubleHex(g)}${toDoubleHex(b)}${toAlphaHex(Number.isNaN(alpha) ? 0 : alpha)}`;
+    }
+  }
 }
 
 // ==========================================
-// FROM HEX Conversions (Hex -> CSS)
+// Contrast
 // ==========================================
 
-export function hexToName(hex) {
-  if (!hex) return 'black';
-  hex = hex.toLowerCase();
-  if (hex.length === 4) {
-    // Expand shorthand #f00 -> #ff0000 for lookup
-    hex = `#${hex[1]}${hex[1]}${hex[2]}${hex[2]}${hex[3]}${hex[3]}`;
+// APCA-W3 0.0.98G-4g constants
+const APCA = {
+  mainTRC: 2.4,
+  coefficients: [0.2126729, 0.7151522, 0.0721750],
+  normBG: 0.56, normTXT: 0.57, revBG: 0.65, revTXT: 0.62,
+  blkThrs: 0.022, blkClmp: 1.414,
+  scale: 1.14, offset: 0.027, loClip: 0.1, deltaYmin: 0.0005
+};
+
+/**
+ * Accepts a color object or a CSS color string.
+ * @throws {TypeError} If the string is not a color.
+ */
+function colorOf(value) {
+  const color = typeof value === 'string' ? parse(value) : value;
+  if (!color) throw new TypeError(`Invalid color: ${value}`);
+  return color;
+}
+
+/**
+ * Computes the WCAG 2.x relative luminance of a color.
+ * The color is clipped to sRGB first; alpha is ignored.
+ *
+ * @param {{space: string, coords: number[], alpha: number}|string} color - A color object or CSS color string.
+ * @returns {number} The luminance, from 0 (black) to 1 (white).
+ */
+export function relativeLuminance(color) {
+  const [r, g, b] = fillMissing(clip(colorOf(color), 'srgb').coords).map(srgbDecode);
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * Computes the WCAG 2.x contrast ratio between two colors.
+ * The order doesn't matter. 4.5 passes AA for body text, 7 passes AAA.
+ *
+ * @param {{space: string, coords: number[], alpha: number}|string} a - The first color.
+ * @param {{space: string, coords: number[], alpha: number}|string} b - The second color.
+ * @returns {number} The ratio, from 1 to 21.
+ */
+export function contrastRatio(a, b) {
+  const l1 = relativeLuminance(a);
+  const l2 = relativeLuminance(b);
+  return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+}
+
+/**
+ * Computes the APCA lightness contrast (Lc) of text on a background.
+ * Unlike the WCAG ratio the order matters: dark text on a light background is positive,
+ * light text on a dark background is negative. The colors are clipped to sRGB; alpha is ignored.
+ *
+ * @param {{space: string, coords: number[], alpha: number}|string} text - The text color.
+ * @param {{space: string, coords: number[], alpha: number}|string} background - The background color.
+ * @returns {number} Lc, roughly -108 to 106. 0 means too little contrast to measure.
+ */
+export function apcaContrast(text, background) {
+  const screenLuminance = value => {
+    const rgb = fillMissing(clip(colorOf(value), 'srgb').coords);
+    const y = rgb.reduce((sum, c, i) => sum + APCA.coefficients[i] * c ** APCA.mainTRC, 0);
+    return y > APCA.blkThrs ? y : y + (APCA.blkThrs - y) ** APCA.blkClmp;
+  };
+
+  const yText = screenLuminance(text);
+  const yBackground = screenLuminance(background);
+  if (Math.abs(yBackground - yText) < APCA.deltaYmin) return 0;
+
+  if (yBackground > yText) {
+    const sapc = (yBackground ** APCA.normBG - yText ** APCA.normTXT) * APCA.scale;
+    return sapc < APCA.loClip ? 0 : (sapc - APCA.offset) * 100;
   }
-  const map = getHexToNameMap();
-  return map[hex] || hex;
+
+  const sapc = (yBackground ** APCA.revBG - yText ** APCA.revTXT) * APCA.scale;
+  return sapc > -APCA.loClip ? 0 : (sapc + APCA.offset) * 100;
 }
 
-export function hexToRgb(hex) {
-  const { r, g, b } = parseHexToRgb(hex);
-  return `rgb(${Math.round(r*255)}, ${Math.round(g*255)}, ${Math.round(b*255)})`;
+// ==========================================
+// Color Difference
+// ==========================================
+
+/**
+ * Computes the CIE76 color difference: the Euclidean distance in CIE Lab (D50).
+ * A difference of about 2.3 is just noticeable.
+ *
+ * @param {{space: string, coords: number[], alpha: number}|string} a - The first color.
+ * @param {{space: string, coords: number[], alpha: number}|string} b - The second color.
+ * @returns {number} The difference.
+ */
+export function deltaE76(a, b) {
+  const [L1, a1, b1] = fillMissing(convert(colorOf(a), 'lab').coords);
+  const [L2, a2, b2] = fillMissing(convert(colorOf(b), 'lab').coords);
+  return Math.sqrt((L1 - L2) ** 2 + (a1 - a2) ** 2 + (b1 - b2) ** 2);
 }
 
-export function hexToHsl(hex) {
-  const { r, g, b } = parseHexToRgb(hex);
-  const max = Math.max(r, g, b), min = Math.min(r, g, b);
-  let h, s, l = (max + min) / 2;
+/**
+ * Computes the CIEDE2000 color difference in CIE Lab (D50).
+ * Corrects CIE76 for the eye's uneven sensitivity to lightness, chroma and hue.
+ * A difference of about 1 is just noticeable.
+ *
+ * @param {{space: string, coords: number[], alpha: number}|string} a - The first color.
+ * @param {{space: string, coords: number[], alpha: number}|string} b - The second color.
+ * @returns {number} The difference.
+ */
+export function deltaE2000(a, b) {
+  const [L1, a1, b1] = fillMissing(convert(colorOf(a), 'lab').coords);
+  const [L2, a2, b2] = fillMissing(convert(colorOf(b), 'lab').coords);
+  const rad = Math.PI / 180;
+
+  const Cbar = (Math.hypot(a1, b1) + Math.hypot(a2, b2)) / 2;
+  const G = 0.5 * (1 - Math.sqrt(Cbar ** 7 / (Cbar ** 7 + 25 ** 7)));
+  const a1p = (1 + G) * a1;
+  const a2p = (1 + G) * a2;
+  const C1p = Math.hypot(a1p, b1);
+  const C2p = Math.hypot(a2p, b2);
+  const hueOf = (bp, ap) => (bp === 0 && ap === 0) ? 0 : (Math.atan2(bp, ap) / rad + 360) % 360;
+  const h1p = hueOf(b1, a1p);
+  const h2p = hueOf(b2, a2p);
+
+  const dLp = L2 - L1;
+  const dCp = C2p - C1p;
+  let dhp = 0;
+  if (C1p * C2p !== 0) {
+    dhp = h2p - h1p;
+    if (dhp > 180) dhp -= 360;
+    else if (dhp < -180) dhp += 360;
+  }
+  const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin((dhp / 2) * rad);
 
-  if (max === min) {
-    h = s = 0;
+  const Lbarp = (L1 + L2) / 2;
+  const Cbarp = (C1p + C2p) / 2;
+  let hbarp = h1p + h2p;
+  if (C1p * C2p !== 0) {
+    if (Math.abs(h1p - h2p) <= 180) hbarp /= 2;
+    else hbarp = (h1p + h2p < 360) ? (hbarp + 360) / 2 : (hbarp - 360) / 2;
+  }
+
+  const T = 1
+    - 0.17 * Math.cos((hbarp - 30) * rad)
+    + 0.24 * Math.cos(2 * hbarp * rad)
+    + 0.32 * Math.cos((3 * hbarp + 6) * rad)
+    - 0.20 * Math.cos((4 * hbarp - 63) * rad);
+  const dTheta = 30 * Math.exp(-(((hbarp - 275) / 25) ** 2));
+  const Rc = 2 * Math.sqrt(Cbarp ** 7 / (Cbarp ** 7 + 25 ** 7));
+  const Sl = 1 + (0.015 * (Lbarp - 50) ** 2) / Math.sqrt(20 + (Lbarp - 50) ** 2);
+  const Sc = 1 + 0.045 * Cbarp;
+  const Sh = 1 + 0.015 * Cbarp * T;
+  const Rt = -Math.sin(2 * dTheta * rad) * Rc;
+
+  return Math.sqrt(
+    (dLp / Sl) ** 2 + (dCp / Sc) ** 2 + (dHp / Sh) ** 2 + Rt * (dCp / Sc) * (dHp / Sh)
+  );
+}
+
+/**
+ * Computes the deltaE OK color difference: the Euclidean distance in OKLab.
+ * This is the metric CSS Color 4 gamut mapping uses. A difference of about 0.02 is just noticeable.
+ *
+ * @param {{space: string, coords: number[], alpha: number}|string} a - The first color.
+ * @param {{space: string, coords: number[], alpha: number}|string} b - The second color.
+ * @returns {number} The difference.
+ */
+export function deltaEOK(a, b) {
+  const [L1, a1, b1] = fillMissing(convert(colorOf(a), 'oklab').coords);
+  const [L2, a2, b2] = fillMissing(convert(colorOf(b), 'oklab').coords);
+  return Math.sqrt((L1 - L2) ** 2 + (a1 - a2) ** 2 + (b1 - b2) ** 2);
+}
+
+// Lazily built list of the CSS named colors as Lab colors, for nearestName().
+let NAMED_LAB_COLORS = null;
+
+/**
+ * Finds the closest named color by CIEDE2000 distance. Alpha is ignored.
+ * Searches the CSS named colors, or a custom palette of `{ name: color }` (or an array of colors,
+ * which are their own names).
+ *
+ * @param {{space: string, coords: number[], alpha: number}|string} color - The color to name.
+ * @param {Object} [options]
+ * @param {Object<string, string|Object>|Array<string>} [options.palette] - The colors to choose from.
+ * @returns {{name: string, color: {space: string, coords: number[], alpha: number}, distance: number}|null}
+ *   The closest entry and its distance, or null if the palette is empty.
+ */
+export function nearestName(color, { palette } = {}) {
+  color = colorOf(color);
+  let entries;
+  if (palette) {
+    const pairs = Array.isArray(palette) ? palette.map(value => [value, value]) : Object.entries(palette);
+    entries = pairs.map(([name, value]) => ({ name, color: colorOf(value) }));
   } else {
-    const d = max - min;
-    s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
-    switch (max) {
-      case r: h = (g - b) / d + (g < b ? 6 : 0); break;
-      case g: h = (b - r) / d + 2; break;
-      case b: h = (r - g) / d + 4; break;
-    }
-    h /= 6;
+    NAMED_LAB_COLORS ??= Object.entries(getHexToNameMap())
+      .filter(([, name]) => name !== 'transparent')
+      .map(([hex, name]) => ({ name, color: convert(parse(hex), 'lab') }));
+    entries = NAMED_LAB_COLORS;
+  }
+
+  let nearest = null;
+  for (const entry of entries) {
+    const distance = deltaE2000(color, entry.color);
+    if (!nearest || distance < nearest.distance) nearest = { ...entry, distance };
   }
-  return `hsl(${Math.round(h * 360)}, ${Math.round(s * 100)}%, ${Math.round(l * 100)}%)`;
+  return nearest;
 }
 
-export function hexToHwb(hex) {
-  const { r, g, b } = parseHexToRgb(hex);
-  const max = Math.max(r, g, b), min = Math.min(r, g, b);
-  const w = min;
-  const bl = 1 - max;
+// ==========================================
+// Interpolation
+// ==========================================
 
-  let h;
-  if (max === min) h = 0;
-  else {
-    const d = max - min;
-    switch (max) {
-      case r: h = (g - b) / d + (g < b ? 6 : 0); break;
-      case g: h = (b - r) / d + 2; break;
-      case b: h = (r - g) / d + 4; break;
-    }
-    h /= 6;
+// Analogous components (CSS Color 4 §12.2). A missing component is carried
+// into the interpolation space when the target has a component of the same kind.
+const RGB_COMPONENTS = ['red', 'green', 'blue'];
+const COMPONENT_KINDS = {
+  hsl: ['hue', 'colorfulness', 'lightness'],
+  hwb: ['hue', null, null],
+  lab: ['lightness', 'opponent-a', 'opponent-b'],
+  lch: ['lightness', 'colorfulness', 'hue'],
+  oklab: ['lightness', 'opponent-a', 'opponent-b'],
+  oklch: ['lightness', 'colorfulness', 'hue']
+};
+
+// Index of the hue in each cylindrical space.
+const HUE_INDEX = { hsl: 0, hwb: 0, lch: 2, oklch: 2 };
+
+const HUE_METHODS = ['shorter', 'longer', 'increasing', 'decreasing'];
+
+// Below this, a hue has no visible effect (powerless).
+const ACHROMATIC_EPSILON = 1e-6;
+
+const normalizeHue = h => ((h % 360) + 360) % 360;
+
+/**
+ * Checks whether a cylindrical color's hue is powerless (the color is a gray).
+ */
+function isAchromatic({ space, coords: [c0, c1, c2] }) {
+  switch (space) {
+    case 'hsl': return c1 < ACHROMATIC_EPSILON || c2 < ACHROMATIC_EPSILON || c2 > 100 - ACHROMATIC_EPSILON;
+    case 'hwb': return c1 + c2 > 100 - ACHROMATIC_EPSILON;
+    default: return c1 < ACHROMATIC_EPSILON;
+  }
+}
+
+/**
+ * Converts a color to an interpolation space, carrying missing components forward.
+ * A powerless hue picked up in the conversion also becomes missing.
+ */
+function toInterpolationSpace(color, space) {
+  const converted = convert(color, space);
+  const fromKinds = COMPONENT_KINDS[color.space] ?? RGB_COMPONENTS;
+  const toKinds = COMPONENT_KINDS[space] ?? RGB_COMPONENTS;
+
+  color.coords.forEach((c, i) => {
+    const target = toKinds.indexOf(fromKinds[i]);
+    if (Number.isNaN(c) && fromKinds[i] && target !== -1) converted.coords[target] = NaN;
+  });
+
+  const hueIndex = HUE_INDEX[space];
+  if (hueIndex !== undefined && color.space !== space && isAchromatic(converted)) {
+    converted.coords[hueIndex] = NaN;
   }
-  return `hwb(${Math.round(h * 360)} ${Math.round(w * 100)}% ${Math.round(bl * 100)}%)`;
+  return converted;
 }
 
-export function hexToLch(hex) {
-  // Linearize RGB
-  const { r, g, b } = sRgbToLinear(parseHexToRgb(hex));
+/**
+ * Adjusts two hues so interpolating between them follows a CSS hue interpolation method.
+ */
+function fixupHues(h1, h2, method) {
+  if (Number.isNaN(h1) || Number.isNaN(h2)) return [h1, h2];
+  h1 = normalizeHue(h1);
+  h2 = normalizeHue(h2);
+  const diff = h2 - h1;
 
-  // RGB -> XYZ (D65)
-  // X = 0.4124564*R + 0.3575761*G + 0.1804375*B
-  // Y = 0.2126729*R + 0.7151522*G + 0.0721750*B
-  // Z = 0.0193339*R + 0.1191920*G + 0.9503041*B
-  let x = (r * 0.4124 + g * 0.3576 + b * 0.1805) * 100;
-  let y = (r * 0.2126 + g * 0.7152 + b * 0.0722) * 100;
-  let z = (r * 0.0193 + g * 0.1192 + b * 0.9505) * 100;
+  switch (method) {
+    case 'longer':
+      if (diff > 0 && diff < 180) h1 += 360;
+      else if (diff > -180 && diff <= 0) h2 += 360;
+      break;
+    case 'increasing':
+      if (diff < 0) h2 += 360;
+      break;
+    case 'decreasing':
+      if (diff > 0) h1 += 360;
+      break;
+    default:
+      if (diff > 180) h1 += 360;
+      else if (diff < -180) h2 += 360;
+  }
+  return [h1, h2];
+}
 
-  // XYZ -> LAB
-  const refX = 95.047, refY = 100.000, refZ = 108.883;
-  x /= refX; y /= refY; z /= refZ;
+/**
+ * Mixes two colors following the rules of CSS `color-mix()`.
+ * Both colors are converted to the interpolation space; a component missing (`none`) in one
+ * color takes the other's value; alpha is premultiplied. Cylindrical spaces (hsl, hwb, lch,
+ * oklch) interpolate the hue with `hueMethod`.
+ *
+ * @param {{space: string, coords: number[], alpha: number}|string} a - The first color.
+ * @param {{space: string, coords: number[], alpha: number}|string} b - The second color.
+ * @param {number} [amount=0.5] - How much of `b` to mix in, from 0 (all `a`) to 1 (all `b`).
+ * @param {Object} [options]
+ * @param {string} [options.space='oklab'] - The interpolation space (see `SPACES`).
+ * @param {'shorter'|'longer'|'increasing'|'decreasing'} [options.hueMethod='shorter'] - The hue interpolation method.
+ * @returns {{space: string, coords: number[], alpha: number}} The mixed color, in the interpolation space.
+ * @throws {TypeError} If a color, the space or the hue method is invalid.
+ */
+export function mix(a, b, amount = 0.5, { space = 'oklab', hueMethod = 'shorter' } = {}) {
+  if (!HUE_METHODS.includes(hueMethod)) throw new TypeError(`Unknown hue method: ${hueMethod}`);
 
-  const f = (t) => t > 0.008856 ? Math.cbrt(t) : (7.787 * t) + (16 / 116);
-  x = f(x); y = f(y); z = f(z);
+  const c1 = toInterpolationSpace(colorOf(a), space);
+  const c2 = toInterpolationSpace(colorOf(b), space);
+  const coords1 = [...c1.coords];
+  const coords2 = [...c2.coords];
+  const hueIndex = HUE_INDEX[space];
 
-  const L = (116 * y) - 16;
-  const a = 500 * (x - y);
-  const bVal = 200 * (y - z);
+  for (let i = 0; i < 3; i++) {
+    if (Number.isNaN(coords1[i])) coords1[i] = coords2[i];
+    else if (Number.isNaN(coords2[i])) coords2[i] = coords1[i];
+  }
+  const alpha1 = Number.isNaN(c1.alpha) ? c2.alpha : c1.alpha;
+  const alpha2 = Number.isNaN(c2.alpha) ? c1.alpha : c2.alpha;
 
-  // LAB -> LCH
-  const C = Math.sqrt(a * a + bVal * bVal);
-  let H = Math.atan2(bVal, a) * (180 / Math.PI);
-  if (H < 0) H += 360;
+  if (hueIndex !== undefined) {
+    [coords1[hueIndex], coords2[hueIndex]] = fixupHues(coords1[hueIndex], coords2[hueIndex], hueMethod);
+  }
+
+  // Premultiply every component except the hue
+  const premultiply = (coords, alpha) => coords.map((c, i) => (i === hueIndex || Number.isNaN(alpha)) ? c : c * alpha);
+  const p1 = premultiply(coords1, alpha1);
+  const p2 = premultiply(coords2, alpha2);
+  const lerp = (x, y) => x + (y - x) * amount;
 
-  return `lch(${L.toFixed(2)}% ${C.toFixed(3)} ${H.toFixed(2)})`;
+  const alpha = lerp(alpha1, alpha2);
+  const coords = p1.map((c, i) => {
+    const value = lerp(c, p2[i]);
+    if (i === hueIndex) return Number.isNaN(value) ? value : normalizeHue(value);
+    return (Number.isNaN(alpha) || alpha === 0) ? value : value / alpha;
+  });
+
+  return { space, coords, alpha };
 }
 
-export function hexToOklch(hex) {
-  // Linearize RGB
-  const { r, g, b } = sRgbToLinear(parseHexToRgb(hex));
+/**
+ * Builds an evenly spaced ramp between two colors, both ends included.
+ *
+ * @param {{space: string, coords: number[], alpha: number}|string} a - The first color.
+ * @param {{space: string, coords: number[], alpha: number}|string} b - The last color.
+ * @param {number} n - The number of colors. 1 gives the midpoint.
+ * @param {Object} [options] - Interpolation options, as for `mix`.
+ * @returns {Array<{space: string, coords: number[], alpha: number}>} The colors, from `a` to `b`.
+ */
+export function steps(a, b, n, options) {
+  return Array.from({ length: n }, (_, i) => mix(a, b, n === 1 ? 0.5 : i / (n - 1), options));
+}
 
-  // Linear sRGB -> LMS (Approximate OKLab matrices)
-  const l_ = 0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b;
-  const m_ = 0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b;
-  const s_ = 0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b;
+// ==========================================
+// Hex API
+// Hex is only needed to drive a native <input type="color">.
+// ==========================================
 
-  const l_c = Math.cbrt(l_);
-  const m_c = Math.cbrt(m_);
-  const s_c = Math.cbrt(s_);
+/**
+ * Expands a hex color to its long lowercase form.
+ * Opaque colors become #rrggbb; translucent colors become #rrggbbaa.
+ * @param {string} hex - The hex color (#rgb, #rgba, #rrggbb or #rrggbbaa).
+ * @returns {string} The normalized hex color.
+ */
+export function normalizeHex(hex) {
+  const { r, g, b, a } = parseHexToRgb(hex);
+  return `#${toDoubleHex(r)}${toDoubleHex(g)}${toDoubleHex(b)}${toAlphaHex(a)}`;
+}
 
-  // LMS -> OKLab
-  const L = 0.2104542553 * l_c + 0.7936177850 * m_c - 0.0040720468 * s_c;
-  const a = 1.9779984951 * l_c - 2.4285922050 * m_c + 0.4505937099 * s_c;
-  const bVal = 0.0259040371 * l_c + 0.7827717662 * m_c - 0.8086757660 * s_c;
+/**
+ * Converts CSS color string to Hex.
+ * @param {string} value - Any supported CSS color string.
+ * @returns {string|null} The hex color, or null if the value cannot be parsed.
+ */
+export function toHex(value) {
+  if (!value) return console.error('No color value to convert');
+  const color = parse(value);
+  return color ? serialize(color, 'hex') : null;
+}
 
-  // OKLab -> OKLCH
-  const C = Math.sqrt(a * a + bVal * bVal);
-  let H = Math.atan2(bVal, a) * (180 / Math.PI);
-  if (H < 0) H += 360;
+/**
+ * Converts Hex string to specific CSS color space.
+ * @param {string} hex - The hex color (e.g. #ff0000)
+ * @param {string} format - The target format (rgb, hsl, hwb, lab, lch, oklab, oklch, name),
+ *   or a predefined `color()` space (srgb, srgb-linear, display-p3, a98-rgb, prophoto-rgb,
+ *   rec2020, xyz, xyz-d50, xyz-d65)
+ */
+export function hexTo(hex, format) {
+  if (!hex || !format) return hex;
+  const color = parse(hex);
+  return color ? serialize(color, format) : hex;
+}
 
-  return `oklch(${L.toFixed(3)} ${C.toFixed(3)} ${H.toFixed(2)})`;
+export function hexToName(hex) {
+  if (!hex) return 'black';
+  return hexTo(hex, 'name');
 }
 
+export function hexToRgb(hex) { return hexTo(hex, 'rgb'); }
+export function hexToHsl(hex) { return hexTo(hex, 'hsl'); }
+export function hexToHwb(hex) { return hexTo(hex, 'hwb'); }
+export function hexToLab(hex) { return hexTo(hex, 'lab'); }
+export function hexToLch(hex) { return hexTo(hex, 'lch'); }
+export function hexToOklab(hex) { return hexTo(hex, 'oklab'); }
+export function hexToOklch(hex) { return hexTo(hex, 'oklch'); }
+
+/**
+ * Converts Hex string to a CSS `color()` function in a predefined space.
+ * @param {string} hex - The hex color (e.g. #ff0000)
+ * @param {string} space - The predefined space (e.g. display-p3, rec2020, xyz-d50)
+ */
+export function hexToColor(hex, space) { return hexTo(hex, space); }
+
 export default toHex;
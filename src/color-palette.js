@@ -0,0 +1,119 @@
+/**
+ * @file color-palette.js
+ * Builds palettes from a single color: tint and shade ramps in OKLCH lightness,
+ * and hue harmony schemes (complementary, analogous, triadic, tetradic, split-complementary).
+ * @author Holmes Bryant <https://github.com/HolmesBryant>
+ * @license GPL-3.0
+ */
+
+import { convert, parse, serialize } from './color-conversion.js';
+
+/**
+ * Hue offsets, in degrees, of the colors each harmony scheme adds to the base color.
+ * @type {Object<string, number[]>}
+ */
+export const SCHEMES = {
+  complementary: [180],
+  analogous: [-30, 30],
+  triadic: [120, 240],
+  tetradic: [90, 180, 270],
+  'split-complementary': [150, 210]
+};
+
+/**
+ * Accepts a color object or a CSS color string and returns it in OKLCH.
+ * Missing (`none`) components count as 0.
+ * @throws {TypeError} If the string is not a color.
+ */
+function toOklch(value) {
+  const color = typeof value === 'string' ? parse(value) : value;
+  if (!color) throw new TypeError(`Invalid color: ${value}`);
+  const oklch = convert(color, 'oklch');
+  oklch.coords = oklch.coords.map(n => Number.isNaN(n) ? 0 : n);
+  return oklch;
+}
+
+/**
+ * Serializes the colors when a format is given, otherwise returns them as they are.
+ */
+function output(colors, { format, gamutMapping = 'css4' }) {
+  if (!format) return colors;
+  return colors.map(color => serialize(color, format, { gamutMapping }));
+}
+
+/**
+ * Builds a ramp from a color toward a lightness, fading chroma as it goes.
+ * Neither the color nor the end point is included.
+ */
+function ramp(value, target, steps) {
+  const base = toOklch(value);
+  const [l, c, h] = base.coords;
+  return Array.from({ length: steps }, (_, i) => {
+    const t = (i + 1) / (steps + 1);
+    return { space: 'oklch', coords: [l + (target - l) * t, c * (1 - t), h], alpha: base.alpha };
+  });
+}
+
+/**
+ * Builds lighter versions of a color, evenly spaced in OKLCH lightness between the color and white.
+ * Chroma fades toward white so the tints stay in gamut.
+ *
+ * @param {{space: string, coords: number[], alpha: number}|string} color - The base color.
+ * @param {Object} [options]
+ * @param {number} [options.steps=5] - The number of tints.
+ * @param {string} [options.format] - Return CSS strings in this format instead of color objects.
+ * @param {'clip'|'css4'} [options.gamutMapping='css4'] - Gamut mapping for sRGB-only formats.
+ * @returns {Array<Object|string>} The tints, from the closest to the base to the lightest.
+ */
+export function tints(color, { steps = 5, ...options } = {}) {
+  return output(ramp(color, 1, steps), options);
+}
+
+/**
+ * Builds darker versions of a color, evenly spaced in OKLCH lightness between the color and black.
+ *
+ * @param {{space: string, coords: number[], alpha: number}|string} color - The base color.
+ * @param {Object} [options] - As for `tints`.
+ * @returns {Array<Object|string>} The shades, from the closest to the base to the darkest.
+ */
+export function shades(color, { steps = 5, ...options } = {}) {
+  return output(ramp(color, 0, steps), options);
+}
+
+/**
+ * Builds a full lightness scale: shades, the base color, then tints, from darkest to lightest.
+ *
+ * @param {{space: string, coords: number[], alpha: number}|string} color - The base color.
+ * @param {Object} [options] - As for `tints`; `steps` is the count on each side of the base.
+ * @returns {Array<Object|string>} The scale.
+ */
+export function scale(color, { steps = 5, ...options } = {}) {
+  const colors = [...ramp(color, 0, steps).reverse(), toOklch(color), ...ramp(color, 1, steps)];
+  return output(colors, options);
+}
+
+/**
+ * Builds a harmony scheme by rotating the color's OKLCH hue.
+ * Lightness and chroma are kept, so the colors look equally bright.
+ *
+ * @param {{space: string, coords: number[], alpha: number}|string} color - The base color.
+ * @param {string} scheme - One of the `SCHEMES` names.
+ * @param {Object} [options]
+ * @param {string} [options.format] - Return CSS strings in this format instead of color objects.
+ * @param {'clip'|'css4'} [options.gamutMapping='css4'] - Gamut mapping for sRGB-only formats.
+ * @returns {Array<Object|string>} The base color followed by the scheme's colors.
+ * @throws {TypeError} If the scheme is unknown.
+ */
+export function harmony(color, scheme, options = {}) {
+  const offsets = SCHEMES[scheme];
+  if (!offsets) throw new TypeError(`Unknown harmony scheme: ${scheme}`);
+
+  const base = toOklch(color);
+  const [l, c, h] = base.coords;
+  const colors = [base, ...offsets.map(offset => ({
+    space: 'oklch',
+    coords: [l, c, (((h + offset) % 360) + 360) % 360],
+    alpha: base.alpha
+  }))];
+  return output(colors, options);
+}
@@ -0,0 +1,420 @@
+/**
+ * @file color-parser.js
+ * A tokenizing parser for CSS Color 4 color strings.
+ * Supports hex, named colors, `transparent`, rgb(a), hsl(a), hwb, lab, lch, oklab, oklch, color()
+ * and color-mix(), in both legacy comma and modern space syntax, with angle units, percentages and `none`.
+ * @author Holmes Bryant <https://github.com/HolmesBryant>
+ * @license GPL-3.0
+ */
+
+import { COLOR_NAMES } from './color-names.js';
+// color-conversion.js imports this module too. The cycle is safe because `mix` is only called at parse time.
+import { mix } from './color-conversion.js';
+
+/**
+ * Thrown when a string is not a valid CSS color.
+ * `position` is the index in `input` where parsing failed.
+ */
+export class ColorParseError extends SyntaxError {
+  /**
+   * @param {string} message - What went wrong.
+   * @param {string} input - The string being parsed.
+   * @param {number} position - The index in `input` where parsing failed.
+   */
+  constructor(message, input, position) {
+    super(`${message} at position ${position} in "${input}"`);
+    this.name = 'ColorParseError';
+    this.input = input;
+    this.position = position;
+  }
+}
+
+const NUMBER = /[+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?/iy;
+const IDENT = /-?[a-z_][a-z0-9_-]*/iy;
+const HASH = /[0-9a-z]*/iy;
+const HEX_DIGITS = /^(?:[0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const DELIMITERS = new Set([',', '/', ')']);
+
+// Degrees per angle unit
+const ANGLE_UNITS = { deg: 1, grad: 0.9, rad: 180 / Math.PI, turn: 360 };
+
+const PREDEFINED_SPACES = [
+  'srgb', 'srgb-linear', 'display-p3', 'a98-rgb', 'prophoto-rgb', 'rec2020', 'xyz', 'xyz-d50', 'xyz-d65'
+];
+
+// Interpolation spaces accepted by color-mix(). Only the cylindrical ones take a hue method.
+const RECTANGULAR_SPACES = [...PREDEFINED_SPACES, 'lab', 'oklab'];
+const POLAR_SPACES = ['hsl', 'hwb', 'lch', 'oklch'];
+const HUE_METHODS = ['shorter', 'longer', 'increasing', 'decreasing'];
+
+/**
+ * Component descriptors. `percent` is the value 100% maps to; `number` scales plain numbers.
+ * `hue` descriptors take a number (degrees) or an angle instead.
+ */
+const RGB = { percent: 1, number: 1 / 255 };
+const PERCENT_100 = { percent: 100, number: 1 };
+const HUE = { hue: true };
+const UNIT = { percent: 1, number: 1 };
+
+/**
+ * The color functions, their color space, components, and whether legacy comma syntax is allowed.
+ */
+const FUNCTIONS = {
+  rgb: { space: 'srgb', legacy: true, components: [RGB, RGB, RGB] },
+  hsl: { space: 'hsl', legacy: true, components: [HUE, PERCENT_100, PERCENT_100] },
+  hwb: { space: 'hwb', legacy: false, components: [HUE, PERCENT_100, PERCENT_100] },
+  lab: { space: 'lab', legacy: false, components: [PERCENT_100, { percent: 125, number: 1 }, { percent: 125, number: 1 }] },
+  lch: { space: 'lch', legacy: false, components: [PERCENT_100, { percent: 150, number: 1 }, HUE] },
+  oklab: { space: 'oklab', legacy: false, components: [UNIT, { percent: 0.4, number: 1 }, { percent: 0.4, number: 1 }] },
+  oklch: { space: 'oklch', legacy: false, components: [UNIT, { percent: 0.4, number: 1 }, HUE] },
+  color: { legacy: false, components: [UNIT, UNIT, UNIT] }
+};
+FUNCTIONS.rgba = FUNCTIONS.rgb;
+FUNCTIONS.hsla = FUNCTIONS.hsl;
+
+/**
+ * Splits a color string into tokens.
+ * Token types: number, percentage, dimension, hash, ident, function, ',', '/', ')', eof.
+ *
+ * @param {string} input - The color string.
+ * @returns {Array<{type: string, start: number, value?: number|string, unit?: string}>} The tokens.
+ */
+function tokenize(input) {
+  const tokens = [];
+  let pos = 0;
+
+  while (pos < input.length) {
+    const start = pos;
+    const ch = input[pos];
+
+    if (/\s/.test(ch)) {
+      pos++;
+      continue;
+    }
+
+    if (DELIMITERS.has(ch)) {
+      tokens.push({ type: ch, start });
+      pos++;
+      continue;
+    }
+
+    NUMBER.lastIndex = pos;
+    const number = NUMBER.exec(input);
+    if (number) {
+      const value = Number(number[0]);
+      pos += number[0].length;
+      if (input[pos] === '%') {
+        tokens.push({ type: 'percentage', value, start });
+        pos++;
+        continue;
+      }
+      IDENT.lastIndex = pos;
+      const unit = IDENT.exec(input);
+      if (unit) {
+        tokens.push({ type: 'dimension', value, unit: unit[0].toLowerCase(), start });
+        pos += unit[0].length;
+      } else {
+        tokens.push({ type: 'number', value, start });
+      }
+      continue;
+    }
+
+    if (ch === '#') {
+      HASH.lastIndex = pos + 1;
+      const digits = HASH.exec(input)[0];
+      tokens.push({ type: 'hash', value: digits, start });
+      pos += digits.length + 1;
+      continue;
+    }
+
+    IDENT.lastIndex = pos;
+    const ident = IDENT.exec(input);
+    if (ident) {
+      const name = ident[0].toLowerCase();
+      pos += ident[0].length;
+      if (input[pos] === '(') {
+        tokens.push({ type: 'function', value: name, start });
+        pos++;
+      } else {
+        tokens.push({ type: 'ident', value: name, start });
+      }
+      continue;
+    }
+
+    throw new ColorParseError(`Unexpected character "${ch}"`, input, pos);
+  }
+
+  tokens.push({ type: 'eof', start: input.length });
+  return tokens;
+}
+
+/**
+ * A cursor over the token list.
+ */
+class TokenStream {
+  #index = 0;
+
+  constructor(input, tokens) {
+    this.input = input;
+    this.tokens = tokens;
+  }
+
+  peek() { return this.tokens[this.#index]; }
+
+  next() { return this.tokens[this.#index++]; }
+
+  /**
+   * Consumes the next token if it has the given type.
+   * @returns {boolean} True if the token was consumed.
+   */
+  accept(type) {
+    if (this.peek().type !== type) return false;
+    this.#index++;
+    return true;
+  }
+
+  /**
+   * Consumes the next token, which must have the given type.
+   */
+  expect(type, description) {
+    if (!this.accept(type)) this.fail(`Expected ${description}`);
+  }
+
+  /**
+   * Throws a ColorParseError at the next token.
+   */
+  fail(message, token = this.peek()) {
+    throw new ColorParseError(message, this.input, token.start);
+  }
+}
+
+/**
+ * Parses a CSS color string.
+ * Missing components (`none`) are NaN in the result.
+ *
+ * @param {string} input - The color string, e.g. "hsl(-30deg 50% 50% / 0.5)".
+ * @returns {{space: string, coords: number[], alpha: number}} The parsed color.
+ * @throws {ColorParseError} If the string is not a valid color.
+ */
+export function parseColor(input) {
+  if (typeof input !== 'string') {
+    throw new ColorParseError('Expected a string', String(input), 0);
+  }
+
+  const stream = new TokenStream(input, tokenize(input));
+  const color = parseValue(stream);
+  stream.expect('eof', 'end of input');
+  return color;
+}
+
+/**
+ * Parses a single color value.
+ */
+function parseValue(stream) {
+  const token = stream.next();
+
+  switch (token.type) {
+    case 'hash':
+      return parseHex(stream, token);
+    case 'ident':
+      return parseKeyword(stream, token);
+    case 'function':
+      return parseFunction(stream, token);
+    default:
+      return stream.fail('Expected a color', token);
+  }
+}
+
+function parseHex(stream, token) {
+  if (!HEX_DIGITS.test(token.value)) {
+    stream.fail(`Invalid hex color "#${token.value}"`, token);
+  }
+
+  let hex = token.value;
+  if (hex.length <= 4) hex = [...hex].map(c => c + c).join('');
+  const [r, g, b, a = 255] = hex.match(/../g).map(pair => parseInt(pair, 16));
+  return { space: 'srgb', coords: [r / 255, g / 255, b / 255], alpha: a / 255 };
+}
+
+function parseKeyword(stream, token) {
+  if (token.value === 'transparent') {
+    return { space: 'srgb', coords: [0, 0, 0], alpha: 0 };
+  }
+  const hex = COLOR_NAMES[token.value];
+  if (!hex) stream.fail(`Unknown color name "${token.value}"`, token);
+  return parseHex(stream, { ...token, value: hex.slice(1) });
+}
+
+function parseFunction(stream, token) {
+  if (token.value === 'color-mix') return parseColorMix(stream);
+
+  const definition = FUNCTIONS[token.value];
+  if (!definition) stream.fail(`Unsupported color function "${token.value}()"`, token);
+
+  let space = definition.space;
+  if (token.value === 'color') {
+    const ident = stream.next();
+    if (ident.type !== 'ident' || !PREDEFINED_SPACES.includes(ident.value)) {
+      stream.fail('Expected a predefined color space', ident);
+    }
+    space = ident.value;
+  }
+
+  const [first, ...rest] = definition.components;
+  const firstToken = stream.peek();
+  const coords = [parseComponent(stream, first, true)];
+
+  if (definition.legacy && stream.peek().type === ',') {
+    return parseLegacy(stream, definition, coords, firstToken);
+  }
+
+  for (const descriptor of rest) {
+    coords.push(parseComponent(stream, descriptor, true));
+  }
+
+  let alpha = 1;
+  if (stream.accept('/')) alpha = parseAlpha(stream, true);
+  stream.expect(')', '")"');
+  return { space, coords, alpha };
+}
+
+/**
+ * Parses the rest of a color-mix(in <space> [<hue-method> hue]?, <color> <percentage>?, <color> <percentage>?).
+ * Percentages are normalized as CSS does: a missing one is 100% minus the other,
+ * and when they add up to less than 100% the result's alpha is scaled down.
+ */
+function parseColorMix(stream) {
+  const keyword = stream.next();
+  if (keyword.type !== 'ident' || keyword.value !== 'in') stream.fail('Expected "in"', keyword);
+
+  const spaceToken = stream.next();
+  const space = spaceToken.value;
+  const polar = POLAR_SPACES.includes(space);
+  if (spaceToken.type !== 'ident' || !(polar || RECTANGULAR_SPACES.includes(space))) {
+    stream.fail('Expected an interpolation color space', spaceToken);
+  }
+
+  let hueMethod = 'shorter';
+  const methodToken = stream.peek();
+  if (methodToken.type === 'ident') {
+    if (!polar) stream.fail('Hue interpolation methods need a cylindrical color space');
+    if (!HUE_METHODS.includes(methodToken.value)) {
+      stream.fail(`Unknown hue interpolation method "${methodToken.value}"`);
+    }
+    stream.next();
+    hueMethod = methodToken.value;
+    const hue = stream.next();
+    if (hue.type !== 'ident' || hue.value !== 'hue') stream.fail('Expected "hue"', hue);
+  }
+
+  stream.expect(',', '","');
+  const first = parseMixComponent(stream);
+  stream.expect(',', '","');
+  const second = parseMixComponent(stream);
+  stream.expect(')', '")"');
+
+  let p1 = first.percentage;
+  let p2 = second.percentage;
+  if (p1 === null && p2 === null) p1 = p2 = 50;
+  else if (p1 === null) p1 = 100 - p2;
+  else if (p2 === null) p2 = 100 - p1;
+
+  const sum = p1 + p2;
+  if (sum === 0) stream.fail('color-mix() percentages cannot both be 0', first.token);
+
+  const color = mix(first.color, second.color, p2 / sum, { space: space === 'xyz' ? 'xyz-d65' : space, hueMethod });
+  if (sum < 100) color.alpha *= sum / 100;
+  return color;
+}
+
+/**
+ * Parses one color of a color-mix(), with its optional percentage before or after it.
+ */
+function parseMixComponent(stream) {
+  const token = stream.peek();
+  let percentage = parseMixPercentage(stream);
+  const color = parseValue(stream);
+  percentage ??= parseMixPercentage(stream);
+  return { color, percentage, token };
+}
+
+function parseMixPercentage(stream) {
+  const token = stream.peek();
+  if (token.type !== 'percentage') return null;
+  if (token.value < 0 || token.value > 100) stream.fail('Expected a percentage between 0% and 100%', token);
+  stream.next();
+  return token.value;
+}
+
+/**
+ * Parses the rest of a legacy comma-separated rgb() or hsl().
+ * Legacy syntax has no `none`, and rgb() cannot mix numbers with percentages.
+ */
+function parseLegacy(stream, definition, coords, firstToken) {
+  if (Number.isNaN(coords[0])) stream.fail('"none" is not allowed in legacy syntax', firstToken);
+
+  for (const descriptor of definition.components.slice(1)) {
+    stream.expect(',', '","');
+    const token = stream.peek();
+    if (token.type === 'ident' && token.value === 'none') {
+      stream.fail('"none" is not allowed in legacy syntax');
+    }
+    if (definition.space === 'srgb' && token.type !== firstToken.type) {
+      stream.fail('Legacy rgb() cannot mix numbers and percentages');
+    }
+    if (definition.space === 'hsl' && token.type !== 'percentage') {
+      stream.fail('Expected a percentage');
+    }
+    coords.push(parseComponent(stream, descriptor, false));
+  }
+
+  let alpha = 1;
+  if (stream.accept(',')) alpha = parseAlpha(stream, false);
+  stream.expect(')', '")"');
+  return { space: definition.space, coords, alpha };
+}
+
+/**
+ * Parses one color component according to its descriptor.
+ */
+function parseComponent(stream, descriptor, allowNone) {
+  const token = stream.next();
+
+  if (token.type === 'ident' && token.value === 'none') {
+    if (!allowNone) stream.fail('"none" is not allowed in legacy syntax', token);
+    return NaN;
+  }
+
+  if (descriptor.hue) {
+    if (token.type === 'number') return token.value;
+    if (token.type === 'dimension') {
+      const degrees = ANGLE_UNITS[token.unit];
+      if (degrees === undefined) stream.fail(`Unknown angle unit "${token.unit}"`, token);
+      return token.value * degrees;
+    }
+    return stream.fail('Expected a hue (number or angle)', token);
+  }
+
+  if (token.type === 'number') return token.value * descriptor.number;
+  if (token.type === 'percentage') return (token.value / 100) * descriptor.percent;
+  return stream.fail('Expected a number or percentage', token);
+}
+
+/**
+ * Parses an alpha value. Alpha is clamped to 0-1.
+ */
+function parseAlpha(stream, allowNone) {
+  const token = stream.next();
+
+  if (token.type === 'ident' && token.value === 'none') {
+    if (!allowNone) stream.fail('"none" is not allowed in legacy syntax', token);
+    return NaN;
+  }
+
+  let alpha;
+  if (token.type === 'number') alpha = token.value;
+  else if (token.type === 'percentage') alpha = token.value / 100;
+  else stream.fail('Expected an alpha value (number or percentage)', token);
+
+  return Math.min(1, Math.max(0, alpha));
+}
@@ -0,0 +1,348 @@
+/**
+ * @file design-tokens.js
+ * Reads the color tokens of a W3C Design Tokens Community Group (DTCG) file, lets `<a-color>`
+ * elements edit them, and exports the result as DTCG JSON, CSS custom properties or a Tailwind
+ * `colors` object. Nothing but `connect()` touches the DOM, so exports also work in Node.
+ * @author Holmes Bryant <https://github.com/HolmesBryant>
+ * @license GPL-3.0
+ */
+
+import { FORMATS, SPACES, convert, deltaEOK, hexTo, parse, serialize } from './color-conversion.js';
+
+/**
+ * Matches an alias value such as "{brand.primary}".
+ * @type {RegExp}
+ */
+const ALIAS = /^\{([^{}]+)\}$/;
+
+/**
+ * The most aliases followed before giving up, so a cycle doesn't loop forever.
+ * @type {number}
+ */
+const MAX_ALIAS_DEPTH = 16;
+
+/**
+ * The largest OKLab difference (and alpha difference) still treated as the same color, so
+ * values that only differ by rounding aren't written back.
+ * @type {number}
+ */
+const SAME_COLOR = 1e-3;
+
+/**
+ * Tells whether two CSS colors are the same, whatever their notation.
+ *
+ * @param {string} a - The first color.
+ * @param {string} b - The second color.
+ * @returns {boolean} True if both parse and match.
+ */
+function sameColor(a, b) {
+  const x = parse(a);
+  const y = parse(b);
+  return Boolean(x && y) && Math.abs(x.alpha - y.alpha) < SAME_COLOR && deltaEOK(x, y) < SAME_COLOR;
+}
+
+/**
+ * Finds the format a CSS color string is written in ("#3366cc" is 'hex', "hsla(...)" is 'hsl',
+ * "color(display-p3 ...)" is 'display-p3'), so a new color can be written the same way.
+ *
+ * @param {string} value - The color.
+ * @returns {string} One of `FORMATS`; 'hex' for anything else.
+ */
+function notationOf(value) {
+  value = value.trim().toLowerCase();
+  const fn = value.match(/^([a-z-]+?)a?\(/)?.[1];
+  const format = fn === 'color' ? value.match(/^color\(\s*([a-z0-9-]+)/)?.[1] : fn;
+  if (FORMATS.includes(format)) return format;
+  return /^[a-z]+$/.test(value) ? 'name' : 'hex';
+}
+
+/**
+ * Reads a DTCG color value: a CSS color string, or an object with `colorSpace`, `components`
+ * and optional `alpha` (`"none"` components are missing).
+ *
+ * @param {string|Object} value - The `$value`.
+ * @returns {{space: string, coords: number[], alpha: number}|null} The color, or null if it isn't one.
+ */
+function toColor(value) {
+  if (typeof value === 'string') return parse(value);
+  if (!value || !SPACES.includes(value.colorSpace) || !Array.isArray(value.components)) return null;
+  return {
+    space: value.colorSpace,
+    coords: value.components.map(c => c === 'none' ? NaN : Number(c)),
+    alpha: value.alpha ?? 1
+  };
+}
+
+/**
+ * Writes a color as a DTCG color object in a space, with its hex as a fallback.
+ *
+ * @param {{space: string, coords: number[], alpha: number}} color - The color.
+ * @param {string} space - One of `SPACES`.
+ * @returns {{colorSpace: string, components: Array<number|string>, alpha: number, hex: string}} The value.
+ */
+function toColorObject(color, space) {
+  const converted = convert(color, space);
+  return {
+    colorSpace: space,
+    components: converted.coords.map(c => Number.isNaN(c) ? 'none' : c),
+    alpha: converted.alpha,
+    hex: serialize({ ...color, alpha: 1 }, 'hex', { gamutMapping: 'css4' })
+  };
+}
+
+/**
+ * The color tokens of a DTCG file.
+ * A token is a color if its own or an enclosing group's `$type` is "color". Paths join the
+ * names of the groups and the token with dots ("brand.primary").
+ *
+ * Fires `tokenchange` (a CustomEvent with `path` and the stored `$value` as `detail.value`) when a
+ * token is set.
+ */
+export class TokenSet extends EventTarget {
+  /**
+   * The color tokens by path. Each entry is the token object inside `#tree`, so editing it
+   * edits the tree.
+   * @private
+   * @type {Map<string, Object>}
+   */
+  #tokens = new Map();
+
+  /**
+   * A copy of the whole file, including groups and tokens of other types.
+   * @private
+   * @type {Object}
+   */
+  #tree;
+
+  /**
+   * @param {Object|string} tokens - The DTCG tokens, parsed or as JSON.
+   * @throws {SyntaxError} If the JSON is invalid.
+   */
+  constructor(tokens) {
+    super();
+    this.#tree = structuredClone(typeof tokens === 'string' ? JSON.parse(tokens) : tokens);
+    this.#collect(this.#tree, [], undefined);
+  }
+
+  /**
+   * Fetches and reads a DTCG file.
+   *
+   * @param {string|URL} url - The file.
+   * @returns {Promise<TokenSet>} The tokens.
+   * @throws {Error} If the file can't be fetched.
+   */
+  static async load(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Cannot load design tokens from ${url}: ${response.status}`);
+    return new TokenSet(await response.json());
+  }
+
+  // --- Public Methods ---
+
+  /**
+   * Binds every `<a-color token="...">` inside `root` to its token: the pickers start with the
+   * token's color, picks are written to the token, and pickers follow tokens set from script.
+   *
+   * @param {Document|Element|ShadowRoot} [root=document] - Where the pickers are.
+   * @returns {Function} Unbinds the pickers again.
+   */
+  connect(root = document) {
+    const controller = new AbortController();
+    const { signal } = controller;
+    // The picker being written to its token, which already shows the new color
+    let source = null;
+    const refresh = () => {
+      for (const picker of root.querySelectorAll('a-color[token]')) {
+        const value = this.get(picker.getAttribute('token'));
+        if (picker === source || !value || sameColor(value, picker.value)) continue;
+        // Keep the picker's own format; an empty picker starts with the token's
+        const format = picker.value || picker.colorspace ? picker.activeColorspace : null;
+        picker.value = format ? serialize(parse(value), format) : value;
+      }
+    };
+    const update = event => {
+      const picker = event.composedPath()[0];
+      if (picker?.localName !== 'a-color') return;
+      const path = picker.getAttribute('token');
+      if (!this.#tokens.has(path) || !event.detail.value) return;
+      source = picker;
+      try {
+        this.set(path, event.detail.value);
+      } finally {
+        source = null;
+      }
+    };
+
+    root.addEventListener('input', update, { signal });
+    root.addEventListener('change', update, { signal });
+    this.addEventListener('tokenchange', refresh, { signal });
+    refresh();
+    return () => controller.abort();
+  }
+
+  /**
+   * Gets a color token's value as a CSS color, following aliases.
+   *
+   * @param {string} path - The token's path.
+   * @returns {string|null} The color, or null if the path isn't a color token or an alias is broken.
+   */
+  get(path) {
+    const value = this.#resolve(path);
+    if (typeof value === 'string') return value;
+    const color = toColor(value);
+    return color ? serialize(color, color.space) : null;
+  }
+
+  /**
+   * Sets a color token. A token keeps how it was written: a color object stays one in its own
+   * color space, and a color string keeps its notation ("#3366cc" stays hex). An alias is
+   * replaced by the color.
+   *
+   * @param {string} path - The token's path.
+   * @param {string} value - Any CSS color.
+   * @throws {TypeError} If the path isn't a color token or the value isn't a color.
+   */
+  set(path, value) {
+    const token = this.#tokens.get(path);
+    if (!token) throw new TypeError(`Unknown color token: ${path}`);
+    const color = parse(value);
+    if (!color) throw new TypeError(`Invalid color: ${value}`);
+
+    const current = token.$value;
+    let next = value;
+    if (current && typeof current === 'object') next = toColorObject(color, current.colorSpace);
+    else if (typeof current === 'string' && !ALIAS.test(current)) next = serialize(color, notationOf(current));
+    if (JSON.stringify(next) === JSON.stringify(current)) return;
+
+    token.$value = next;
+    this.dispatchEvent(new CustomEvent('tokenchange', { detail: { path, value: next } }));
+  }
+
+  /**
+   * Writes the color tokens as CSS custom properties, named after their paths
+   * ("brand.primary" becomes `--brand-primary`). Aliases become `var()` references.
+   *
+   * @param {Object} [options]
+   * @param {string} [options.colorspace] - Write the colors in this format (see `FORMATS`). Kept as they are if unset.
+   * @param {string} [options.selector=':root'] - The rule's selector.
+   * @param {string} [options.prefix=''] - Put in front of every property name (e.g. 'ds' for `--ds-brand-primary`).
+   * @returns {string} The CSS rule.
+   */
+  toCSS({ colorspace, selector = ':root', prefix = '' } = {}) {
+    const name = path => `--${prefix ? `${prefix}-` : ''}${path.replaceAll('.', '-')}`;
+    const lines = [...this.#tokens].map(([path, token]) => {
+      const alias = typeof token.$value === 'string' && token.$value.match(ALIAS)?.[1];
+      const value = alias && this.#tokens.has(alias) ? `var(${name(alias)})` : this.#format(path, colorspace);
+      return value ? `  ${name(path)}: ${value};` : null;
+    });
+    return `${selector} {\n${lines.filter(Boolean).join('\n')}\n}\n`;
+  }
+
+  /**
+   * Writes the tokens as DTCG JSON. Groups, descriptions and tokens of other types are kept,
+   * and so are aliases.
+   *
+   * @param {Object} [options]
+   * @param {string} [options.colorspace] - Write the colors in this format. Color objects are
+   *   converted only if it is one of `SPACES`. Kept as they are if unset.
+   * @returns {Object} The tokens, ready for `JSON.stringify`.
+   */
+  toDTCG({ colorspace } = {}) {
+    const tree = structuredClone(this.#tree);
+    if (!colorspace) return tree;
+
+    for (const path of this.#tokens.keys()) {
+      const token = path.split('.').reduce((group, name) => group[name], tree);
+      const value = token.$value;
+      if (typeof value === 'string') {
+        if (!ALIAS.test(value)) token.$value = hexTo(value, colorspace);
+      } else if (SPACES.includes(colorspace)) {
+        const color = toColor(value);
+        if (color) token.$value = toColorObject(color, colorspace);
+      }
+    }
+    return tree;
+  }
+
+  /**
+   * Writes the color tokens as a Tailwind `theme.colors` object, nested like the groups.
+   * Aliases are resolved.
+   *
+   * @param {Object} [options]
+   * @param {string} [options.colorspace] - Write the colors in this format. Kept as they are if unset.
+   * @returns {Object} The colors, e.g. `{ brand: { primary: '#3366cc' } }`.
+   */
+  toTailwind({ colorspace } = {}) {
+    const colors = {};
+    for (const path of this.#tokens.keys()) {
+      const value = this.#format(path, colorspace);
+      if (!value) continue;
+      const names = path.split('.');
+      const last = names.pop();
+      const group = names.reduce((parent, name) => parent[name] ??= {}, colors);
+      group[last] = value;
+    }
+    return colors;
+  }
+
+  // --- Private Methods ---
+
+  /**
+   * Walks a group and records its color tokens. `$type` is inherited from enclosing groups.
+   *
+   * @private
+   * @param {Object} group - The group or token.
+   * @param {string[]} names - Its path.
+   * @param {string|undefined} type - The inherited `$type`.
+   */
+  #collect(group, names, type) {
+    type = group.$type ?? type;
+    if ('$value' in group) {
+      if (type === 'color') this.#tokens.set(names.join('.'), group);
+      return;
+    }
+    for (const [name, child] of Object.entries(group)) {
+      if (!name.startsWith('$') && child && typeof child === 'object') {
+        this.#collect(child, [...names, name], type);
+      }
+    }
+  }
+
+  /**
+   * Gets a token's color as CSS, converted to a format if one is given.
+   *
+   * @private
+   * @param {string} path - The token's path.
+   * @param {string} [colorspace] - The format.
+   * @returns {string|null} The color, or null if it doesn't resolve.
+   */
+  #format(path, colorspace) {
+    const value = this.get(path);
+    return value && colorspace ? hexTo(value, colorspace) : value;
+  }
+
+  /**
+   * Follows aliases to a token's raw `$value`.
+   *
+   * @private
+   * @param {string} path - The token's path.
+   * @returns {string|Object|null} The value, or null for an unknown path, a broken alias or a cycle.
+   */
+  #resolve(path) {
+    for (let depth = 0; depth < MAX_ALIAS_DEPTH; depth++) {
+      const value = this.#tokens.get(path)?.$value;
+      const alias = typeof value === 'string' && value.match(ALIAS)?.[1];
+      if (!alias) return value ?? null;
+      path = alias;
+    }
+    return null;
+  }
+
+  // --- Getters / Setters
+
+  /**
+   * The paths of the color tokens, in file order.
+   * @type {string[]}
+   */
+  get paths() { return [...this.#tokens.keys()]; }
+}
@@ -0,0 +1,180 @@
+/**
+ * @file image-palette.js
+ * Finds the dominant colors of an image by k-means clustering its pixels in OKLab.
+ * @author Holmes Bryant <https://github.com/HolmesBryant>
+ * @license GPL-3.0
+ */
+
+import { convert, serialize } from './color-conversion.js';
+
+/**
+ * Images are scaled down so their longer side has at most this many pixels before clustering.
+ * @type {number}
+ */
+const MAX_SAMPLE_SIZE = 100;
+
+/**
+ * The most k-means passes made before settling for the current clusters.
+ * @type {number}
+ */
+const MAX_ITERATIONS = 20;
+
+/**
+ * Pixels less opaque than this (0-255) are left out.
+ * @type {number}
+ */
+const MIN_ALPHA = 128;
+
+/**
+ * Reads the pixels of an image source, scaled down to at most `MAX_SAMPLE_SIZE` on the longer side.
+ * `ImageData` (or anything with `data`, `width` and `height`) is used as it is.
+ *
+ * @param {ImageData|HTMLImageElement|HTMLCanvasElement|ImageBitmap|Blob} source - The image.
+ * @returns {Promise<ImageData>} The pixels.
+ * @throws {TypeError} If the source is not an image.
+ */
+async function toImageData(source) {
+  if (source?.data && source.width && source.height) return source;
+
+  let drawable = source;
+  if (globalThis.Blob && source instanceof Blob) {
+    drawable = await createImageBitmap(source);
+  } else if (globalThis.HTMLImageElement && source instanceof HTMLImageElement) {
+    if (!source.complete || !source.naturalWidth) await source.decode();
+  } else if (
+    !(globalThis.HTMLCanvasElement && source instanceof HTMLCanvasElement) &&
+    !(globalThis.ImageBitmap && source instanceof ImageBitmap)
+  ) {
+    throw new TypeError('extractPalette needs ImageData, an image, a canvas, an ImageBitmap or a Blob');
+  }
+
+  const width = drawable.naturalWidth || drawable.width;
+  const height = drawable.naturalHeight || drawable.height;
+  const scale = Math.min(1, MAX_SAMPLE_SIZE / Math.max(width, height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(width * scale));
+  canvas.height = Math.max(1, Math.round(height * scale));
+
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(drawable, 0, 0, canvas.width, canvas.height);
+  if (drawable !== source) drawable.close();
+  return context.getImageData(0, 0, canvas.width, canvas.height);
+}
+
+/**
+ * Counts the opaque pixels of each color and converts the colors to OKLab.
+ *
+ * @param {ImageData} imageData - The pixels.
+ * @returns {Array<{lab: number[], weight: number}>} Each distinct color and its pixel count.
+ */
+function histogram({ data }) {
+  const counts = new Map();
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] < MIN_ALPHA) continue;
+    const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+    counts.set(key, (counts.get(key) ?? 0) + 1);
+  }
+
+  return [...counts].map(([key, weight]) => {
+    const rgb = [key >> 16, (key >> 8) & 255, key & 255].map(n => n / 255);
+    return { lab: convert({ space: 'srgb', coords: rgb, alpha: 1 }, 'oklab').coords, weight };
+  });
+}
+
+/**
+ * Squared Euclidean distance between two OKLab coordinates.
+ *
+ * @param {number[]} a - The first coordinates.
+ * @param {number[]} b - The second coordinates.
+ * @returns {number} The squared distance.
+ */
+function distance2(a, b) {
+  return (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2;
+}
+
+/**
+ * Picks starting centers: the most common color, then repeatedly the color with the largest
+ * population-weighted squared distance to its nearest center (a deterministic k-means++).
+ *
+ * @param {Array<{lab: number[], weight: number}>} colors - The colors, as `histogram()` returns them.
+ * @param {number} count - How many centers to pick. Fewer are picked if there are fewer distinct colors.
+ * @returns {number[][]} The centers' OKLab coordinates.
+ */
+function initialCenters(colors, count) {
+  const first = colors.reduce((best, color) => color.weight > best.weight ? color : best);
+  const centers = [first.lab];
+  const nearest = colors.map(color => distance2(color.lab, first.lab));
+
+  while (centers.length < count) {
+    let pick = 0;
+    for (let i = 1; i < colors.length; i++) {
+      if (colors[i].weight * nearest[i] > colors[pick].weight * nearest[pick]) pick = i;
+    }
+    if (nearest[pick] === 0) break;
+    const center = colors[pick].lab;
+    centers.push(center);
+    colors.forEach((color, i) => {
+      nearest[i] = Math.min(nearest[i], distance2(color.lab, center));
+    });
+  }
+  return centers;
+}
+
+/**
+ * Clusters the colors around `count` centers.
+ *
+ * @param {Array<{lab: number[], weight: number}>} colors - The colors, as `histogram()` returns them.
+ * @param {number} count - How many clusters to make.
+ * @returns {Array<{lab: number[], weight: number}>} The clusters' weighted means and populations.
+ */
+function kMeans(colors, count) {
+  let centers = initialCenters(colors, count);
+  let assignments = [];
+
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    const next = colors.map(color => {
+      let best = 0;
+      for (let i = 1; i < centers.length; i++) {
+        if (distance2(color.lab, centers[i]) < distance2(color.lab, centers[best])) best = i;
+      }
+      return best;
+    });
+    const settled = next.every((center, i) => center === assignments[i]);
+    assignments = next;
+
+    const sums = centers.map(() => ({ lab: [0, 0, 0], weight: 0 }));
+    colors.forEach((color, i) => {
+      const sum = sums[assignments[i]];
+      color.lab.forEach((value, j) => sum.lab[j] += value * color.weight);
+      sum.weight += color.weight;
+    });
+    const clusters = sums
+      .filter(sum => sum.weight > 0)
+      .map(sum => ({ lab: sum.lab.map(value => value / sum.weight), weight: sum.weight }));
+
+    if (settled || iteration === MAX_ITERATIONS - 1) return clusters;
+    centers = clusters.map(cluster => cluster.lab);
+  }
+}
+
+/**
+ * Finds the dominant colors of an image, most common first.
+ * Pixels are clustered with k-means in OKLab, so the colors are perceptually distinct;
+ * mostly transparent pixels are ignored.
+ *
+ * @param {ImageData|HTMLImageElement|HTMLCanvasElement|ImageBitmap|Blob} imageSource - The image.
+ *   Images that haven't loaded yet are waited for.
+ * @param {Object} [options]
+ * @param {number} [options.count=5] - The most colors to return. Fewer are returned if the image has fewer.
+ * @param {string} [options.space='hex'] - The output format (see `FORMATS`).
+ * @returns {Promise<string[]>} The colors, ranked by how many pixels they cover.
+ * @throws {TypeError} If the source is not an image.
+ */
+export async function extractPalette(imageSource, { count = 5, space = 'hex' } = {}) {
+  const colors = histogram(await toImageData(imageSource));
+  if (!colors.length || count < 1) return [];
+
+  return kMeans(colors, count)
+    .sort((a, b) => b.weight - a.weight)
+    .map(({ lab }) => serialize({ space: 'oklab', coords: lab, alpha: 1 }, space, { gamutMapping: 'css4' }));
+}
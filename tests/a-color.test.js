@@ -5,6 +5,15 @@
 
 import ATestRunner from './ATestRunner.min.js';
 import '../src/a-color.js';
+import '../src/a-color-palette.js';
+import { parseColor, ColorParseError } from '../src/color-parser.js';
+import {
+  apcaContrast, contrastRatio, deltaE2000, deltaE76, deltaEOK, mix, nearestName, relativeLuminance,
+  serialize, steps, toHex
+} from '../src/color-conversion.js';
+import { harmony, scale, shades, tints } from '../src/color-palette.js';
+import { extractPalette } from '../src/image-palette.js';
+import { TokenSet } from '../src/design-tokens.js';
 
 const runner = new ATestRunner(import.meta.url);
 runner.output = 'a-testrunner';
@@ -124,6 +133,170 @@ group("Cross-Colorspace Conversion", () => {
     "hsl(0, 100%, 50%)"
   );
 
+  test("Convert Name to Lab (D50)",
+    () => {
+      el.colorspace = "lab";
+      el.value = "red";
+      return el.value;
+    },
+    "lab(54.291% 80.805 69.891)"
+  );
+
+  test("Convert Hex to display-p3",
+    () => {
+      el.colorspace = "display-p3";
+      el.value = "#ff0000";
+      return el.value;
+    },
+    "color(display-p3 0.91749 0.20029 0.13856)"
+  );
+
+  test("Convert display-p3 to Hex",
+    () => {
+      el.colorspace = "hex";
+      el.value = "color(display-p3 0.91749 0.20029 0.13856)";
+      return el.value;
+    },
+    "#ff0000"
+  );
+
+  test("Convert oklab to RGB",
+    () => {
+      el.colorspace = "rgb";
+      el.value = "oklab(0.628 0.225 0.126)";
+      return el.value;
+    },
+    "rgb(255, 0, 0)"
+  );
+
+  cleanup();
+});
+
+group("CSS Color Syntax", () => {
+  const el = createFixture({ colorspace: 'hex' });
+
+  const cases = [
+    ['hsl(-30 50% 50%)', '#bf4080'],
+    ['rgb(100% 0% 0%)', '#ff0000'],
+    ['rgba(255, 0, 0, 0.5)', '#ff000080'],
+    ['hsl(0.5turn 100% 50%)', '#00ffff'],
+    ['hsl(200grad, 100%, 50%)', '#00ffff'],
+    ['rgb(1e2 0 0)', '#640000'],
+    ['rgb(none 0 0)', '#000000'],
+    ['transparent', '#00000000']
+  ];
+
+  for (const [input, expected] of cases) {
+    test(`Parses ${input}`, () => {
+      el.value = input;
+      return el.value;
+    }, expected);
+  }
+
+  test("Keeps none when not converted", () => {
+    el.colorspace = 'oklch';
+    el.value = 'oklch(0.7 0.15 none)';
+    return el.value;
+  }, "oklch(0.7 0.15 none)");
+
+  test("Parse error reports the failing position", () => {
+    try {
+      parseColor('rgb(255, 0 0)');
+    } catch (error) {
+      return error instanceof ColorParseError && error.position;
+    }
+  }, 11);
+
+  test("Rejects mixed legacy syntax", () => {
+    const fixture = createFixture({ value: '#ffffff' });
+    fixture.value = 'rgb(255, 50%, 0)';
+    const result = [fixture.value, fixture.validity.badInput];
+    fixture.remove();
+    return result;
+  }, ['#ffffff', true]);
+
+  test("Validation message names the failing position", () => {
+    const fixture = createFixture();
+    fixture.value = 'hsl(120, 50, 50)';
+    const message = fixture.validationMessage;
+    fixture.remove();
+    return message.includes('position 9');
+  }, true);
+
+  cleanup();
+});
+
+group("Gamut Mapping", () => {
+  test("Reports a P3 color as outside sRGB but inside P3", () => {
+    const el = createFixture({ value: 'color(display-p3 0 1 0)' });
+    const result = el.outOfGamut;
+    el.remove();
+    return result;
+  }, { srgb: true, p3: false });
+
+  test("Clips by default", () => {
+    const el = createFixture({ colorspace: 'hex', value: 'oklch(0.9 0.35 260)' });
+    const value = el.value;
+    el.remove();
+    return value;
+  }, "#28cbff");
+
+  test("css4 mapping keeps lightness and hue", () => {
+    const el = createFixture({ 'gamut-mapping': 'css4', colorspace: 'hex', value: 'oklch(0.9 0.35 260)' });
+    const value = el.value;
+    el.remove();
+    return value;
+  }, "#c3e0ff");
+
+  test("Changing gamut-mapping remaps the current color", () => {
+    const el = createFixture({ colorspace: 'hex', value: 'oklch(0.9 0.35 260)' });
+    el.gamutMapping = 'css4';
+    const value = el.value;
+    el.remove();
+    return value;
+  }, "#c3e0ff");
+
+  test("Native input shows the mapped color", () => {
+    const el = createFixture({ 'gamut-mapping': 'css4', value: 'oklch(0.9 0.35 260)' });
+    const hex = el.shadowRoot.querySelector('[part="input"]').value;
+    el.remove();
+    return hex;
+  }, "#c3e0ff");
+});
+
+group("Lossless Values", () => {
+  const el = createFixture();
+
+  test("Untouched value reads back exactly", () => {
+    el.colorspace = 'oklch';
+    el.value = 'oklch(0.7 0.15 200)';
+    return el.value;
+  }, "oklch(0.7 0.15 200)");
+
+  test("Wide-gamut value is not clipped when converted", () => {
+    el.colorspace = 'display-p3';
+    el.value = 'color(display-p3 1 0 0)';
+    el.colorspace = 'oklab';
+    el.colorspace = 'display-p3';
+    return el.value;
+  }, "color(display-p3 1 0 0)");
+
+  test("Fractional rgb channels are kept", () => {
+    el.colorspace = 'rgb';
+    el.value = 'rgb(127.5, 0, 0)';
+    return el.value;
+  }, "rgb(127.5, 0, 0)");
+
+  test("Changing opacity keeps the color coordinates", () => {
+    const fixture = createFixture({ colorspace: 'oklch', value: 'oklch(0.7 0.15 200)' });
+    const slider = fixture.shadowRoot.querySelector('[part="alpha"]');
+    slider.value = '0.5';
+    slider.dispatchEvent(new Event('input', { bubbles: true }));
+    const value = fixture.value;
+    fixture.remove();
+    return value;
+  }, "oklch(0.7 0.15 200 / 0.5)");
+
   cleanup();
 });
 
@@ -171,6 +344,159 @@ group("User Interaction & Events", () => {
     cleanup();
 });
 
+group("Event Detail", () => {
+  function record(el, types = ['input', 'change']) {
+    const events = [];
+    for (const type of types) el.addEventListener(type, event => events.push(event));
+    return events;
+  }
+
+  test("Input events carry the value, hex, previous value and source", () => {
+    const el = createFixture({ colorspace: 'rgb', value: 'rgb(0, 0, 0)' });
+    const events = record(el, ['input']);
+    const input = el.shadowRoot.querySelector('[part="input"]');
+    input.value = '#ff0000';
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    const { value, hex, previous, source } = events[0].detail;
+    el.remove();
+    return [value, hex, previous, source];
+  }, ["rgb(255, 0, 0)", "#ff0000", "rgb(0, 0, 0)", "drag"]);
+
+  test("Change reports the value before the drag as previous", () => {
+    const el = createFixture({ value: '#000000' });
+    const events = record(el, ['change']);
+    const input = el.shadowRoot.querySelector('[part="input"]');
+    for (const color of ['#110000', '#220000']) {
+      input.value = color;
+      input.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+    const { value, previous } = events[0].detail;
+    el.remove();
+    return [value, previous];
+  }, ["#220000", "#000000"]);
+
+  test("The host only sees the element's own input events", () => {
+    const el = createFixture({ alpha: true, value: '#000000' });
+    const events = record(el, ['input']);
+    for (const part of ['input', 'hue', 'alpha']) {
+      el.shadowRoot.querySelector(`[part="${part}"]`).dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+    }
+    el.remove();
+    return events.length > 0 && events.every(event => event instanceof CustomEvent && 'value' in event.detail);
+  }, true);
+
+  test("Detail has coordinates in every space", () => {
+    const el = createFixture({ value: '#000000' });
+    const events = record(el, ['change']);
+    el.pickColor('#ffffff');
+    const { coords, alpha } = events[0].detail;
+    el.remove();
+    return [coords.srgb, Math.round(coords.oklch[0] * 1000) / 1000, 'display-p3' in coords, alpha];
+  }, [[1, 1, 1], 1, true, 1]);
+
+  test("Coordinates are computed on first read and kept", () => {
+    const el = createFixture({ value: '#000000' });
+    const events = record(el, ['input']);
+    el.pickColor('#ffffff');
+    const { detail } = events[0];
+    const lazy = typeof Object.getOwnPropertyDescriptor(detail, 'coords').get === 'function';
+    el.remove();
+    return [lazy, detail.coords === detail.coords];
+  }, [true, true]);
+
+  test("Typed values have source 'typed'", () => {
+    const el = createFixture({ editable: true, value: '#000000' });
+    const events = record(el, ['change']);
+    const text = el.shadowRoot.querySelector('[part~="text"]');
+    text.value = 'red';
+    text.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+    const source = events[0].detail.source;
+    el.remove();
+    return source;
+  }, "typed");
+
+  test("Swatches have source 'swatch'", () => {
+    const el = createFixture({ swatches: 'red', value: '#000000' });
+    const events = record(el);
+    el.shadowRoot.querySelector('[part~="swatch"]').click();
+    const sources = events.map(event => `${event.type}:${event.detail.source}`);
+    el.remove();
+    return sources;
+  }, ["input:swatch", "change:swatch"]);
+
+  test("Arrow keys have source 'keyboard'", () => {
+    const el = createFixture({ mode: 'inline', value: '#808080' });
+    const events = record(el, ['change']);
+    const area = el.shadowRoot.querySelector('[part="area"]');
+    area.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowRight' }));
+    area.dispatchEvent(new KeyboardEvent('keyup', { key: 'ArrowRight' }));
+    const source = events[0].detail.source;
+    el.remove();
+    return source;
+  }, "keyboard");
+
+  test("Keyboard steps on the hue slider have source 'keyboard'", () => {
+    const el = createFixture({ mode: 'inline', value: 'hsl(200 100% 50%)' });
+    const events = record(el);
+    const hue = el.shadowRoot.querySelector('[part="hue"]');
+    hue.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowRight', shiftKey: true, cancelable: true }));
+    hue.dispatchEvent(new KeyboardEvent('keyup', { key: 'ArrowRight' }));
+    const sources = events.map(event => `${event.type}:${event.detail.source}`);
+    el.remove();
+    return sources;
+  }, ["input:keyboard", "change:keyboard"]);
+
+  test("Setting the value from script fires nothing by default", () => {
+    const el = createFixture({ value: '#000000' });
+    const events = record(el);
+    el.value = '#ffffff';
+    el.remove();
+    return events.length;
+  }, 0);
+
+  test("emit-programmatic fires input and change when the value is set from script", () => {
+    const el = createFixture({ 'emit-programmatic': true, value: '#000000' });
+    const events = record(el);
+    el.value = '#ffffff';
+    const result = events.map(({ type, detail }) => [type, detail.source, detail.previous, detail.value]);
+    el.remove();
+    return result;
+  }, [["input", "programmatic", "#000000", "#ffffff"], ["change", "programmatic", "#000000", "#ffffff"]]);
+
+  test("emit-programmatic reports the converted value", () => {
+    const el = createFixture({ 'emit-programmatic': true, colorspace: 'rgb', value: 'rgb(0, 0, 0)' });
+    const events = record(el, ['change']);
+    el.value = 'white';
+    const result = [events.length, events[0].detail.value];
+    el.remove();
+    return result;
+  }, [1, "rgb(255, 255, 255)"]);
+
+  test("colorspacechange reports the value in the old format as previous", () => {
+    const el = createFixture({ 'show-format': true, value: '#ff0000' });
+    const events = record(el, ['colorspacechange']);
+    const select = el.shadowRoot.querySelector('[part="format"]');
+    select.value = 'rgb';
+    select.dispatchEvent(new Event('change'));
+    const { value, previous, source } = events[0].detail;
+    el.remove();
+    return [value, previous, source];
+  }, ["rgb(255, 0, 0)", "#ff0000", "format"]);
+
+  test("pickColor rejects invalid colors", () => {
+    const el = createFixture();
+    try {
+      el.pickColor('nope');
+      return 'no error';
+    } catch (error) {
+      return error.name;
+    } finally {
+      el.remove();
+    }
+  }, "TypeError");
+});
+
 group("Defer Functionality", () => {
 
     test("When defer is TRUE, 'input' event is suppressed", async () => {
@@ -202,12 +528,1457 @@ group("Defer Functionality", () => {
     cleanup();
 });
 
+group("Rate Limiting", () => {
+  const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  function drag(el, colors) {
+    const input = el.shadowRoot.querySelector('[part="input"]');
+    for (const color of colors) {
+      input.value = color;
+      input.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+    }
+    return input;
+  }
+
+  function record(el) {
+    const events = [];
+    for (const type of ['input', 'change']) {
+      el.addEventListener(type, event => events.push([type, event.detail?.value ?? event.constructor.name]));
+    }
+    return events;
+  }
+
+  test("throttle fires right away, then once more with the latest value", async () => {
+    const el = createFixture({ throttle: '50', value: '#000000' });
+    const events = record(el);
+    drag(el, ['#110000', '#220000', '#330000']);
+    const first = events.length;
+    await sleep(100);
+    const result = [first, events];
+    el.remove();
+    return result;
+  }, [1, [["input", "#110000"], ["input", "#330000"]]]);
+
+  test("Inner input events don't reach the host", () => {
+    const el = createFixture({ throttle: '1000', value: '#000000' });
+    const events = record(el);
+    drag(el, ['#110000', '#220000', '#330000']);
+    el.shadowRoot.querySelector('[part="hue"]').dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+    const result = [...events];
+    el.remove();
+    return result;
+  }, [["input", "#110000"]]);
+
+  test("defer keeps drag steps inside the shadow root", () => {
+    const el = createFixture({ defer: true, value: '#000000' });
+    const events = record(el);
+    drag(el, ['#110000', '#220000']);
+    el.remove();
+    return events;
+  }, []);
+
+  test("throttle still updates the value on every step", () => {
+    const el = createFixture({ throttle: '1000', value: '#000000' });
+    drag(el, ['#110000', '#220000']);
+    const value = el.value;
+    el.remove();
+    return value;
+  }, "#220000");
+
+  test("debounce waits for a pause", async () => {
+    const el = createFixture({ debounce: '30', value: '#000000' });
+    const events = [];
+    el.addEventListener('input', event => events.push(event.detail));
+    drag(el, ['#110000', '#220000', '#330000']);
+    const before = events.length;
+    await sleep(80);
+    const result = [before, events.length, events[0].value, events[0].previous];
+    el.remove();
+    return result;
+  }, [0, 1, "#330000", "#000000"]);
+
+  test("animation-frame coalesces to one event per frame", async () => {
+    const el = createFixture({ 'animation-frame': true, value: '#000000' });
+    const events = record(el);
+    drag(el, ['#110000', '#220000', '#330000']);
+    const before = events.length;
+    await new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve)));
+    const result = [before, events];
+    el.remove();
+    return result;
+  }, [0, [["input", "#330000"]]]);
+
+  test("The final value is delivered before change", () => {
+    const el = createFixture({ throttle: '1000', value: '#000000' });
+    const events = record(el);
+    const input = drag(el, ['#110000', '#220000']);
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+    el.remove();
+    return events;
+  }, [["input", "#110000"], ["input", "#220000"], ["change", "#220000"]]);
+
+  test("Throttle property reflects to the attribute", () => {
+    const el = createFixture();
+    el.throttle = 33;
+    const result = [el.getAttribute('throttle'), el.throttle];
+    el.remove();
+    return result;
+  }, ["33", 33]);
+});
+
+group("Undo History", () => {
+  function commit(el, color) {
+    const input = el.shadowRoot.querySelector('[part="input"]');
+    input.value = color;
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  test("Nothing is recorded without the history attribute", () => {
+    const el = createFixture({ value: '#000000' });
+    commit(el, '#ff0000');
+    const result = [el.canUndo, el.undo(), el.value];
+    el.remove();
+    return result;
+  }, [false, false, "#ff0000"]);
+
+  test("undo() and redo() step through committed values", () => {
+    const el = createFixture({ history: '50', value: '#000000' });
+    commit(el, '#ff0000');
+    commit(el, '#00ff00');
+    const values = [];
+    el.undo();
+    values.push(el.value);
+    el.undo();
+    values.push(el.value, el.canUndo, el.canRedo);
+    el.redo();
+    values.push(el.value);
+    el.remove();
+    return values;
+  }, ["#ff0000", "#000000", false, true, "#ff0000"]);
+
+  test("Undoing to the current value still fires change", () => {
+    const el = createFixture({ history: '50', value: '#000000' });
+    commit(el, '#ff0000');
+    el.value = '#000000';
+    const sources = [];
+    el.addEventListener('change', event => sources.push(event.detail.source));
+    el.undo();
+    const result = [sources, el.value, el.canRedo];
+    el.remove();
+    return result;
+  }, [["history"], "#000000", true]);
+
+  test("A new change drops the redo branch", () => {
+    const el = createFixture({ history: '50', value: '#000000' });
+    commit(el, '#ff0000');
+    el.undo();
+    commit(el, '#0000ff');
+    const result = [el.canRedo, el.undo(), el.value];
+    el.remove();
+    return result;
+  }, [false, true, "#000000"]);
+
+  test("History keeps at most the given number of values", () => {
+    const el = createFixture({ history: '2', value: '#000000' });
+    commit(el, '#110000');
+    commit(el, '#220000');
+    commit(el, '#330000');
+    el.undo();
+    const result = [el.value, el.canUndo];
+    el.remove();
+    return result;
+  }, ["#220000", false]);
+
+  test("Undo goes through the value setter, so colorspace applies", () => {
+    const el = createFixture({ history: '50', value: '#000000' });
+    commit(el, '#ff0000');
+    el.colorspace = 'rgb';
+    el.undo();
+    const value = el.value;
+    el.remove();
+    return value;
+  }, "rgb(0, 0, 0)");
+
+  test("Undo fires input and change with source 'history'", () => {
+    const el = createFixture({ history: '50', value: '#000000' });
+    commit(el, '#ff0000');
+    const events = [];
+    for (const type of ['input', 'change']) {
+      el.addEventListener(type, event => events.push(`${type}:${event.detail.source}`));
+    }
+    el.undo();
+    el.remove();
+    return events;
+  }, ["input:history", "change:history"]);
+
+  test("historychange reports canUndo and canRedo", () => {
+    const el = createFixture({ history: '50', value: '#000000' });
+    const details = [];
+    el.addEventListener('historychange', event => details.push(event.detail));
+    commit(el, '#ff0000');
+    el.undo();
+    el.remove();
+    return details;
+  }, [{ canUndo: true, canRedo: false }, { canUndo: false, canRedo: true }]);
+
+  test("Ctrl+Z undoes and Shift+Ctrl+Z redoes", () => {
+    const el = createFixture({ history: '50', mode: 'inline', value: '#000000' });
+    commit(el, '#ff0000');
+    const area = el.shadowRoot.querySelector('[part="area"]');
+    const press = shiftKey => area.dispatchEvent(new KeyboardEvent('keydown', {
+      key: 'z', ctrlKey: true, shiftKey, bubbles: true, composed: true
+    }));
+    press(false);
+    const undone = el.value;
+    press(true);
+    const result = [undone, el.value];
+    el.remove();
+    return result;
+  }, ["#000000", "#ff0000"]);
+
+  test("Ctrl+Z in the text field is left to the browser", () => {
+    const el = createFixture({ history: '50', editable: true, value: '#000000' });
+    commit(el, '#ff0000');
+    el.shadowRoot.querySelector('[part~="text"]').dispatchEvent(new KeyboardEvent('keydown', {
+      key: 'z', ctrlKey: true, bubbles: true, composed: true
+    }));
+    const value = el.value;
+    el.remove();
+    return value;
+  }, "#ff0000");
+
+  test("clearHistory() empties the history", () => {
+    const el = createFixture({ history: '50', value: '#000000' });
+    commit(el, '#ff0000');
+    el.clearHistory();
+    const result = el.canUndo;
+    el.remove();
+    return result;
+  }, false);
+});
+
+group("Inline Picker", () => {
+  // Dispatches a pointer event on the area, with the area laid out as a 100px square.
+  function pointAt(el, type, x, y) {
+    const area = el.shadowRoot.querySelector('[part="area"]');
+    area.getBoundingClientRect = () => ({ left: 0, top: 0, width: 100, height: 100 });
+    area.dispatchEvent(new PointerEvent(type, { pointerId: 1, button: 0, clientX: x, clientY: y }));
+  }
+
+  test("Native input is shown by default", () => {
+    const el = createFixture();
+    const root = el.shadowRoot;
+    const result = [root.querySelector('[part="input"]').hidden, root.querySelector('[part="picker"]').hidden];
+    el.remove();
+    return result;
+  }, [false, true]);
+
+  test("mode=inline shows the picker instead of the native input", () => {
+    const el = createFixture({ mode: 'inline' });
+    const root = el.shadowRoot;
+    const result = [root.querySelector('[part="input"]').hidden, root.querySelector('[part="picker"]').hidden];
+    el.remove();
+    return result;
+  }, [true, false]);
+
+  test("Value moves the hue slider", () => {
+    const el = createFixture({ mode: 'inline', value: '#00ff00' });
+    const hue = el.shadowRoot.querySelector('[part="hue"]').value;
+    el.remove();
+    return hue;
+  }, "120");
+
+  test("Dragging the area emits input in the colorspace", () => {
+    const el = createFixture({ mode: 'inline', colorspace: 'hex', value: '#ff0000' });
+    let fired = false;
+    el.addEventListener('input', () => fired = true);
+    pointAt(el, 'pointerdown', 100, 50);
+    const result = [fired, el.value];
+    el.remove();
+    return result;
+  }, [true, "#800000"]);
+
+  test("Releasing the area emits change", () => {
+    const el = createFixture({ mode: 'inline', colorspace: 'hex', value: '#ff0000' });
+    let fired = false;
+    el.addEventListener('change', () => fired = true);
+    pointAt(el, 'pointerdown', 0, 0);
+    pointAt(el, 'pointerup', 0, 0);
+    const result = [fired, el.value];
+    el.remove();
+    return result;
+  }, [true, "#ffffff"]);
+
+  test("Defer waits for release", () => {
+    const el = createFixture({ mode: 'inline', defer: true, colorspace: 'hex', value: '#ff0000' });
+    pointAt(el, 'pointerdown', 0, 100);
+    const during = el.value;
+    pointAt(el, 'pointerup', 0, 100);
+    const result = [during, el.value];
+    el.remove();
+    return result;
+  }, ["#ff0000", "#000000"]);
+
+  test("Moving the hue slider changes the hue", () => {
+    const el = createFixture({ mode: 'inline', colorspace: 'hex', value: '#ff0000' });
+    const hue = el.shadowRoot.querySelector('[part="hue"]');
+    hue.value = '240';
+    hue.dispatchEvent(new Event('input', { bubbles: true }));
+    const value = el.value;
+    el.remove();
+    return value;
+  }, "#0000ff");
+
+  test("OKLCH colorspace uses a chroma/lightness area", () => {
+    const el = createFixture({ mode: 'inline', colorspace: 'oklch', value: 'oklch(0.5 0.1 30)' });
+    pointAt(el, 'pointerdown', 25, 30);
+    const value = el.value;
+    el.remove();
+    return value;
+  }, "oklch(0.7 0.1 30)");
+
+  test("Area keeps the alpha channel", () => {
+    const el = createFixture({ mode: 'inline', colorspace: 'rgb', value: 'rgb(255 0 0 / 0.5)' });
+    pointAt(el, 'pointerdown', 100, 0);
+    const value = el.value;
+    el.remove();
+    return value;
+  }, "rgb(255 0 0 / 0.5)");
+});
+
+group("Keyboard & Accessibility", () => {
+  function press(target, key, shiftKey = false) {
+    target.dispatchEvent(new KeyboardEvent('keydown', { key, shiftKey, bubbles: true, cancelable: true }));
+  }
+
+  test("Area is a focusable slider", () => {
+    const el = createFixture({ mode: 'inline' });
+    const area = el.shadowRoot.querySelector('[part="area"]');
+    const result = [area.getAttribute('role'), area.tabIndex];
+    el.remove();
+    return result;
+  }, ["slider", 0]);
+
+  test("Arrow keys nudge the area and emit change on release", () => {
+    const el = createFixture({ mode: 'inline', colorspace: 'hex', value: '#000000' });
+    const area = el.shadowRoot.querySelector('[part="area"]');
+    let fired = false;
+    el.addEventListener('change', () => fired = true);
+    press(area, 'ArrowUp');
+    const before = fired;
+    area.dispatchEvent(new KeyboardEvent('keyup', { key: 'ArrowUp' }));
+    const result = [before, fired, el.value];
+    el.remove();
+    return result;
+  }, [false, true, "#030303"]);
+
+  test("Holding an arrow key commits once", () => {
+    const el = createFixture({ mode: 'inline', colorspace: 'hex', history: '50', value: '#000000' });
+    const area = el.shadowRoot.querySelector('[part="area"]');
+    let changes = 0;
+    el.addEventListener('change', () => changes++);
+    for (let i = 0; i < 3; i++) press(area, 'ArrowUp');
+    area.dispatchEvent(new Event('blur'));
+    const committed = changes;
+    el.undo();
+    const result = [committed, el.value];
+    el.remove();
+    return result;
+  }, [1, "#000000"]);
+
+  test("Shift+arrow takes big steps", () => {
+    const el = createFixture({ mode: 'inline', colorspace: 'hex', value: '#000000' });
+    press(el.shadowRoot.querySelector('[part="area"]'), 'ArrowUp', true);
+    const value = el.value;
+    el.remove();
+    return value;
+  }, "#191919");
+
+  test("Home and End jump to the edges", () => {
+    const el = createFixture({ mode: 'inline', colorspace: 'hex', value: '#ff8080' });
+    const area = el.shadowRoot.querySelector('[part="area"]');
+    press(area, 'End');
+    const end = el.value;
+    press(area, 'Home');
+    const result = [end, el.value];
+    el.remove();
+    return result;
+  }, ["#ff0000", "#ffffff"]);
+
+  test("Shift+arrow on the hue slider steps 10 degrees", () => {
+    const el = createFixture({ mode: 'inline', colorspace: 'hsl', value: 'hsl(200 100% 50%)' });
+    press(el.shadowRoot.querySelector('[part="hue"]'), 'ArrowRight', true);
+    const value = el.value;
+    el.remove();
+    return value;
+  }, "hsl(210, 100%, 50%)");
+
+  test("Hue slider reads its value in degrees", () => {
+    const el = createFixture({ mode: 'inline', value: 'hsl(210 50% 50%)' });
+    const text = el.shadowRoot.querySelector('[part="hue"]').getAttribute('aria-valuetext');
+    el.remove();
+    return text;
+  }, "hue 210 degrees");
+
+  test("Area reads its value in the colorspace", () => {
+    const el = createFixture({ mode: 'inline', colorspace: 'oklch', value: 'oklch(0.7 0.1 30)' });
+    const text = el.shadowRoot.querySelector('[part="area"]').getAttribute('aria-valuetext');
+    el.remove();
+    return text;
+  }, "chroma 0.1, lightness 70%, oklch(0.7 0.1 30)");
+
+  test("Opacity slider reads a percentage", () => {
+    const el = createFixture({ alpha: true, value: '#ff000080' });
+    const text = el.shadowRoot.querySelector('[part="alpha"]').getAttribute('aria-valuetext');
+    el.remove();
+    return text;
+  }, "opacity 50%");
+
+  test("label is forwarded to the native input", () => {
+    const el = createFixture({ label: 'Brand color' });
+    const label = el.shadowRoot.querySelector('[part="input"]').getAttribute('aria-label');
+    el.remove();
+    return label;
+  }, "Brand color");
+
+  test("aria-label is forwarded to the inline picker", () => {
+    const el = createFixture({ mode: 'inline', 'aria-label': 'Accent' });
+    const label = el.shadowRoot.querySelector('[part="picker"]').getAttribute('aria-label');
+    el.remove();
+    return label;
+  }, "Accent");
+
+  test("Disabled area leaves the tab order", () => {
+    const el = createFixture({ mode: 'inline' });
+    el.formDisabledCallback(true);
+    const tabIndex = el.shadowRoot.querySelector('[part="area"]').tabIndex;
+    el.remove();
+    return tabIndex;
+  }, -1);
+});
+
+group("Text Field", () => {
+  function type(el, text) {
+    const field = el.shadowRoot.querySelector('[part~="text"]');
+    field.value = text;
+    field.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+    return field;
+  }
+
+  function pressEnter(field) {
+    field.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true, cancelable: true }));
+  }
+
+  test("Text field is hidden without the editable attribute", () => {
+    const el = createFixture();
+    const hidden = el.shadowRoot.querySelector('[part~="text"]').hidden;
+    el.remove();
+    return hidden;
+  }, true);
+
+  test("Text field shows the value", () => {
+    const el = createFixture({ editable: true, value: 'oklch(0.6 0.2 30)' });
+    const text = el.shadowRoot.querySelector('[part~="text"]').value;
+    el.remove();
+    return text;
+  }, "oklch(0.6 0.2 30)");
+
+  test("Text field follows value changes", () => {
+    const el = createFixture({ editable: true, value: '#ff0000' });
+    el.value = '#3a7bd5';
+    const text = el.shadowRoot.querySelector('[part~="text"]').value;
+    el.remove();
+    return text;
+  }, "#3a7bd5");
+
+  test("Typing does not change the value or leak input events", () => {
+    const el = createFixture({ editable: true, value: '#ff0000' });
+    let fired = false;
+    el.addEventListener('input', () => fired = true);
+    type(el, '#00ff00');
+    const result = [fired, el.value];
+    el.remove();
+    return result;
+  }, [false, "#ff0000"]);
+
+  test("Invalid text sets the invalid state and part", () => {
+    const el = createFixture({ editable: true, value: '#ff0000' });
+    const field = type(el, 'oklch(0.6 0.2');
+    const result = [el.matches(':state(invalid)'), field.getAttribute('part')];
+    el.remove();
+    return result;
+  }, [true, "text invalid"]);
+
+  test("Enter commits with a change event", () => {
+    const el = createFixture({ editable: true, value: '#ff0000' });
+    let fired = false;
+    el.addEventListener('change', () => fired = true);
+    pressEnter(type(el, 'oklch(0.6 0.2 30)'));
+    const result = [fired, el.value];
+    el.remove();
+    return result;
+  }, [true, "oklch(0.6 0.2 30)"]);
+
+  test("Invalid text is not committed", () => {
+    const el = createFixture({ editable: true, value: '#ff0000' });
+    pressEnter(type(el, 'not a color'));
+    const value = el.value;
+    el.remove();
+    return value;
+  }, "#ff0000");
+
+  test("Blur commits and reformats into the colorspace", () => {
+    const el = createFixture({ editable: true, colorspace: 'hex', value: '#ff0000' });
+    const field = type(el, 'rgb(58 123 213)');
+    field.dispatchEvent(new Event('blur'));
+    const result = [el.value, field.value];
+    el.remove();
+    return result;
+  }, ["#3a7bd5", "#3a7bd5"]);
+
+  test("Escape restores the current value", () => {
+    const el = createFixture({ editable: true, value: '#ff0000' });
+    const field = type(el, 'nope');
+    field.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+    const result = [field.value, field.getAttribute('part')];
+    el.remove();
+    return result;
+  }, ["#ff0000", "text"]);
+});
+
+group("Format Switcher", () => {
+  function pickFormat(el, format) {
+    const select = el.shadowRoot.querySelector('[part="format"]');
+    select.value = format;
+    select.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  test("Switcher is hidden without the show-format attribute", () => {
+    const el = createFixture();
+    const hidden = el.shadowRoot.querySelector('[part="format"]').hidden;
+    el.remove();
+    return hidden;
+  }, true);
+
+  test("Switcher offers every format by default", () => {
+    const el = createFixture({ 'show-format': true });
+    const count = el.shadowRoot.querySelectorAll('[part="format"] option').length;
+    el.remove();
+    return count;
+  }, 17);
+
+  test("formats limits the offered formats", () => {
+    const el = createFixture({ 'show-format': true, formats: 'hex rgb oklch bogus' });
+    const formats = [...el.shadowRoot.querySelectorAll('[part="format"] option')].map(option => option.value);
+    el.remove();
+    return formats;
+  }, ["hex", "rgb", "oklch"]);
+
+  test("Switcher shows the format of the value", () => {
+    const el = createFixture({ 'show-format': true, value: 'rgb(255, 0, 0)' });
+    const format = el.shadowRoot.querySelector('[part="format"]').value;
+    el.remove();
+    return format;
+  }, "rgb");
+
+  test("Picking a format sets colorspace and converts the value", () => {
+    const el = createFixture({ 'show-format': true, value: '#ff0000' });
+    pickFormat(el, 'rgb');
+    const result = [el.colorspace, el.value];
+    el.remove();
+    return result;
+  }, ["rgb", "rgb(255, 0, 0)"]);
+
+  test("Picking a format fires colorspacechange", () => {
+    const el = createFixture({ 'show-format': true, value: '#ff0000' });
+    let fired = false;
+    el.addEventListener('colorspacechange', () => fired = true);
+    pickFormat(el, 'oklch');
+    el.remove();
+    return fired;
+  }, true);
+
+  test("Setting colorspace updates the switcher", () => {
+    const el = createFixture({ 'show-format': true, value: '#ff0000' });
+    el.colorspace = 'hsl';
+    const format = el.shadowRoot.querySelector('[part="format"]').value;
+    el.remove();
+    return format;
+  }, "hsl");
+});
+
+group("Contrast", () => {
+  test("Relative luminance of white is 1", relativeLuminance('white'), 1);
+
+  test("Black on white is 21:1", contrastRatio('#000', '#fff'), 21);
+
+  test("Contrast ratio ignores order", contrastRatio('#777', '#fff') === contrastRatio('#fff', '#777'), true);
+
+  test("#777 on white just misses AA", Math.round(contrastRatio('#777', '#fff') * 100) / 100, 4.48);
+
+  test("APCA: black text on white", Math.round(apcaContrast('black', 'white') * 10) / 10, 106);
+
+  test("APCA: white text on black is negative", Math.round(apcaContrast('white', 'black') * 10) / 10, -107.9);
+
+  test("Shows the ratio and badge", () => {
+    const el = createFixture({ 'contrast-against': 'white', value: '#595959' });
+    const root = el.shadowRoot;
+    const result = [
+      root.querySelector('[part="contrast-ratio"]').textContent,
+      root.querySelector('[part~="contrast-badge"]').textContent
+    ];
+    el.remove();
+    return result;
+  }, ["7.00:1", "AAA"]);
+
+  test("Badge fails below AA", () => {
+    const el = createFixture({ 'contrast-against': 'white', value: '#999999' });
+    const badge = el.shadowRoot.querySelector('[part~="contrast-badge"]');
+    const result = [badge.textContent, badge.getAttribute('part')];
+    el.remove();
+    return result;
+  }, ["Fail", "contrast-badge fail"]);
+
+  test("Readout is hidden without contrast-against", () => {
+    const el = createFixture({ value: '#999999' });
+    const result = [el.contrast, el.shadowRoot.querySelector('[part~="contrast"]').hidden];
+    el.remove();
+    return result;
+  }, [null, true]);
+
+  test("min-contrast flags low contrast", () => {
+    const el = createFixture({ 'contrast-against': 'white', 'min-contrast': '4.5', value: '#999999' });
+    const low = el.matches(':state(low-contrast)');
+    el.value = '#333333';
+    const result = [low, el.matches(':state(low-contrast)')];
+    el.remove();
+    return result;
+  }, [true, false]);
+
+  test("snap-contrast moves picks to the threshold", () => {
+    const el = createFixture({
+      'contrast-against': 'white', 'min-contrast': '4.5', 'snap-contrast': true, colorspace: 'hex', value: '#000000'
+    });
+    const input = el.shadowRoot.querySelector('[part="input"]');
+    input.value = '#ff8080';
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+    const ratio = el.contrast;
+    el.remove();
+    return ratio >= 4.5 && ratio < 4.6;
+  }, true);
+
+  test("Picks that pass are not snapped", () => {
+    const el = createFixture({
+      'contrast-against': 'white', 'min-contrast': '4.5', 'snap-contrast': true, colorspace: 'hex', value: '#000000'
+    });
+    const input = el.shadowRoot.querySelector('[part="input"]');
+    input.value = '#800000';
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+    const value = el.value;
+    el.remove();
+    return value;
+  }, "#800000");
+});
+
+group("Color Difference & Names", () => {
+  const lab = coords => ({ space: 'lab', coords, alpha: 1 });
+
+  test("CIE76 is the distance in Lab", deltaE76(lab([50, 0, 0]), lab([53, 4, 0])), 5);
+
+  test("CIEDE2000 matches the reference data", () => {
+    return Math.round(deltaE2000(lab([50, 2.6772, -79.7751]), lab([50, 0, -82.7485])) * 10000) / 10000;
+  }, 2.0425);
+
+  test("CIEDE2000 of identical colors is 0", deltaE2000('rebeccapurple', '#663399'), 0);
+
+  test("deltaE OK from black to white is 1", Math.round(deltaEOK('black', 'white') * 1000) / 1000, 1);
+
+  test("Nearest CSS name", nearestName('#fe0101').name, "red");
+
+  test("Nearest entry in a custom palette", () => {
+    const nearest = nearestName('#123456', { palette: { brand: '#123457', alert: 'red' } });
+    return [nearest.name, nearest.distance < 1];
+  }, ["brand", true]);
+
+  test("Palette arrays name entries by their value", nearestName('#ff1111', { palette: ['#ff0000', 'blue'] }).name, "#ff0000");
+
+  test("colorspace=name falls back to hex without a tolerance", () => {
+    const el = createFixture({ colorspace: 'name', value: '#fe0101' });
+    const value = el.value;
+    el.remove();
+    return value;
+  }, "#fe0101");
+
+  test("name-tolerance emits the nearest name", () => {
+    const el = createFixture({ colorspace: 'name', 'name-tolerance': '2', value: '#fe0101' });
+    const value = el.value;
+    el.remove();
+    return value;
+  }, "red");
+
+  test("Colors beyond the tolerance stay hex", () => {
+    const el = createFixture({ colorspace: 'name', 'name-tolerance': '2', value: '#3a7bd5' });
+    const value = el.value;
+    el.remove();
+    return value;
+  }, "#3a7bd5");
+
+  test("Setting name-tolerance renames the current value", () => {
+    const el = createFixture({ colorspace: 'name', value: '#fe0101' });
+    el.nameTolerance = 2;
+    const value = el.value;
+    el.remove();
+    return value;
+  }, "red");
+});
+
+group("Color Mixing", () => {
+  test("Mixes halfway in sRGB", serialize(mix('red', 'blue', 0.5, { space: 'srgb' }), 'hex'), "#800080");
+
+  test("Mixes in oklab by default", mix('red', 'blue').space, "oklab");
+
+  test("Shorter hue goes the short way round", () => {
+    return serialize(mix('hsl(350 50% 50%)', 'hsl(30 50% 50%)', 0.5, { space: 'hsl' }), 'hsl');
+  }, "hsl(10, 50%, 50%)");
+
+  test("Longer hue goes the long way round", () => {
+    return serialize(mix('hsl(10 50% 50%)', 'hsl(60 50% 50%)', 0.5, { space: 'hsl', hueMethod: 'longer' }), 'hsl');
+  }, "hsl(215, 50%, 50%)");
+
+  test("Increasing and decreasing hue", () => {
+    const from = 'oklch(0.7 0.1 300)', to = 'oklch(0.7 0.1 60)';
+    const increasing = mix(from, to, 0.5, { space: 'oklch', hueMethod: 'increasing' }).coords[2];
+    const decreasing = mix(from, to, 0.5, { space: 'oklch', hueMethod: 'decreasing' }).coords[2];
+    return [Math.round(increasing), Math.round(decreasing)];
+  }, [0, 180]);
+
+  test("Alpha is premultiplied", () => {
+    return serialize(mix('rgb(100% 0% 0% / 0.5)', 'rgb(0% 0% 100% / 0.25)', 0.5, { space: 'srgb' }), 'srgb');
+  }, "color(srgb 0.66667 0 0.33333 / 0.375)");
+
+  test("A missing component takes the other color's value", () => {
+    return serialize(mix('oklch(0.5 none 100)', 'oklch(0.7 0.1 none)', 0.5, { space: 'oklch' }), 'oklch');
+  }, "oklch(0.6 0.1 100)");
+
+  test("Mixing with white keeps the other color's hue", () => {
+    return Math.round(mix('white', 'oklch(0.5 0.2 264)', 0.5, { space: 'oklch' }).coords[2]);
+  }, 264);
+
+  test("steps() includes both ends", () => {
+    return steps('red', 'blue', 3, { space: 'srgb' }).map(color => serialize(color, 'hex'));
+  }, ["#ff0000", "#800080", "#0000ff"]);
+
+  test("toHex accepts color-mix()", toHex('color-mix(in srgb, red, blue)'), "#800080");
+
+  test("color-mix() percentages are normalized", toHex('color-mix(in srgb, red 60%, blue 60%)'), "#800080");
+
+  test("color-mix() percentages under 100% lower alpha", toHex('color-mix(in srgb, red 20%, blue 20%)'), "#80008066");
+
+  test("Rejects a hue method in a rectangular space", () => {
+    try {
+      parseColor('color-mix(in srgb longer hue, red, blue)');
+      return 'parsed';
+    } catch (error) {
+      return error.position;
+    }
+  }, 18);
+
+  test("a-color accepts a color-mix() value", () => {
+    const el = createFixture({ value: 'color-mix(in srgb, red, blue)' });
+    const result = [el.value, el.shadowRoot.querySelector('[part="input"]').value];
+    el.remove();
+    return result;
+  }, ["color-mix(in srgb, red, blue)", "#800080"]);
+
+  test("Picks from a color-mix() value use its space", () => {
+    const el = createFixture({ value: 'color-mix(in oklch, red 40%, blue)' });
+    const input = el.shadowRoot.querySelector('[part="input"]');
+    input.value = '#ff0000';
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    const value = el.value;
+    el.remove();
+    return value.startsWith('oklch(');
+  }, true);
+});
+
+group("Palettes", () => {
+  function createPalette(attributes = {}) {
+    const palette = document.createElement('a-color-palette');
+    for (const [key, val] of Object.entries(attributes)) palette.setAttribute(key, val);
+    document.body.appendChild(palette);
+    return palette;
+  }
+
+  test("Tints get lighter", () => {
+    const lightness = tints('#3366cc', { steps: 3 }).map(color => color.coords[0]);
+    return lightness[0] < lightness[1] && lightness[1] < lightness[2] && lightness[2] < 1;
+  }, true);
+
+  test("Shades get darker", () => {
+    const lightness = shades('#3366cc', { steps: 3 }).map(color => color.coords[0]);
+    return lightness[0] > lightness[1] && lightness[1] > lightness[2] && lightness[2] > 0;
+  }, true);
+
+  test("Scale runs from dark to light around the base", scale('#3366cc', { steps: 2, format: 'hex' })[2], "#3366cc");
+
+  test("Ramps are returned in the requested format", tints('#3366cc', { steps: 3, format: 'hex' }), ["#648ddb", "#96b4e9", "#cad9f5"]);
+
+  test("Complementary rotates the OKLCH hue by 180", harmony('oklch(0.6 0.1 350)', 'complementary', { format: 'oklch' }), [
+    "oklch(0.6 0.1 350)", "oklch(0.6 0.1 170)"
+  ]);
+
+  test("Harmony schemes have the right size", () => {
+    return ['analogous', 'triadic', 'tetradic', 'split-complementary'].map(scheme => harmony('red', scheme).length);
+  }, [3, 3, 4, 3]);
+
+  test("Unknown schemes throw", () => {
+    try {
+      harmony('red', 'rainbow');
+      return 'no error';
+    } catch (error) {
+      return error.name;
+    }
+  }, "TypeError");
+
+  test("a-color-palette renders swatches in the picker's colorspace", () => {
+    const el = createFixture({ id: 'palette-picker', colorspace: 'hex', value: '#3366cc' });
+    const palette = createPalette({ for: 'palette-picker', scheme: 'triadic' });
+    const colors = palette.colors;
+    const count = palette.shadowRoot.querySelectorAll('[part~="swatch"]').length;
+    palette.remove();
+    el.remove();
+    return [count, colors[0]];
+  }, [3, "#3366cc"]);
+
+  test("a-color-palette follows the picker", async () => {
+    const el = createFixture({ id: 'follow-picker', value: '#3366cc' });
+    const palette = createPalette({ for: 'follow-picker', scheme: 'complementary' });
+    el.colorspace = 'oklch';
+    await new Promise(resolve => setTimeout(resolve));
+    const first = palette.colors[0];
+    palette.remove();
+    el.remove();
+    return first.startsWith('oklch(');
+  }, true);
+
+  test("Clicking a swatch writes it to the picker", () => {
+    const el = createFixture({ id: 'click-picker', colorspace: 'hex', value: '#3366cc' });
+    const palette = createPalette({ for: 'click-picker', scheme: 'tints', steps: '3' });
+    let fired = false;
+    el.addEventListener('change', () => fired = true);
+    palette.shadowRoot.querySelectorAll('[part~="swatch"]')[2].click();
+    const result = [fired, el.value];
+    palette.remove();
+    el.remove();
+    return result;
+  }, [true, "#cad9f5"]);
+
+  test("a-color-palette links a picker inserted after it", async () => {
+    const palette = createPalette({ for: 'late-picker', scheme: 'complementary' });
+    const before = palette.colors.length;
+    const el = createFixture({ id: 'late-picker', colorspace: 'hex', value: '#3366cc' });
+    await new Promise(resolve => setTimeout(resolve));
+    const colors = palette.colors;
+    palette.remove();
+    el.remove();
+    return [before, colors[0]];
+  }, [0, "#3366cc"]);
+
+  test("a-color-palette builds on the color a var() resolves to", () => {
+    document.documentElement.style.setProperty('--palette-brand', '#3366cc');
+    const el = createFixture({ id: 'var-picker', value: 'var(--palette-brand)' });
+    const palette = createPalette({ for: 'var-picker', scheme: 'complementary' });
+    const colors = palette.colors;
+    palette.remove();
+    el.remove();
+    document.documentElement.style.removeProperty('--palette-brand');
+    return [el.resolvedValue, colors.length, colors[0]];
+  }, ["#3366cc", 2, "#3366cc"]);
+
+  test("a-color-palette ignores a target that isn't an a-color", () => {
+    const target = document.createElement('div');
+    target.id = 'not-a-picker';
+    target.setAttribute('value', '#3366cc');
+    document.body.appendChild(target);
+    const palette = createPalette({ for: 'not-a-picker' });
+    const count = palette.colors.length;
+    palette.remove();
+    target.remove();
+    return count;
+  }, 0);
+});
+
+group("Swatches & Recent Colors", () => {
+  test("Swatches attribute renders chips, keeping functional colors together", () => {
+    const el = createFixture({ swatches: '#ff0000 rgb(0 128 0 / 0.5) rebeccapurple' });
+    const chips = [...el.shadowRoot.querySelectorAll('[part~="swatches"] [part~="swatch"]')];
+    const values = chips.map(chip => chip.dataset.value);
+    el.remove();
+    return values;
+  }, ["#ff0000", "rgb(0 128 0 / 0.5)", "rebeccapurple"]);
+
+  test("Invalid swatches are skipped", () => {
+    const el = document.createElement('a-color');
+    el.setAttribute('swatches', 'red nope blue');
+    const spy = spyOn(console, 'warn');
+    document.body.appendChild(el);
+    spy.restore();
+    const count = el.shadowRoot.querySelectorAll('[part~="swatch"]').length;
+    el.remove();
+    return count;
+  }, 2);
+
+  test("Swatches container is hidden without presets", () => {
+    const el = createFixture();
+    const hidden = el.shadowRoot.querySelector('[part="swatches"]').hidden;
+    el.remove();
+    return hidden;
+  }, true);
+
+  test("A child datalist adds labelled swatches", () => {
+    const el = document.createElement('a-color');
+    el.innerHTML = '<datalist><option value="#3366cc">Brand blue</option></datalist>';
+    document.body.appendChild(el);
+    const chip = el.shadowRoot.querySelector('[part~="swatch"]');
+    const result = [chip.dataset.value, chip.getAttribute('aria-label')];
+    el.remove();
+    return result;
+  }, ["#3366cc", "Brand blue"]);
+
+  test("Datalist changes are picked up", async () => {
+    const el = document.createElement('a-color');
+    el.innerHTML = '<datalist><option value="red"></option></datalist>';
+    document.body.appendChild(el);
+    const option = document.createElement('option');
+    option.value = 'blue';
+    el.querySelector('datalist').appendChild(option);
+    await new Promise(resolve => setTimeout(resolve));
+    const count = el.shadowRoot.querySelectorAll('[part~="swatch"]').length;
+    el.remove();
+    return count;
+  }, 2);
+
+  test("Clicking a chip converts it and fires input and change", () => {
+    const el = createFixture({ value: '#000000', swatches: 'rgb(255 0 0)' });
+    const events = [];
+    el.addEventListener('input', () => events.push('input'));
+    el.addEventListener('change', () => events.push('change'));
+    el.shadowRoot.querySelector('[part~="swatch"]').click();
+    const result = [el.value, events];
+    el.remove();
+    return result;
+  }, ["#ff0000", ["input", "change"]]);
+
+  test("Committed colors are remembered under the recent key", () => {
+    localStorage.removeItem('test-recent');
+    const el = createFixture({ value: '#000000', recent: 'test-recent', swatches: 'red blue' });
+    const chips = el.shadowRoot.querySelectorAll('[part="swatches"] [part~="swatch"]');
+    chips[0].click();
+    chips[1].click();
+    chips[0].click();
+    const result = [el.recentColors, el.shadowRoot.querySelectorAll('[part="recent"] [part~="swatch"]').length];
+    el.remove();
+    localStorage.removeItem('test-recent');
+    return result;
+  }, [["#ff0000", "#0000ff"], 2]);
+
+  test("Recent colors are capped at recent-limit", () => {
+    localStorage.removeItem('test-recent');
+    const el = createFixture({ value: '#000000', recent: 'test-recent', 'recent-limit': '2', swatches: 'red lime blue' });
+    for (const chip of el.shadowRoot.querySelectorAll('[part="swatches"] [part~="swatch"]')) chip.click();
+    const colors = el.recentColors;
+    el.remove();
+    localStorage.removeItem('test-recent');
+    return colors;
+  }, ["#0000ff", "#00ff00"]);
+
+  test("Recent colors are shared by pickers with the same key", () => {
+    localStorage.setItem('test-recent', JSON.stringify(['#123456']));
+    const el = createFixture({ recent: 'test-recent' });
+    const value = el.shadowRoot.querySelector('[part="recent"] [part~="swatch"]').dataset.value;
+    el.clearRecent();
+    const result = [value, el.recentColors.length, el.shadowRoot.querySelector('[part="recent"]').hidden];
+    el.remove();
+    return result;
+  }, ["#123456", 0, true]);
+
+  test("Swatches property reflects to the attribute", () => {
+    const el = createFixture();
+    el.swatches = ['red', 'blue'];
+    const attr = el.getAttribute('swatches');
+    el.remove();
+    return attr;
+  }, "red blue");
+});
+
+group("Eyedropper", () => {
+  function createSource(id) {
+    const canvas = document.createElement('canvas');
+    canvas.id = id;
+    canvas.width = 2;
+    canvas.height = 1;
+    canvas.style.width = '2px';
+    canvas.style.height = '1px';
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#ff0000';
+    context.fillRect(0, 0, 1, 1);
+    context.fillStyle = '#0000ff';
+    context.fillRect(1, 0, 1, 1);
+    document.body.appendChild(canvas);
+    return canvas;
+  }
+
+  // Replaces the EyeDropper API for a test; without `open`, removes it. Returns a restore function.
+  function mockEyeDropper(open) {
+    const original = window.EyeDropper;
+    if (open) window.EyeDropper = class { open = open; };
+    else delete window.EyeDropper;
+    return () => {
+      if (original) window.EyeDropper = original;
+      else delete window.EyeDropper;
+    };
+  }
+
+  test("Button is hidden without the EyeDropper API or a sample source", () => {
+    const restore = mockEyeDropper();
+    const el = createFixture({ eyedropper: true });
+    const hidden = el.shadowRoot.querySelector('[part="eyedropper"]').hidden;
+    el.remove();
+    restore();
+    return hidden;
+  }, true);
+
+  test("Button is shown with a sample source", () => {
+    const el = createFixture({ eyedropper: true, 'sample-source': '#nothing-yet' });
+    const hidden = el.shadowRoot.querySelector('[part="eyedropper"]').hidden;
+    el.remove();
+    return hidden;
+  }, false);
+
+  test("EyeDropper result is converted into the active colorspace", async () => {
+    const restore = mockEyeDropper(async () => ({ sRGBHex: '#ff0000' }));
+    const el = createFixture({ eyedropper: true, colorspace: 'rgb', value: 'rgb(0, 0, 0)' });
+    let fired = false;
+    el.addEventListener('change', () => fired = true);
+    const value = await el.pickFromScreen();
+    const result = [value, el.value, fired];
+    el.remove();
+    restore();
+    return result;
+  }, ["rgb(255, 0, 0)", "rgb(255, 0, 0)", true]);
+
+  test("Closing the EyeDropper keeps the value", async () => {
+    const restore = mockEyeDropper(async () => {
+      throw new DOMException('Canceled', 'AbortError');
+    });
+    const el = createFixture({ eyedropper: true, value: '#123456' });
+    const value = await el.pickFromScreen();
+    const result = [value, el.value];
+    el.remove();
+    restore();
+    return result;
+  }, [null, "#123456"]);
+
+  test("samplePixel reads the sample source", () => {
+    const source = createSource('sample-canvas');
+    const el = createFixture({ 'sample-source': '#sample-canvas', colorspace: 'hex', value: '#000000' });
+    const value = el.samplePixel(1, 0);
+    el.remove();
+    source.remove();
+    return value;
+  }, "#0000ff");
+
+  test("samplePixel reads a local image", async () => {
+    const canvas = createSource('image-canvas');
+    const image = document.createElement('img');
+    image.id = 'sample-image';
+    const loaded = new Promise(resolve => image.addEventListener('load', resolve, { once: true }));
+    image.src = canvas.toDataURL();
+    document.body.appendChild(image);
+    await loaded;
+    const el = createFixture({ 'sample-source': '#sample-image', value: '#000000' });
+    const value = el.samplePixel(0, 0);
+    el.remove();
+    image.remove();
+    canvas.remove();
+    return value;
+  }, "#ff0000");
+
+  test("Without the API, the next click on the source is sampled", async () => {
+    const restore = mockEyeDropper();
+    const source = createSource('click-canvas');
+    const el = createFixture({ eyedropper: true, 'sample-source': '#click-canvas', value: '#000000' });
+    const picked = el.pickFromScreen();
+    const sampling = el.matches(':state(sampling)');
+    const rect = source.getBoundingClientRect();
+    source.dispatchEvent(new MouseEvent('click', {
+      bubbles: true, cancelable: true, clientX: rect.left + 1.5, clientY: rect.top + 0.5
+    }));
+    const value = await picked;
+    const result = [sampling, value, el.matches(':state(sampling)')];
+    el.remove();
+    source.remove();
+    restore();
+    return result;
+  }, [true, "#0000ff", false]);
+
+  test("Escape cancels sampling", async () => {
+    const restore = mockEyeDropper();
+    const source = createSource('escape-canvas');
+    const el = createFixture({ eyedropper: true, 'sample-source': '#escape-canvas', value: '#000000' });
+    const picked = el.pickFromScreen();
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+    const result = [await picked, el.value];
+    el.remove();
+    source.remove();
+    restore();
+    return result;
+  }, [null, "#000000"]);
+});
+
+group("Image Palettes", () => {
+  function pixels(...colors) {
+    return new ImageData(new Uint8ClampedArray(colors.flat()), colors.length, 1);
+  }
+
+  function createImageCanvas(id) {
+    const canvas = document.createElement('canvas');
+    canvas.id = id;
+    canvas.width = 3;
+    canvas.height = 1;
+    const context = canvas.getContext('2d');
+    context.fillStyle = '#00ff00';
+    context.fillRect(0, 0, 2, 1);
+    context.fillStyle = '#ff00ff';
+    context.fillRect(2, 0, 1, 1);
+    document.body.appendChild(canvas);
+    return canvas;
+  }
+
+  test("Colors are ranked by population", async () => {
+    const image = pixels([0, 0, 255, 255], [255, 0, 0, 255], [255, 0, 0, 255], [255, 0, 0, 255]);
+    return extractPalette(image, { count: 2 });
+  }, ["#ff0000", "#0000ff"]);
+
+  test("Similar colors are clustered together", async () => {
+    const image = pixels([255, 0, 0, 255], [250, 0, 0, 255], [0, 0, 255, 255], [0, 0, 250, 255]);
+    return (await extractPalette(image, { count: 2 })).length;
+  }, 2);
+
+  test("Colors are serialized in the requested space", async () => {
+    const [color] = await extractPalette(pixels([255, 0, 0, 255]), { space: 'oklch' });
+    return color.startsWith('oklch(');
+  }, true);
+
+  test("Transparent pixels are ignored", async () => {
+    return extractPalette(pixels([255, 0, 0, 255], [0, 0, 255, 0], [0, 0, 255, 0]), { count: 2 });
+  }, ["#ff0000"]);
+
+  test("Fewer colors are returned when the image has fewer", async () => {
+    return (await extractPalette(pixels([255, 0, 0, 255], [0, 0, 255, 255]), { count: 5 })).length;
+  }, 2);
+
+  test("Reads a canvas", async () => {
+    const canvas = createImageCanvas('extract-canvas');
+    const colors = await extractPalette(canvas, { count: 2 });
+    canvas.remove();
+    return colors;
+  }, ["#00ff00", "#ff00ff"]);
+
+  test("Unsupported sources throw", async () => {
+    try {
+      await extractPalette('not an image');
+      return 'no error';
+    } catch (error) {
+      return error.name;
+    }
+  }, "TypeError");
+
+  test("from-image offers the image's colors as swatches", async () => {
+    const canvas = createImageCanvas('from-image-canvas');
+    const el = createFixture({ 'from-image': '#from-image-canvas' });
+    await new Promise(resolve => setTimeout(resolve));
+    const values = [...el.shadowRoot.querySelectorAll('[part~="swatch"]')].map(chip => chip.dataset.value);
+    el.remove();
+    canvas.remove();
+    return values;
+  }, ["#00ff00", "#ff00ff"]);
+});
+
+group("CSS Variables & System Colors", () => {
+  test("value resolves var() against the page's styles", () => {
+    document.documentElement.style.setProperty('--test-brand', '#ff0000');
+    const el = createFixture({ value: 'var(--test-brand)' });
+    const result = [el.value, el.shadowRoot.querySelector('[part="input"]').value, el.validity.valid];
+    el.remove();
+    document.documentElement.style.removeProperty('--test-brand');
+    return result;
+  }, ["var(--test-brand)", "#ff0000", true]);
+
+  test("var() falls back when the property is undefined", () => {
+    const el = createFixture({ value: 'var(--test-undefined, #00ff00)' });
+    const hex = el.shadowRoot.querySelector('[part="input"]').value;
+    el.remove();
+    return hex;
+  }, "#00ff00");
+
+  test("An undefined var() without a fallback is a bad input", () => {
+    const el = createFixture({ value: 'var(--test-undefined)' });
+    const badInput = el.validity.badInput;
+    el.remove();
+    return badInput;
+  }, true);
+
+  test("currentcolor resolves to the host's color", () => {
+    const el = createFixture({ value: 'currentcolor' });
+    el.style.color = '#0000ff';
+    el.value = 'CurrentColor';
+    const hex = el.shadowRoot.querySelector('[part="input"]').value;
+    el.remove();
+    return hex;
+  }, "#0000ff");
+
+  test("colorspace leaves a reference as written", () => {
+    document.documentElement.style.setProperty('--test-brand', '#ff0000');
+    const el = createFixture({ colorspace: 'oklch', value: 'var(--test-brand)' });
+    const value = el.value;
+    el.remove();
+    document.documentElement.style.removeProperty('--test-brand');
+    return value;
+  }, "var(--test-brand)");
+
+  test("watch-vars re-resolves when the theme changes", async () => {
+    const root = document.documentElement;
+    root.style.setProperty('--test-brand', '#ff0000');
+    const el = createFixture({ 'watch-vars': true, value: 'var(--test-brand)' });
+    root.style.setProperty('--test-brand', '#0000ff');
+    await new Promise(resolve => setTimeout(resolve));
+    const hex = el.shadowRoot.querySelector('[part="input"]').value;
+    el.remove();
+    root.style.removeProperty('--test-brand');
+    return hex;
+  }, "#0000ff");
+
+  test("bind-var writes picks to the custom property", () => {
+    const target = document.createElement('div');
+    target.id = 'bind-target';
+    document.body.append(target);
+    const el = createFixture({ 'bind-var': '--test-pick', 'bind-target': '#bind-target', value: '#000000' });
+    const input = el.shadowRoot.querySelector('[part="input"]');
+    input.value = '#ff0000';
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+    const value = target.style.getPropertyValue('--test-pick');
+    el.remove();
+    target.remove();
+    return value;
+  }, "#ff0000");
+});
+
+group("Bindings & Framework Adapters", () => {
+  const AColor = customElements.get('a-color');
+
+  test("addBinding() is told about attribute changes", () => {
+    const calls = [];
+    const remove = AColor.addBinding((element, attr, value) => calls.push(`${attr}=${value}`));
+    const el = createFixture({ value: '#000000' });
+    el.value = '#ff0000';
+    remove();
+    el.value = '#00ff00';
+    el.remove();
+    return calls;
+  }, ["value=#000000", "value=#ff0000"]);
+
+  test("An object binding gets update(element, attr, value)", () => {
+    let received = null;
+    const remove = AColor.addBinding({ update: (element, attr, value) => received = [element.localName, attr, value] });
+    const el = createFixture();
+    el.colorspace = 'oklch';
+    remove();
+    el.remove();
+    return received;
+  }, ["a-color", "colorspace", "oklch"]);
+
+  test("A failing binding doesn't stop the element", () => {
+    const remove = AColor.addBinding(() => { throw new Error('broken'); });
+    const el = createFixture({ value: '#000000' });
+    el.value = '#ff0000';
+    const value = el.value;
+    remove();
+    el.remove();
+    return value;
+  }, "#ff0000");
+
+  test("a-color:update carries the attribute and both values", () => {
+    const el = createFixture({ value: '#000000' });
+    let detail = null;
+    document.body.addEventListener('a-color:update', event => detail = event.detail, { once: true });
+    el.value = '#ff0000';
+    el.remove();
+    return detail;
+  }, { attribute: 'value', value: '#ff0000', oldValue: '#000000' });
+
+  test("AColorController writes picks to the host property", async () => {
+    const { AColorController } = await import('../src/adapters/lit.js');
+    const host = document.createElement('div');
+    host.addController = controller => host.controller = controller;
+    const controller = new AColorController(host, 'color');
+    host.attachShadow({ mode: 'open' }).innerHTML = '<a-color value="#000000"></a-color>';
+    document.body.append(host);
+    controller.hostConnected();
+    const input = host.shadowRoot.querySelector('a-color').shadowRoot.querySelector('[part="input"]');
+    input.value = '#ff0000';
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+    controller.hostDisconnected();
+    host.remove();
+    return [host.controller === controller, host.color];
+  }, [true, "#ff0000"]);
+});
+
+group("Design Tokens", () => {
+  const source = {
+    brand: {
+      $type: 'color',
+      primary: { $value: '#3366cc', $description: 'Buttons and links' },
+      accent: { $value: { colorSpace: 'oklch', components: [0.7, 0.15, 40], alpha: 1 } },
+      link: { $value: '{brand.primary}' }
+    },
+    spacing: { sm: { $type: 'dimension', $value: { value: 4, unit: 'px' } } }
+  };
+
+  test("Only color tokens are collected, with inherited $type", () => new TokenSet(source).paths,
+    ["brand.primary", "brand.accent", "brand.link"]);
+
+  test("get() follows aliases and reads color objects", () => {
+    const tokens = new TokenSet(JSON.stringify(source));
+    return [tokens.get('brand.link'), tokens.get('brand.accent'), tokens.get('spacing.sm')];
+  }, ["#3366cc", "oklch(0.7 0.15 40)", null]);
+
+  test("set() keeps color objects in their space and fires tokenchange", () => {
+    const tokens = new TokenSet(source);
+    let detail = null;
+    tokens.addEventListener('tokenchange', event => detail = event.detail);
+    tokens.set('brand.accent', '#ff0000');
+    const { colorSpace, hex } = tokens.toDTCG().brand.accent.$value;
+    return [colorSpace, hex, detail.path, JSON.stringify(detail.value) === JSON.stringify(tokens.toDTCG().brand.accent.$value)];
+  }, ["oklch", "#ff0000", "brand.accent", true]);
+
+  test("set() keeps each string token's notation and reports the stored value", () => {
+    const tokens = new TokenSet({
+      legacy: {
+        $type: 'color',
+        rgba: { $value: 'rgba(255, 0, 0, 1)' },
+        hsla: { $value: 'hsla(0, 100%, 50%, 0.5)' },
+        named: { $value: 'red' },
+        unnamed: { $value: 'red' },
+        hex8: { $value: '#ff000080' }
+      }
+    });
+    const stored = [];
+    tokens.addEventListener('tokenchange', event => stored.push(event.detail.value));
+    tokens.set('legacy.rgba', '#00ff00');
+    tokens.set('legacy.hsla', 'rgb(0 255 0 / 0.5)');
+    tokens.set('legacy.named', '#00ff00');
+    tokens.set('legacy.unnamed', '#123456');
+    tokens.set('legacy.hex8', 'rgb(0 0 255 / 0.5)');
+    const values = Object.values(tokens.toDTCG().legacy).map(token => token.$value).filter(Boolean);
+    return [values, stored];
+  }, [
+    ["rgb(0, 255, 0)", "hsl(120 100% 50% / 0.5)", "lime", "#123456", "#0000ff80"],
+    ["rgb(0, 255, 0)", "hsl(120 100% 50% / 0.5)", "lime", "#123456", "#0000ff80"]
+  ]);
+
+  test("connect() leaves pickers showing the same color in another notation", () => {
+    const tokens = new TokenSet({ c: { $type: 'color', blue: { $value: '#3366cc' }, red: { $value: 'red' } } });
+    const values = ['rgba(51, 102, 204, 1)', 'hsla(220, 60%, 50%, 1)', '#3366ccff'];
+    const pickers = values.map(value => createFixture({ token: 'c.blue', value }));
+    pickers.push(createFixture({ token: 'c.red', value: '#ff0000' }));
+    const disconnect = tokens.connect(document.body);
+    const result = pickers.map(picker => picker.value);
+    disconnect();
+    pickers.forEach(picker => picker.remove());
+    return result;
+  }, ['rgba(51, 102, 204, 1)', 'hsla(220, 60%, 50%, 1)', '#3366ccff', '#ff0000']);
+
+  test("set() rejects unknown tokens", () => {
+    try {
+      new TokenSet(source).set('spacing.sm', '#ff0000');
+      return 'no error';
+    } catch (error) {
+      return error.name;
+    }
+  }, "TypeError");
+
+  test("toCSS() writes custom properties and aliases as var()", () => new TokenSet(source).toCSS({ colorspace: 'hex', prefix: 'ds' }),
+    ":root {\n  --ds-brand-primary: #3366cc;\n  --ds-brand-accent: #eb7a52;\n  --ds-brand-link: var(--ds-brand-primary);\n}\n");
+
+  test("toTailwind() nests the resolved colors", () => new TokenSet(source).toTailwind({ colorspace: 'hex' }),
+    { brand: { primary: '#3366cc', accent: '#eb7a52', link: '#3366cc' } });
+
+  test("toDTCG() converts colors and keeps everything else", () => {
+    const tree = new TokenSet(source).toDTCG({ colorspace: 'rgb' });
+    return [tree.brand.primary, tree.brand.link.$value, tree.spacing.sm.$value.value];
+  }, [{ $value: 'rgb(51, 102, 204)', $description: 'Buttons and links' }, "{brand.primary}", 4]);
+
+  test("connect() binds pickers to tokens both ways", () => {
+    const tokens = new TokenSet(source);
+    const el = createFixture({ token: 'brand.primary' });
+    const disconnect = tokens.connect(document.body);
+    const initial = el.value;
+    const input = el.shadowRoot.querySelector('[part="input"]');
+    input.value = '#ff0000';
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+    const result = [initial, tokens.get('brand.primary'), tokens.get('brand.link')];
+    disconnect();
+    el.remove();
+    return result;
+  }, ["#3366cc", "#ff0000", "#ff0000"]);
+
+  test("A picker keeps its own format when its token is a color object", () => {
+    const tokens = new TokenSet(source);
+    const el = createFixture({ token: 'brand.accent', value: '#000000' });
+    const disconnect = tokens.connect(document.body);
+    const initial = el.value;
+    el.pickColor('#00ff00');
+    const result = [initial, el.value, tokens.toDTCG().brand.accent.$value.colorSpace];
+    disconnect();
+    el.remove();
+    return result;
+  }, ["#eb7a52", "#00ff00", "oklch"]);
+
+  test("A string token keeps its notation when picked in another space", () => {
+    const tokens = new TokenSet(source);
+    const el = createFixture({ token: 'brand.primary', colorspace: 'oklch' });
+    const disconnect = tokens.connect(document.body);
+    el.pickColor('#ff0000');
+    const result = tokens.toDTCG().brand.primary.$value;
+    disconnect();
+    el.remove();
+    return result;
+  }, "#ff0000");
+
+  test("Pickers on an alias follow in their own format", () => {
+    const tokens = new TokenSet(source);
+    const primary = createFixture({ token: 'brand.primary' });
+    const link = createFixture({ token: 'brand.link', colorspace: 'rgb' });
+    const disconnect = tokens.connect(document.body);
+    primary.pickColor('#ff0000');
+    const result = [primary.value, link.value];
+    disconnect();
+    primary.remove();
+    link.remove();
+    return result;
+  }, ["#ff0000", "rgb(255, 0, 0)"]);
+});
+
 group("Matrix: Color Formats", () => {
     // Use genCombos to verify the component handles setting multiple formats
     // without crashing, even if we don't strictly validate the math here.
 
     const formats = {
-        cs: ['hex', 'rgb', 'hsl', 'hwb', 'lch', 'oklch', 'name']
+        cs: [
+          'hex', 'rgb', 'hsl', 'hwb', 'lab', 'lch', 'oklab', 'oklch', 'name',
+          'srgb', 'srgb-linear', 'display-p3', 'a98-rgb', 'prophoto-rgb', 'rec2020', 'xyz-d50', 'xyz-d65'
+        ]
     };
 
     for (const combo of genCombos(formats)) {
@@ -240,4 +2011,156 @@ group("Error Handling", () => {
   cleanup();
 });
 
+group("Alpha Channel", () => {
+  test("Opacity slider is hidden without the alpha attribute", () => {
+    const el = createFixture();
+    const hidden = el.shadowRoot.querySelector('[part="alpha"]').hidden;
+    el.remove();
+    return hidden;
+  }, true);
+
+  test("Opacity slider is shown with the alpha attribute", () => {
+    const el = createFixture({ alpha: true });
+    const hidden = el.shadowRoot.querySelector('[part="alpha"]').hidden;
+    el.remove();
+    return hidden;
+  }, false);
+
+  test("Translucent value sets the opacity slider", () => {
+    const el = createFixture({ alpha: true, value: 'rgb(255 0 0 / 0.5)' });
+    const opacity = Number(el.shadowRoot.querySelector('[part="alpha"]').value);
+    el.remove();
+    return Math.round(opacity * 100) / 100;
+  }, 0.5);
+
+  test("Picking a color keeps the opacity", () => {
+    const el = createFixture({ colorspace: 'rgb', value: 'rgb(255 0 0 / 0.5)' });
+    const input = el.shadowRoot.querySelector('[part="input"]');
+    input.value = '#0000ff';
+    input.dispatchEvent(new Event('input', { bubbles: true }));
+    const value = el.value;
+    el.remove();
+    return value;
+  }, "rgb(0 0 255 / 0.5)");
+
+  test("Moving the opacity slider updates the value", () => {
+    const el = createFixture({ alpha: true, colorspace: 'hex', value: '#ff0000' });
+    const slider = el.shadowRoot.querySelector('[part="alpha"]');
+    slider.value = '0.5';
+    slider.dispatchEvent(new Event('input', { bubbles: true }));
+    const value = el.value;
+    el.remove();
+    return value;
+  }, "#ff000080");
+
+  test("Converts 8-digit hex to oklch with alpha", () => {
+    const el = createFixture({ colorspace: 'oklch', value: '#ff000080' });
+    const value = el.value;
+    el.remove();
+    return value.endsWith('/ 0.502)');
+  }, true);
+});
+
+group("Form Participation", () => {
+  test("Submits value under its name", () => {
+    const form = document.createElement('form');
+    const el = document.createElement('a-color');
+    el.setAttribute('name', 'accent');
+    el.setAttribute('value', '#336699');
+    form.append(el);
+    document.body.append(form);
+    const submitted = new FormData(form).get('accent');
+    form.remove();
+    return submitted;
+  }, "#336699");
+
+  test("Required element without a value is invalid", () => {
+    const el = createFixture({ required: true });
+    const valid = el.checkValidity();
+    el.remove();
+    return valid;
+  }, false);
+
+  test("Required element with a value is valid", () => {
+    const el = createFixture({ required: true, value: 'red' });
+    const valid = el.checkValidity();
+    el.remove();
+    return valid;
+  }, true);
+
+  test("Invalid color reports a validation message instead of warning", () => {
+    const el = createFixture({ value: '#ffffff' });
+    const spy = spyOn(console, 'warn');
+    el.value = 'not-a-color';
+    spy.restore();
+    const message = el.validationMessage;
+    el.remove();
+    return [message.length > 0, spy.callCount];
+  }, [true, 0]);
+
+  test("Validation messages point at the visible control", () => {
+    const el = createFixture({ required: true });
+    const spy = spyOn(ElementInternals.prototype, 'setValidity');
+    el.mode = 'inline';
+    el.editable = true;
+    spy.restore();
+    el.remove();
+    return spy.calls.map(([, , anchor]) => anchor?.getAttribute('part'));
+  }, ["area", "text"]);
+
+  test("Form reset restores the initial value", () => {
+    const el = createFixture({ value: 'red' });
+    el.value = 'blue';
+    el.formResetCallback();
+    const value = el.value;
+    el.remove();
+    return value;
+  }, "red");
+
+  test("Form reset clears a picker that started without a value", () => {
+    const el = createFixture();
+    el.pickColor('#ff0000');
+    el.pickColor('#00ff00');
+    el.formResetCallback();
+    const result = el.hasAttribute('value');
+    el.remove();
+    return result;
+  }, false);
+
+  test("State restore applies the saved value", () => {
+    const el = createFixture();
+    el.formStateRestoreCallback('#00ff00', 'restore');
+    const value = el.value;
+    el.remove();
+    return value;
+  }, "#00ff00");
+
+  test("Autofill fires change, a restored page doesn't", () => {
+    const el = createFixture({ value: '#000000' });
+    const sources = [];
+    el.addEventListener('change', event => sources.push(event.detail.source));
+    el.formStateRestoreCallback('#00ff00', 'restore');
+    el.formStateRestoreCallback('#0000ff', 'autocomplete');
+    const result = [sources, el.value];
+    el.remove();
+    return result;
+  }, [["programmatic"], "#0000ff"]);
+
+  test("Disabling the element disables the internal input", () => {
+    const el = createFixture();
+    el.formDisabledCallback(true);
+    const disabled = el.shadowRoot.querySelector('input').disabled;
+    el.remove();
+    return disabled;
+  }, true);
+
+  test("Setting name property reflects to attribute", () => {
+    const el = createFixture();
+    el.name = 'accent';
+    const name = el.getAttribute('name');
+    el.remove();
+    return name;
+  }, "accent");
+});
+
 runner.run();
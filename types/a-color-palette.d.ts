@@ -0,0 +1,71 @@
+/**
+ * Renders swatches generated from the value of a linked `<a-color>`.
+ * Clicking a swatch writes its color back to the picker.
+ *
+ * Features:
+ * - Tint/shade ramps in OKLCH lightness ('scale', 'tints', 'shades').
+ * - Harmony schemes ('complementary', 'analogous', 'triadic', 'tetradic', 'split-complementary').
+ * - Swatches are written in the picker's active colorspace.
+ *
+ * @tagname a-color-palette
+ * @extends HTMLElement
+ */
+export class AColorPalette extends HTMLElement {
+    /**
+     * Attributes to observe for the lifecycle callback.
+     * @readonly
+     * @type {string[]}
+     */
+    static readonly observedAttributes: string[];
+    /**
+     * The HTML template for the shadow DOM. Null outside a browser.
+     * @type {HTMLTemplateElement|null}
+     */
+    static template: HTMLTemplateElement | null;
+    /**
+     * Called when one of the observed attributes changes.
+     *
+     * @param {string} attr - The name of the attribute that changed.
+     * @param {string|null} oldval - The previous value of the attribute.
+     * @param {string|null} newval - The new value of the attribute.
+     */
+    attributeChangedCallback(attr: string, oldval: string | null, newval: string | null): void;
+    /**
+     * Called when the element is inserted into the DOM.
+     * Links the picker named by 'for' and renders the swatches.
+     */
+    connectedCallback(): void;
+    /**
+     * Called when the element is removed from the DOM.
+     * Stops watching the picker and removes event listeners.
+     */
+    disconnectedCallback(): void;
+    /**
+     * The colors currently shown, in the picker's active colorspace.
+     * @type {string[]}
+     */
+    get colors(): string[];
+    set htmlFor(value: string);
+    /**
+     * Gets or sets the id of the linked `<a-color>`.
+     * Reflects to the 'for' attribute.
+     * @type {string}
+     */
+    get htmlFor(): string;
+    set scheme(value: string);
+    /**
+     * Gets or sets the palette to generate: 'scale' (default), 'tints', 'shades', or a harmony
+     * scheme ('complementary', 'analogous', 'triadic', 'tetradic', 'split-complementary').
+     * Reflects to the 'scheme' attribute.
+     * @type {string}
+     */
+    get scheme(): string;
+    set steps(value: number);
+    /**
+     * Gets or sets how many tints and shades the ramps have.
+     * Reflects to the 'steps' attribute.
+     * @type {number}
+     */
+    get steps(): number;
+    #private;
+}
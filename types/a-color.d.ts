@@ -0,0 +1,513 @@
+/**
+ * The `detail` of the element's input, change and colorspacechange events.
+ *
+ * @typedef {Object} ColorEventDetail
+ * @property {string|null} value - The value, in the active format.
+ * @property {string|null} hex - The value as hex (8 digits when translucent).
+ * @property {string|null} previous - For input, the value before this step; otherwise the value
+ *   at the last change (or the last value set from script).
+ * @property {'drag'|'keyboard'|'typed'|'swatch'|'eyedropper'|'format'|'history'|'programmatic'} source - What changed the value.
+ * @property {number|null} alpha - The opacity, 0-1.
+ * @property {Object<string, number[]>|null} coords - The color's coordinates in each of `SPACES`.
+ */
+/**
+ * A form-associated color picker. By default it opens the native `<input type="color">`;
+ * with `mode="inline"` it shows its own area and hue slider instead.
+ *
+ * Features:
+ * - Supports multiple color formats (hex, rgb, hsl, lab, oklch, color(display-p3 ...), etc.).
+ * - Automatically detects input format to maintain consistency.
+ * - CSS Color 4 gamut mapping for out-of-gamut colors ('gamut-mapping' attribute).
+ * - Preserves the alpha channel, with an optional opacity slider ('alpha' attribute).
+ * - 'defer' attribute to suppress high-frequency input events during dragging, or 'throttle',
+ *   'debounce' and 'animation-frame' to rate-limit them.
+ * - Events carry the value, hex, previous value, source and coordinates in every space as `detail`.
+ * - Optional built-in picker with a 2D area and hue slider ('mode="inline"').
+ * - Optional text field for typing or pasting any CSS color ('editable' attribute).
+ * - Names the nearest CSS named color within a tolerance ('name-tolerance' attribute).
+ * - Live WCAG contrast against another color, with an optional minimum ('contrast-against', 'min-contrast').
+ * - Optional format switcher that sets 'colorspace' ('show-format' and 'formats' attributes).
+ * - Preset swatches ('swatches' attribute or a child `<datalist>`) and remembered recent colors ('recent').
+ * - Optional eyedropper button, falling back to sampling a page canvas or image ('eyedropper', 'sample-source').
+ * - Suggests the dominant colors of a page image as swatches ('from-image').
+ * - Accepts `var()`, `currentcolor` and system colors, optionally re-resolved on theme changes
+ *   ('watch-vars'), and writes picks to a custom property ('bind-var', 'bind-target').
+ * - Keyboard operable controls with ARIA slider semantics; 'label' / 'aria-label' are forwarded.
+ * - Optional undo/redo history of committed values, with Ctrl/Cmd+Z ('history' attribute).
+ * - Form participation (name, required, disabled, reset and state restore).
+ * - Pluggable bindings for state libraries (`AColor.addBinding()` or the 'a-color:update' event),
+ *   with `window.abind` supported out of the box.
+ *
+ * @tagname a-color
+ * @extends HTMLElement
+ * @fires input - Fired when the color is changed (unless deferred). A CustomEvent; see `ColorEventDetail`.
+ * @fires change - Fired when the user commits a color selection. A CustomEvent; see `ColorEventDetail`.
+ * @fires colorspacechange - Fired when the user picks another format with the format switcher.
+ * @fires historychange - Fired when the undo history changes. `detail` has `canUndo` and `canRedo`.
+ * @fires a-color:update - Fired whenever an observed attribute changes. `detail` has `attribute`, `value`
+ *   and `oldValue`.
+ */
+export class AColor extends HTMLElement {
+    /**
+     * Callbacks told about every attribute change of every instance (see `addBinding`).
+     * a-bind registers itself as `window.abind`, so it is always included.
+     * @private
+     * @type {Set<Function|{update: Function}>}
+     */
+    private static "__#private@#bindings";
+    /**
+     * Allows the element to participate in forms.
+     * @readonly
+     * @type {boolean}
+     */
+    static readonly formAssociated: boolean;
+    /**
+     * Attributes to observe for the lifecycle callback.
+     * @readonly
+     * @type {string[]}
+     */
+    static readonly observedAttributes: string[];
+    /**
+     * The HTML template for the shadow DOM. Null outside a browser.
+     * @type {HTMLTemplateElement|null}
+     */
+    static template: HTMLTemplateElement | null;
+    /**
+     * Subscribes a state library to every `<a-color>`. The binding is called after each change of an
+     * observed attribute (including 'value' on every pick) with the element, the attribute name and
+     * the new value (null when removed).
+     *
+     * @param {Function|{update: Function}} binding - A function `(element, attr, value)`,
+     *   or an object with an `update` method of that shape (such as a-bind's `window.abind`).
+     * @returns {Function} Removes the binding again.
+     */
+    static addBinding(binding: Function | {
+        update: Function;
+    }): Function;
+    /**
+     * Called when one of the observed attributes changes.
+     * Handles synchronization between attributes, properties, and the internal input.
+     *
+     * @param {string} attr - The name of the attribute that changed.
+     * @param {string|null} oldval - The previous value of the attribute.
+     * @param {string|null} newval - The new value of the attribute.
+     */
+    attributeChangedCallback(attr: string, oldval: string | null, newval: string | null): void;
+    /**
+     * Called when the element is inserted into the DOM.
+     * Sets up the Shadow DOM and attaches event listeners.
+     */
+    connectedCallback(): void;
+    /**
+     * Called when the element is removed from the DOM.
+     * Cleans up event listeners via the AbortController.
+     */
+    disconnectedCallback(): void;
+    /**
+     * Called when the disabled state of the element changes, either through its own
+     * `disabled` attribute or through an ancestor `<fieldset>`.
+     *
+     * @param {boolean} disabled - Whether the element is now disabled.
+     */
+    formDisabledCallback(disabled: boolean): void;
+    /**
+     * Called when the owning form is reset. Restores the initial value.
+     */
+    formResetCallback(): void;
+    set value(value: string);
+    /**
+     * Gets or sets the current color value.
+     * Reflects to the 'value' attribute.
+     * @type {string}
+     */
+    get value(): string;
+    /**
+     * Called when the browser restores the element's state (history navigation or autofill).
+     * A restored page gets its value back quietly; an autofilled value is the user's choice,
+     * so it fires input and change like a pick.
+     *
+     * @param {string|null} state - The state previously passed to `setFormValue`.
+     * @param {string} mode - Either 'restore' or 'autocomplete'.
+     */
+    formStateRestoreCallback(state: string | null, mode: string): void;
+    /**
+     * Checks whether the element satisfies its constraints.
+     * Fires an 'invalid' event on the element if it does not.
+     *
+     * @returns {boolean} True if the element is valid.
+     */
+    checkValidity(): boolean;
+    /**
+     * Empties the undo history.
+     */
+    clearHistory(): void;
+    /**
+     * Forgets the recent colors kept under the 'recent' key.
+     */
+    clearRecent(): void;
+    /**
+     * Applies a color as if the user had picked it: converts it into the active colorspace,
+     * then fires input (unless deferred) and change events. Nothing fires if the value doesn't change.
+     *
+     * @param {string} value - Any CSS color.
+     * @param {string} [source='programmatic'] - The events' `detail.source`.
+     * @returns {string|undefined} The new value.
+     * @throws {TypeError} If the value is not a color.
+     */
+    pickColor(value: string, source?: string): string | undefined;
+    /**
+     * Lets the user pick a color from the screen, as the eyedropper button does.
+     * Uses the EyeDropper API where available. Otherwise the next click on the
+     * 'sample-source' element is sampled; Escape cancels.
+     * The picked color is converted into the active colorspace and a change event is fired.
+     *
+     * @returns {Promise<string|null>} The new value, or null if nothing was picked.
+     */
+    pickFromScreen(): Promise<string | null>;
+    /**
+     * Steps forward to the value that was last undone.
+     * The value goes through the `value` setter, so `colorspace` still applies,
+     * and input and change events fire with `detail.source` 'history'.
+     *
+     * @returns {boolean} True if there was something to redo.
+     */
+    redo(): boolean;
+    /**
+     * Checks whether the element satisfies its constraints and reports the problem to the user.
+     *
+     * @returns {boolean} True if the element is valid.
+     */
+    reportValidity(): boolean;
+    /**
+     * Picks the color of a pixel of the 'sample-source' `<canvas>` or `<img>`,
+     * converts it into the active colorspace and fires a change event.
+     * Coordinates are in the source's own pixels, not CSS pixels.
+     *
+     * @param {number} x - The column.
+     * @param {number} y - The row.
+     * @returns {string|null} The new value, or null if the source can't be read.
+     */
+    samplePixel(x: number, y: number): string | null;
+    /**
+     * Steps back to the previous committed value.
+     * The value goes through the `value` setter, so `colorspace` still applies,
+     * and input and change events fire with `detail.source` 'history'.
+     *
+     * @returns {boolean} True if there was something to undo.
+     */
+    undo(): boolean;
+    set colorspace(value: string);
+    /**
+     * Gets or sets the specific output color space (e.g., 'rgb', 'hsl').
+     * If not set, the component attempts to preserve the format of the input value.
+     * @type {string}
+     */
+    get colorspace(): string;
+    set alpha(value: boolean);
+    /**
+     * Gets or sets whether the opacity slider is shown.
+     * The alpha channel of the value is preserved either way.
+     * @type {boolean}
+     */
+    get alpha(): boolean;
+    /**
+     * The format values are written in: 'colorspace' if set, otherwise the format of the value.
+     * @type {string}
+     */
+    get activeColorspace(): string;
+    set disabled(value: boolean);
+    /**
+     * Gets or sets whether the element is disabled.
+     * Reflects to the 'disabled' attribute.
+     * @type {boolean}
+     */
+    get disabled(): boolean;
+    /**
+     * The form the element is associated with, if any.
+     * Set the 'form' attribute to associate the element with a form by id.
+     * @type {HTMLFormElement|null}
+     */
+    get form(): HTMLFormElement | null;
+    set name(value: string);
+    /**
+     * Gets or sets the name used when submitting the element's form.
+     * Reflects to the 'name' attribute.
+     * @type {string}
+     */
+    get name(): string;
+    set required(value: boolean);
+    /**
+     * Gets or sets whether a color is required for the form to be valid.
+     * Reflects to the 'required' attribute.
+     * @type {boolean}
+     */
+    get required(): boolean;
+    /**
+     * The validity state of the element.
+     * @type {ValidityState}
+     */
+    get validity(): ValidityState;
+    /**
+     * The message describing why the element is invalid, or an empty string.
+     * @type {string}
+     */
+    get validationMessage(): string;
+    /**
+     * Whether the element is a candidate for constraint validation.
+     * @type {boolean}
+     */
+    get willValidate(): boolean;
+    set editable(value: boolean);
+    /**
+     * Gets or sets whether the text field is shown.
+     * Reflects to the 'editable' attribute.
+     * @type {boolean}
+     */
+    get editable(): boolean;
+    set emitProgrammatic(value: boolean);
+    /**
+     * Gets or sets whether setting the value from script fires input and change events
+     * (with `detail.source` 'programmatic').
+     * Reflects to the 'emit-programmatic' attribute.
+     * @type {boolean}
+     */
+    get emitProgrammatic(): boolean;
+    set eyedropper(value: boolean);
+    /**
+     * Gets or sets whether the eyedropper button is shown.
+     * The button stays hidden without the EyeDropper API or a 'sample-source'.
+     * Reflects to the 'eyedropper' attribute.
+     * @type {boolean}
+     */
+    get eyedropper(): boolean;
+    set formats(value: string[]);
+    /**
+     * Gets or sets the formats offered by the format switcher.
+     * Reflects to the 'formats' attribute as a space-separated list; unknown formats are ignored.
+     * @type {string[]}
+     */
+    get formats(): string[];
+    set fromImage(value: string);
+    /**
+     * Gets or sets the selector of the `<img>` or `<canvas>` whose dominant colors are offered as swatches.
+     * Reflects to the 'from-image' attribute.
+     * @type {string}
+     */
+    get fromImage(): string;
+    set gamutMapping(value: "clip" | "css4");
+    /**
+     * Gets or sets how colors outside sRGB are mapped into gamut: 'clip' (default) or 'css4'.
+     * Applies to sRGB-only formats (hex, name, rgb, hsl, hwb) and the native input.
+     * Reflects to the 'gamut-mapping' attribute.
+     * @type {'clip'|'css4'}
+     */
+    get gamutMapping(): "clip" | "css4";
+    set history(value: number);
+    /**
+     * Gets or sets how many committed values the undo history keeps. 0 (default) keeps none.
+     * Reflects to the 'history' attribute.
+     * @type {number}
+     */
+    get history(): number;
+    /**
+     * Whether `undo()` has a value to go back to.
+     * @type {boolean}
+     */
+    get canUndo(): boolean;
+    /**
+     * Whether `redo()` has a value to go forward to.
+     * @type {boolean}
+     */
+    get canRedo(): boolean;
+    set label(value: string);
+    /**
+     * Gets or sets the accessible name of the inner controls.
+     * Reflects to the 'label' attribute. Falls back to 'aria-label'.
+     * @type {string}
+     */
+    get label(): string;
+    set mode(value: "native" | "inline");
+    /**
+     * Gets or sets which picker is shown: 'native' (default) or 'inline'.
+     * Reflects to the 'mode' attribute.
+     * @type {'native'|'inline'}
+     */
+    get mode(): "native" | "inline";
+    /**
+     * Whether the current color lies outside the sRGB and Display P3 gamuts.
+     * @type {{srgb: boolean, p3: boolean}}
+     */
+    get outOfGamut(): {
+        srgb: boolean;
+        p3: boolean;
+    };
+    set nameTolerance(value: number);
+    /**
+     * Gets or sets how far (CIEDE2000) a color may be from a named color and still
+     * be written as that name when colorspace is 'name'. 0 only names exact matches.
+     * Reflects to the 'name-tolerance' attribute.
+     * @type {number}
+     */
+    get nameTolerance(): number;
+    set showFormat(value: boolean);
+    /**
+     * Gets or sets whether the format switcher is shown.
+     * Reflects to the 'show-format' attribute.
+     * @type {boolean}
+     */
+    get showFormat(): boolean;
+    /**
+     * The current color as a plain CSS color. Same as `value`, except that a `var()`,
+     * `currentcolor` or system color is replaced by the color it resolves to.
+     * Null if there is no color.
+     * @type {string|null}
+     */
+    get resolvedValue(): string | null;
+    set contrastAgainst(value: string);
+    /**
+     * Gets or sets the color contrast is measured against. Any CSS color.
+     * Reflects to the 'contrast-against' attribute.
+     * @type {string}
+     */
+    get contrastAgainst(): string;
+    /**
+     * The WCAG contrast ratio between the value and 'contrast-against',
+     * or null if either is missing.
+     * @type {number|null}
+     */
+    get contrast(): number | null;
+    set minContrast(value: number | null);
+    /**
+     * Gets or sets the lowest acceptable contrast ratio (e.g. 4.5), or null for none.
+     * Reflects to the 'min-contrast' attribute.
+     * @type {number|null}
+     */
+    get minContrast(): number | null;
+    set snapContrast(value: boolean);
+    /**
+     * Gets or sets whether picks below 'min-contrast' snap to the nearest lightness that passes.
+     * Reflects to the 'snap-contrast' attribute.
+     * @type {boolean}
+     */
+    get snapContrast(): boolean;
+    set swatches(value: string[]);
+    /**
+     * Gets or sets the preset colors shown as swatches.
+     * Reflects to the 'swatches' attribute as a space-separated list.
+     * Colors from a child `<datalist>` are not included.
+     * @type {string[]}
+     */
+    get swatches(): string[];
+    set recent(value: string);
+    /**
+     * Gets or sets the localStorage key recent colors are kept under.
+     * Reflects to the 'recent' attribute; without it, recent colors are not kept.
+     * @type {string}
+     */
+    get recent(): string;
+    /**
+     * The recent colors kept under the 'recent' key, most recent first.
+     * @type {string[]}
+     */
+    get recentColors(): string[];
+    set recentLimit(value: number);
+    /**
+     * Gets or sets how many recent colors are kept. Defaults to 8.
+     * Reflects to the 'recent-limit' attribute.
+     * @type {number}
+     */
+    get recentLimit(): number;
+    set sampleSource(value: string);
+    /**
+     * Gets or sets the selector of the `<canvas>` or `<img>` sampled where the EyeDropper API is missing.
+     * Reflects to the 'sample-source' attribute.
+     * @type {string}
+     */
+    get sampleSource(): string;
+    set defer(value: boolean);
+    /**
+     * Gets or sets the defer mode.
+     * If true, 'input' events (dragging) are suppressed, and only 'change' events are fired.
+     * @type {boolean}
+     */
+    get defer(): boolean;
+    set throttle(value: number);
+    /**
+     * Gets or sets the least milliseconds between input events while dragging.
+     * Steps in between are merged into a trailing event. 0 (default) fires every step.
+     * Reflects to the 'throttle' attribute.
+     * @type {number}
+     */
+    get throttle(): number;
+    set debounce(value: number);
+    /**
+     * Gets or sets how many milliseconds the value must rest before an input event fires.
+     * Takes precedence over 'throttle'. 0 (default) fires every step.
+     * Reflects to the 'debounce' attribute.
+     * @type {number}
+     */
+    get debounce(): number;
+    set animationFrame(value: boolean);
+    /**
+     * Gets or sets whether input events are coalesced to one per animation frame.
+     * Ignored when 'throttle' or 'debounce' is set.
+     * Reflects to the 'animation-frame' attribute.
+     * @type {boolean}
+     */
+    get animationFrame(): boolean;
+    set watchVars(value: boolean);
+    /**
+     * Gets or sets whether a `var()`, `currentcolor` or system color value is resolved again
+     * when the theme changes.
+     * Reflects to the 'watch-vars' attribute.
+     * @type {boolean}
+     */
+    get watchVars(): boolean;
+    set bindVar(value: string);
+    /**
+     * Gets or sets the custom property (e.g. '--brand') the value is written to.
+     * Reflects to the 'bind-var' attribute.
+     * @type {string}
+     */
+    get bindVar(): string;
+    set bindTarget(value: string);
+    /**
+     * Gets or sets the selector of the element 'bind-var' is set on. The root element if empty.
+     * Reflects to the 'bind-target' attribute.
+     * @type {string}
+     */
+    get bindTarget(): string;
+    #private;
+}
+/**
+ * The `detail` of the element's input, change and colorspacechange events.
+ */
+export type ColorEventDetail = {
+    /**
+     * - The value, in the active format.
+     */
+    value: string | null;
+    /**
+     * - The value as hex (8 digits when translucent).
+     */
+    hex: string | null;
+    /**
+     * - For input, the value before this step; otherwise the value
+     * at the last change (or the last value set from script).
+     */
+    previous: string | null;
+    /**
+     * - What changed the value.
+     */
+    source: "drag" | "keyboard" | "typed" | "swatch" | "eyedropper" | "format" | "history" | "programmatic";
+    /**
+     * - The opacity, 0-1.
+     */
+    alpha: number | null;
+    /**
+     * - The color's coordinates in each of `SPACES`.
+     */
+    coords: {
+        [x: string]: number[];
+    } | null;
+};
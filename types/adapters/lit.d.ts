@@ -0,0 +1,30 @@
+/**
+ * Writes the value of `<a-color>` elements in a Lit component's template to one of its properties.
+ * Bind the other direction in the template with `.value=${this.color}`:
+ *
+ *   color = '#3366cc';
+ *   #picker = new AColorController(this, 'color');
+ *   render() { return html`<a-color .value=${this.color}></a-color>`; }
+ */
+export class AColorController {
+    /**
+     * @param {HTMLElement} host - The Lit component (a `ReactiveControllerHost`).
+     * @param {string} property - The host property to write the value to.
+     * @param {Object} [options]
+     * @param {boolean} [options.lazy=false] - Only update on change, not on every input.
+     * @param {string} [options.selector] - Only follow pickers matching this selector.
+     */
+    constructor(host: HTMLElement, property: string, { lazy, selector }?: {
+        lazy?: boolean;
+        selector?: string;
+    });
+    /**
+     * Listens for the pickers' events, which are composed and so reach the host.
+     */
+    hostConnected(): void;
+    /**
+     * Stops listening.
+     */
+    hostDisconnected(): void;
+    #private;
+}
@@ -0,0 +1,13 @@
+/**
+ * Builds the `<AColor>` component.
+ *
+ * Props named after an `<a-color>` property (`value`, `colorspace`, `alpha`, `swatches`...) are
+ * set as properties, so arrays and booleans keep their type. `onInput`, `onChange`,
+ * `onColorspaceChange`, `onHistoryChange` and `onUpdate` receive the element's CustomEvents.
+ * `className`, `id`, `style`, `aria-*` and `data-*` props are rendered as attributes.
+ * The ref is the `<a-color>` element.
+ *
+ * @param {Object} React - The React module (`import * as React from 'react'`).
+ * @returns {Function} The component.
+ */
+export function createAColor(React: any): Function;
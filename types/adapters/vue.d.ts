@@ -0,0 +1,13 @@
+/**
+ * Builds the `<AColor>` component.
+ *
+ * `v-model` binds the value: `modelValue` is set as the `value` property, and `update:modelValue`
+ * is emitted with `detail.value` on every input and change event. Other attributes, properties and
+ * listeners (`@change`, `@colorspacechange`...) are passed through to the element, where Vue
+ * sets properties the element has and attributes otherwise.
+ *
+ * @param {Object} Vue - The Vue module (`import * as Vue from 'vue'`); `defineComponent`, `h` and
+ *   `mergeProps` are used.
+ * @returns {Object} The component.
+ */
+export function createAColor({ defineComponent, h, mergeProps }: any): any;
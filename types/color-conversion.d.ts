@@ -0,0 +1,317 @@
+/**
+ * Converts a color to another space without rounding.
+ * Spaces sharing a base (e.g. hsl and hwb, or oklab and oklch) convert directly;
+ * everything else passes through XYZ (D65).
+ *
+ * @param {{space: string, coords: number[], alpha: number}} color - The color to convert.
+ * @param {string} space - The target space (see `SPACES`).
+ * @returns {{space: string, coords: number[], alpha: number}} A new color in the target space.
+ */
+export function convert(color: {
+    space: string;
+    coords: number[];
+    alpha: number;
+}, space: string): {
+    space: string;
+    coords: number[];
+    alpha: number;
+};
+/**
+ * Parses a CSS color string into a color object, keeping its original space and precision.
+ * Hex, rgb() and named colors parse to 'srgb' (0-1 coordinates). `none` components are NaN.
+ * Use `parseColor` instead to find out why a string is invalid.
+ *
+ * @param {string} value - Any supported CSS color string.
+ * @returns {{space: string, coords: number[], alpha: number}|null} The color, or null if it cannot be parsed.
+ */
+export function parse(value: string): {
+    space: string;
+    coords: number[];
+    alpha: number;
+} | null;
+/**
+ * Checks whether a color fits inside the gamut of an RGB space.
+ * hsl and hwb use the sRGB gamut; lab, lch, oklab, oklch and xyz are unbounded.
+ *
+ * @param {{space: string, coords: number[], alpha: number}} color - The color to test.
+ * @param {string} [space='srgb'] - The space whose gamut to test against (e.g. 'srgb', 'display-p3').
+ * @returns {boolean} True if the color is in gamut.
+ */
+export function inGamut(color: {
+    space: string;
+    coords: number[];
+    alpha: number;
+}, space?: string): boolean;
+/**
+ * Brings a color inside the gamut of an RGB space.
+ *
+ * 'clip' clamps each channel, which is fast but can shift hue and lightness.
+ * 'css4' uses the CSS Color 4 algorithm: it keeps OKLCH lightness and hue and reduces chroma
+ * by binary search until clipping the result is no longer noticeable (deltaE OK < 0.02).
+ *
+ * @param {{space: string, coords: number[], alpha: number}} color - The color to map.
+ * @param {string} [space='srgb'] - The destination space (e.g. 'srgb', 'display-p3').
+ * @param {'clip'|'css4'} [method='css4'] - The mapping method.
+ * @returns {{space: string, coords: number[], alpha: number}} The mapped color, in the gamut's RGB space.
+ */
+export function toGamut(color: {
+    space: string;
+    coords: number[];
+    alpha: number;
+}, space?: string, method?: "clip" | "css4"): {
+    space: string;
+    coords: number[];
+    alpha: number;
+};
+/**
+ * Serializes a color in the given CSS format, converting it first if needed.
+ * Formats that only describe sRGB (hex, name, rgb, hsl, hwb) bring out-of-gamut colors
+ * into sRGB using `options.gamutMapping` (see `toGamut`).
+ *
+ * @param {{space: string, coords: number[], alpha: number}} color - The color to serialize.
+ * @param {string} [format] - The target format (hex, rgb, hsl, hwb, lab, lch, oklab, oklch, name),
+ *   or a predefined `color()` space. Defaults to the color's own space. Unknown formats give hex.
+ * @param {Object} [options]
+ * @param {'clip'|'css4'} [options.gamutMapping='clip'] - How sRGB-only formats handle out-of-gamut colors.
+ * @param {number} [options.nameTolerance=0] - For the 'name' format, the largest CIEDE2000 distance
+ *   at which an opaque color is given the nearest name. 0 only names exact matches.
+ * @returns {string} The CSS color string.
+ */
+export function serialize(color: {
+    space: string;
+    coords: number[];
+    alpha: number;
+}, format?: string, { gamutMapping, nameTolerance }?: {
+    gamutMapping?: "clip" | "css4";
+    nameTolerance?: number;
+}): string;
+/**
+ * Computes the WCAG 2.x relative luminance of a color.
+ * The color is clipped to sRGB first; alpha is ignored.
+ *
+ * @param {{space: string, coords: number[], alpha: number}|string} color - A color object or CSS color string.
+ * @returns {number} The luminance, from 0 (black) to 1 (white).
+ */
+export function relativeLuminance(color: {
+    space: string;
+    coords: number[];
+    alpha: number;
+} | string): number;
+/**
+ * Computes the WCAG 2.x contrast ratio between two colors.
+ * The order doesn't matter. 4.5 passes AA for body text, 7 passes AAA.
+ *
+ * @param {{space: string, coords: number[], alpha: number}|string} a - The first color.
+ * @param {{space: string, coords: number[], alpha: number}|string} b - The second color.
+ * @returns {number} The ratio, from 1 to 21.
+ */
+export function contrastRatio(a: {
+    space: string;
+    coords: number[];
+    alpha: number;
+} | string, b: {
+    space: string;
+    coords: number[];
+    alpha: number;
+} | string): number;
+/**
+ * Computes the APCA lightness contrast (Lc) of text on a background.
+ * Unlike the WCAG ratio the order matters: dark text on a light background is positive,
+ * light text on a dark background is negative. The colors are clipped to sRGB; alpha is ignored.
+ *
+ * @param {{space: string, coords: number[], alpha: number}|string} text - The text color.
+ * @param {{space: string, coords: number[], alpha: number}|string} background - The background color.
+ * @returns {number} Lc, roughly -108 to 106. 0 means too little contrast to measure.
+ */
+export function apcaContrast(text: {
+    space: string;
+    coords: number[];
+    alpha: number;
+} | string, background: {
+    space: string;
+    coords: number[];
+    alpha: number;
+} | string): number;
+/**
+ * Computes the CIE76 color difference: the Euclidean distance in CIE Lab (D50).
+ * A difference of about 2.3 is just noticeable.
+ *
+ * @param {{space: string, coords: number[], alpha: number}|string} a - The first color.
+ * @param {{space: string, coords: number[], alpha: number}|string} b - The second color.
+ * @returns {number} The difference.
+ */
+export function deltaE76(a: {
+    space: string;
+    coords: number[];
+    alpha: number;
+} | string, b: {
+    space: string;
+    coords: number[];
+    alpha: number;
+} | string): number;
+/**
+ * Computes the CIEDE2000 color difference in CIE Lab (D50).
+ * Corrects CIE76 for the eye's uneven sensitivity to lightness, chroma and hue.
+ * A difference of about 1 is just noticeable.
+ *
+ * @param {{space: string, coords: number[], alpha: number}|string} a - The first color.
+ * @param {{space: string, coords: number[], alpha: number}|string} b - The second color.
+ * @returns {number} The difference.
+ */
+export function deltaE2000(a: {
+    space: string;
+    coords: number[];
+    alpha: number;
+} | string, b: {
+    space: string;
+    coords: number[];
+    alpha: number;
+} | string): number;
+/**
+ * Computes the deltaE OK color difference: the Euclidean distance in OKLab.
+ * This is the metric CSS Color 4 gamut mapping uses. A difference of about 0.02 is just noticeable.
+ *
+ * @param {{space: string, coords: number[], alpha: number}|string} a - The first color.
+ * @param {{space: string, coords: number[], alpha: number}|string} b - The second color.
+ * @returns {number} The difference.
+ */
+export function deltaEOK(a: {
+    space: string;
+    coords: number[];
+    alpha: number;
+} | string, b: {
+    space: string;
+    coords: number[];
+    alpha: number;
+} | string): number;
+/**
+ * Finds the closest named color by CIEDE2000 distance. Alpha is ignored.
+ * Searches the CSS named colors, or a custom palette of `{ name: color }` (or an array of colors,
+ * which are their own names).
+ *
+ * @param {{space: string, coords: number[], alpha: number}|string} color - The color to name.
+ * @param {Object} [options]
+ * @param {Object<string, string|Object>|Array<string>} [options.palette] - The colors to choose from.
+ * @returns {{name: string, color: {space: string, coords: number[], alpha: number}, distance: number}|null}
+ *   The closest entry and its distance, or null if the palette is empty.
+ */
+export function nearestName(color: {
+    space: string;
+    coords: number[];
+    alpha: number;
+} | string, { palette }?: {
+    palette?: {
+        [x: string]: string | any;
+    } | Array<string>;
+}): {
+    name: string;
+    color: {
+        space: string;
+        coords: number[];
+        alpha: number;
+    };
+    distance: number;
+} | null;
+/**
+ * Mixes two colors following the rules of CSS `color-mix()`.
+ * Both colors are converted to the interpolation space; a component missing (`none`) in one
+ * color takes the other's value; alpha is premultiplied. Cylindrical spaces (hsl, hwb, lch,
+ * oklch) interpolate the hue with `hueMethod`.
+ *
+ * @param {{space: string, coords: number[], alpha: number}|string} a - The first color.
+ * @param {{space: string, coords: number[], alpha: number}|string} b - The second color.
+ * @param {number} [amount=0.5] - How much of `b` to mix in, from 0 (all `a`) to 1 (all `b`).
+ * @param {Object} [options]
+ * @param {string} [options.space='oklab'] - The interpolation space (see `SPACES`).
+ * @param {'shorter'|'longer'|'increasing'|'decreasing'} [options.hueMethod='shorter'] - The hue interpolation method.
+ * @returns {{space: string, coords: number[], alpha: number}} The mixed color, in the interpolation space.
+ * @throws {TypeError} If a color, the space or the hue method is invalid.
+ */
+export function mix(a: {
+    space: string;
+    coords: number[];
+    alpha: number;
+} | string, b: {
+    space: string;
+    coords: number[];
+    alpha: number;
+} | string, amount?: number, { space, hueMethod }?: {
+    space?: string;
+    hueMethod?: "shorter" | "longer" | "increasing" | "decreasing";
+}): {
+    space: string;
+    coords: number[];
+    alpha: number;
+};
+/**
+ * Builds an evenly spaced ramp between two colors, both ends included.
+ *
+ * @param {{space: string, coords: number[], alpha: number}|string} a - The first color.
+ * @param {{space: string, coords: number[], alpha: number}|string} b - The last color.
+ * @param {number} n - The number of colors. 1 gives the midpoint.
+ * @param {Object} [options] - Interpolation options, as for `mix`.
+ * @returns {Array<{space: string, coords: number[], alpha: number}>} The colors, from `a` to `b`.
+ */
+export function steps(a: {
+    space: string;
+    coords: number[];
+    alpha: number;
+} | string, b: {
+    space: string;
+    coords: number[];
+    alpha: number;
+} | string, n: number, options?: any): Array<{
+    space: string;
+    coords: number[];
+    alpha: number;
+}>;
+/**
+ * Expands a hex color to its long lowercase form.
+ * Opaque colors become #rrggbb; translucent colors become #rrggbbaa.
+ * @param {string} hex - The hex color (#rgb, #rgba, #rrggbb or #rrggbbaa).
+ * @returns {string} The normalized hex color.
+ */
+export function normalizeHex(hex: string): string;
+/**
+ * Converts CSS color string to Hex.
+ * @param {string} value - Any supported CSS color string.
+ * @returns {string|null} The hex color, or null if the value cannot be parsed.
+ */
+export function toHex(value: string): string | null;
+/**
+ * Converts Hex string to specific CSS color space.
+ * @param {string} hex - The hex color (e.g. #ff0000)
+ * @param {string} format - The target format (rgb, hsl, hwb, lab, lch, oklab, oklch, name),
+ *   or a predefined `color()` space (srgb, srgb-linear, display-p3, a98-rgb, prophoto-rgb,
+ *   rec2020, xyz, xyz-d50, xyz-d65)
+ */
+export function hexTo(hex: string, format: string): string;
+export function hexToName(hex: any): string;
+export function hexToRgb(hex: any): string;
+export function hexToHsl(hex: any): string;
+export function hexToHwb(hex: any): string;
+export function hexToLab(hex: any): string;
+export function hexToLch(hex: any): string;
+export function hexToOklab(hex: any): string;
+export function hexToOklch(hex: any): string;
+/**
+ * Converts Hex string to a CSS `color()` function in a predefined space.
+ * @param {string} hex - The hex color (e.g. #ff0000)
+ * @param {string} space - The predefined space (e.g. display-p3, rec2020, xyz-d50)
+ */
+export function hexToColor(hex: string, space: string): string;
+/**
+ * Lists every color space understood by `convert`.
+ * @type {string[]}
+ */
+export const SPACES: string[];
+/**
+ * Lists every output format understood by `serialize` and `hexTo`.
+ * `xyz` is left out because it is an alias of `xyz-d65`.
+ * @type {string[]}
+ */
+export const FORMATS: string[];
+export default toHex;
+import { parseColor } from './color-parser.js';
+import { ColorParseError } from './color-parser.js';
+export { parseColor, ColorParseError };
@@ -0,0 +1,71 @@
+/**
+ * Builds lighter versions of a color, evenly spaced in OKLCH lightness between the color and white.
+ * Chroma fades toward white so the tints stay in gamut.
+ *
+ * @param {{space: string, coords: number[], alpha: number}|string} color - The base color.
+ * @param {Object} [options]
+ * @param {number} [options.steps=5] - The number of tints.
+ * @param {string} [options.format] - Return CSS strings in this format instead of color objects.
+ * @param {'clip'|'css4'} [options.gamutMapping='css4'] - Gamut mapping for sRGB-only formats.
+ * @returns {Array<Object|string>} The tints, from the closest to the base to the lightest.
+ */
+export function tints(color: {
+    space: string;
+    coords: number[];
+    alpha: number;
+} | string, { steps, ...options }?: {
+    steps?: number;
+    format?: string;
+    gamutMapping?: "clip" | "css4";
+}): Array<any | string>;
+/**
+ * Builds darker versions of a color, evenly spaced in OKLCH lightness between the color and black.
+ *
+ * @param {{space: string, coords: number[], alpha: number}|string} color - The base color.
+ * @param {Object} [options] - As for `tints`.
+ * @returns {Array<Object|string>} The shades, from the closest to the base to the darkest.
+ */
+export function shades(color: {
+    space: string;
+    coords: number[];
+    alpha: number;
+} | string, { steps, ...options }?: any): Array<any | string>;
+/**
+ * Builds a full lightness scale: shades, the base color, then tints, from darkest to lightest.
+ *
+ * @param {{space: string, coords: number[], alpha: number}|string} color - The base color.
+ * @param {Object} [options] - As for `tints`; `steps` is the count on each side of the base.
+ * @returns {Array<Object|string>} The scale.
+ */
+export function scale(color: {
+    space: string;
+    coords: number[];
+    alpha: number;
+} | string, { steps, ...options }?: any): Array<any | string>;
+/**
+ * Builds a harmony scheme by rotating the color's OKLCH hue.
+ * Lightness and chroma are kept, so the colors look equally bright.
+ *
+ * @param {{space: string, coords: number[], alpha: number}|string} color - The base color.
+ * @param {string} scheme - One of the `SCHEMES` names.
+ * @param {Object} [options]
+ * @param {string} [options.format] - Return CSS strings in this format instead of color objects.
+ * @param {'clip'|'css4'} [options.gamutMapping='css4'] - Gamut mapping for sRGB-only formats.
+ * @returns {Array<Object|string>} The base color followed by the scheme's colors.
+ * @throws {TypeError} If the scheme is unknown.
+ */
+export function harmony(color: {
+    space: string;
+    coords: number[];
+    alpha: number;
+} | string, scheme: string, options?: {
+    format?: string;
+    gamutMapping?: "clip" | "css4";
+}): Array<any | string>;
+/**
+ * Hue offsets, in degrees, of the colors each harmony scheme adds to the base color.
+ * @type {Object<string, number[]>}
+ */
+export const SCHEMES: {
+    [x: string]: number[];
+};
@@ -0,0 +1,27 @@
+/**
+ * Parses a CSS color string.
+ * Missing components (`none`) are NaN in the result.
+ *
+ * @param {string} input - The color string, e.g. "hsl(-30deg 50% 50% / 0.5)".
+ * @returns {{space: string, coords: number[], alpha: number}} The parsed color.
+ * @throws {ColorParseError} If the string is not a valid color.
+ */
+export function parseColor(input: string): {
+    space: string;
+    coords: number[];
+    alpha: number;
+};
+/**
+ * Thrown when a string is not a valid CSS color.
+ * `position` is the index in `input` where parsing failed.
+ */
+export class ColorParseError extends SyntaxError {
+    /**
+     * @param {string} message - What went wrong.
+     * @param {string} input - The string being parsed.
+     * @param {number} position - The index in `input` where parsing failed.
+     */
+    constructor(message: string, input: string, position: number);
+    input: string;
+    position: number;
+}
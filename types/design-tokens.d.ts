@@ -0,0 +1,92 @@
+/**
+ * The color tokens of a DTCG file.
+ * A token is a color if its own or an enclosing group's `$type` is "color". Paths join the
+ * names of the groups and the token with dots ("brand.primary").
+ *
+ * Fires `tokenchange` (a CustomEvent with `path` and the stored `$value` as `detail.value`) when a
+ * token is set.
+ */
+export class TokenSet extends EventTarget {
+    /**
+     * Fetches and reads a DTCG file.
+     *
+     * @param {string|URL} url - The file.
+     * @returns {Promise<TokenSet>} The tokens.
+     * @throws {Error} If the file can't be fetched.
+     */
+    static load(url: string | URL): Promise<TokenSet>;
+    /**
+     * @param {Object|string} tokens - The DTCG tokens, parsed or as JSON.
+     * @throws {SyntaxError} If the JSON is invalid.
+     */
+    constructor(tokens: any | string);
+    /**
+     * Binds every `<a-color token="...">` inside `root` to its token: the pickers start with the
+     * token's color, picks are written to the token, and pickers follow tokens set from script.
+     *
+     * @param {Document|Element|ShadowRoot} [root=document] - Where the pickers are.
+     * @returns {Function} Unbinds the pickers again.
+     */
+    connect(root?: Document | Element | ShadowRoot): Function;
+    /**
+     * Gets a color token's value as a CSS color, following aliases.
+     *
+     * @param {string} path - The token's path.
+     * @returns {string|null} The color, or null if the path isn't a color token or an alias is broken.
+     */
+    get(path: string): string | null;
+    /**
+     * Sets a color token. A token keeps how it was written: a color object stays one in its own
+     * color space, and a color string keeps its notation ("#3366cc" stays hex). An alias is
+     * replaced by the color.
+     *
+     * @param {string} path - The token's path.
+     * @param {string} value - Any CSS color.
+     * @throws {TypeError} If the path isn't a color token or the value isn't a color.
+     */
+    set(path: string, value: string): void;
+    /**
+     * Writes the color tokens as CSS custom properties, named after their paths
+     * ("brand.primary" becomes `--brand-primary`). Aliases become `var()` references.
+     *
+     * @param {Object} [options]
+     * @param {string} [options.colorspace] - Write the colors in this format (see `FORMATS`). Kept as they are if unset.
+     * @param {string} [options.selector=':root'] - The rule's selector.
+     * @param {string} [options.prefix=''] - Put in front of every property name (e.g. 'ds' for `--ds-brand-primary`).
+     * @returns {string} The CSS rule.
+     */
+    toCSS({ colorspace, selector, prefix }?: {
+        colorspace?: string;
+        selector?: string;
+        prefix?: string;
+    }): string;
+    /**
+     * Writes the tokens as DTCG JSON. Groups, descriptions and tokens of other types are kept,
+     * and so are aliases.
+     *
+     * @param {Object} [options]
+     * @param {string} [options.colorspace] - Write the colors in this format. Color objects are
+     *   converted only if it is one of `SPACES`. Kept as they are if unset.
+     * @returns {Object} The tokens, ready for `JSON.stringify`.
+     */
+    toDTCG({ colorspace }?: {
+        colorspace?: string;
+    }): any;
+    /**
+     * Writes the color tokens as a Tailwind `theme.colors` object, nested like the groups.
+     * Aliases are resolved.
+     *
+     * @param {Object} [options]
+     * @param {string} [options.colorspace] - Write the colors in this format. Kept as they are if unset.
+     * @returns {Object} The colors, e.g. `{ brand: { primary: '#3366cc' } }`.
+     */
+    toTailwind({ colorspace }?: {
+        colorspace?: string;
+    }): any;
+    /**
+     * The paths of the color tokens, in file order.
+     * @type {string[]}
+     */
+    get paths(): string[];
+    #private;
+}
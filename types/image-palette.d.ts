@@ -0,0 +1,17 @@
+/**
+ * Finds the dominant colors of an image, most common first.
+ * Pixels are clustered with k-means in OKLab, so the colors are perceptually distinct;
+ * mostly transparent pixels are ignored.
+ *
+ * @param {ImageData|HTMLImageElement|HTMLCanvasElement|ImageBitmap|Blob} imageSource - The image.
+ *   Images that haven't loaded yet are waited for.
+ * @param {Object} [options]
+ * @param {number} [options.count=5] - The most colors to return. Fewer are returned if the image has fewer.
+ * @param {string} [options.space='hex'] - The output format (see `FORMATS`).
+ * @returns {Promise<string[]>} The colors, ranked by how many pixels they cover.
+ * @throws {TypeError} If the source is not an image.
+ */
+export function extractPalette(imageSource: ImageData | HTMLImageElement | HTMLCanvasElement | ImageBitmap | Blob, { count, space }?: {
+    count?: number;
+    space?: string;
+}): Promise<string[]>;
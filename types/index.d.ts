@@ -0,0 +1,47 @@
+// Written by hand; the other declarations in this folder are generated from JSDoc by `npm run types`.
+
+import type { AColor, ColorEventDetail } from './a-color.js';
+import type { AColorPalette } from './a-color-palette.js';
+
+export * from './a-color.js';
+
+/** The events of `<a-color>`, with their `detail`. */
+export interface AColorEventMap extends HTMLElementEventMap {
+  input: CustomEvent<ColorEventDetail>;
+  change: CustomEvent<ColorEventDetail>;
+  colorspacechange: CustomEvent<ColorEventDetail>;
+  historychange: CustomEvent<{ canUndo: boolean; canRedo: boolean }>;
+  'a-color:update': CustomEvent<{ attribute: string; value: string | null; oldValue: string | null }>;
+}
+
+declare module './a-color.js' {
+  interface AColor {
+    addEventListener<K extends keyof AColorEventMap>(
+      type: K,
+      listener: (this: AColor, event: AColorEventMap[K]) => any,
+      options?: boolean | AddEventListenerOptions
+    ): void;
+    addEventListener(
+      type: string,
+      listener: EventListenerOrEventListenerObject,
+      options?: boolean | AddEventListenerOptions
+    ): void;
+    removeEventListener<K extends keyof AColorEventMap>(
+      type: K,
+      listener: (this: AColor, event: AColorEventMap[K]) => any,
+      options?: boolean | EventListenerOptions
+    ): void;
+    removeEventListener(
+      type: string,
+      listener: EventListenerOrEventListenerObject,
+      options?: boolean | EventListenerOptions
+    ): void;
+  }
+}
+
+declare global {
+  interface HTMLElementTagNameMap {
+    'a-color': AColor;
+    'a-color-palette': AColorPalette;
+  }
+}